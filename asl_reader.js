@@ -0,0 +1,214 @@
+/**
+ * Reading Photoshop layer style files (.asl).
+ *
+ * An .asl file is a pattern section (skipped here) followed by the styles,
+ * each a pair of action descriptors: a `null` one with the style name
+ * (`Nm`) and id (`Idnt`), and a `Styl` one whose `Lefx` item holds the layer
+ * effects. All numbers are big-endian.
+ *
+ * Descriptors come back as plain objects keyed by their item keys with the
+ * padding spaces of four-character codes trimmed (`'Md  '` -> `Md`), plus
+ * `_class` for the class id:
+ *
+ *   { _class: 'DrSh', enab: true, Md: { type: 'BlnM', value: 'Mltp' },
+ *     Opct: { unit: '#Prc', value: 75 }, Clr: { _class: 'RGBC', Rd: 0, ... }, ... }
+ *
+ * Enumerated and unit values keep their codes; mapping them onto renderer
+ * settings is asl_styles.js's job.
+ */
+
+const STYLES_VERSION = 2;
+const PATTERNS_VERSION = 3;
+const DESCRIPTOR_VERSION = 16;
+
+function readerError(message) {
+  return new Error(`Not a readable .asl file: ${message}`);
+}
+
+function trimCode(code) {
+  return code.replace(/ +$/, '');
+}
+
+function createCursor(buffer) {
+  let pos = 0;
+  const need = (bytes) => {
+    if (pos + bytes > buffer.length) throw readerError('unexpected end of data');
+  };
+  const cursor = {
+    get pos() {
+      return pos;
+    },
+    seek(offset) {
+      if (offset > buffer.length) throw readerError('unexpected end of data');
+      pos = offset;
+    },
+    uint8() {
+      need(1);
+      pos += 1;
+      return buffer.readUInt8(pos - 1);
+    },
+    uint16() {
+      need(2);
+      pos += 2;
+      return buffer.readUInt16BE(pos - 2);
+    },
+    uint32() {
+      need(4);
+      pos += 4;
+      return buffer.readUInt32BE(pos - 4);
+    },
+    int32() {
+      need(4);
+      pos += 4;
+      return buffer.readInt32BE(pos - 4);
+    },
+    int64() {
+      need(8);
+      pos += 8;
+      return Number(buffer.readBigInt64BE(pos - 8));
+    },
+    double() {
+      need(8);
+      pos += 8;
+      return buffer.readDoubleBE(pos - 8);
+    },
+    bytes(length) {
+      need(length);
+      pos += length;
+      return buffer.subarray(pos - length, pos);
+    },
+    code() {
+      return cursor.bytes(4).toString('latin1');
+    },
+    // uint32 character count, then UTF-16BE characters (often null-terminated).
+    unicode() {
+      const data = Buffer.from(cursor.bytes(cursor.uint32() * 2));
+      data.swap16();
+      return data.toString('utf16le').replace(/\u0000+$/, '');
+    },
+    // Class ids and keys: uint32 length, 0 meaning a four-character code.
+    id() {
+      const length = cursor.uint32();
+      return trimCode(length === 0 ? cursor.code() : cursor.bytes(length).toString('latin1'));
+    },
+  };
+  return cursor;
+}
+
+function readReference(cursor) {
+  const count = cursor.uint32();
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const form = trimCode(cursor.code());
+    if (form === 'prop') items.push({ form, name: cursor.unicode(), classId: cursor.id(), key: cursor.id() });
+    else if (form === 'Clss') items.push({ form, name: cursor.unicode(), classId: cursor.id() });
+    else if (form === 'Enmr') items.push({ form, name: cursor.unicode(), classId: cursor.id(), type: cursor.id(), value: cursor.id() });
+    else if (form === 'rele') items.push({ form, name: cursor.unicode(), classId: cursor.id(), offset: cursor.int32() });
+    else if (form === 'Idnt' || form === 'indx') items.push({ form, value: cursor.int32() });
+    else if (form === 'name') items.push({ form, name: cursor.unicode(), classId: cursor.id(), value: cursor.unicode() });
+    else throw readerError(`unknown reference form ${form}`);
+  }
+  return items;
+}
+
+function readValue(cursor, type) {
+  switch (type) {
+    case 'Objc':
+    case 'GlbO':
+      return readDescriptor(cursor);
+    case 'VlLs': {
+      const count = cursor.uint32();
+      const list = [];
+      for (let i = 0; i < count; i++) list.push(readValue(cursor, cursor.code()));
+      return list;
+    }
+    case 'doub':
+      return cursor.double();
+    case 'UntF':
+      return { unit: cursor.code(), value: cursor.double() };
+    case 'UnFl': {
+      const unit = cursor.code();
+      const count = cursor.uint32();
+      const values = [];
+      for (let i = 0; i < count; i++) values.push(cursor.double());
+      return { unit, values };
+    }
+    case 'TEXT':
+      return cursor.unicode();
+    case 'enum':
+      return { type: cursor.id(), value: cursor.id() };
+    case 'long':
+      return cursor.int32();
+    case 'comp':
+      return cursor.int64();
+    case 'bool':
+      return cursor.uint8() !== 0;
+    case 'type':
+    case 'GlbC':
+      return { name: cursor.unicode(), _class: cursor.id() };
+    case 'obj ':
+      return readReference(cursor);
+    case 'alis':
+    case 'tdta':
+    case 'Pth ':
+      return cursor.bytes(cursor.uint32());
+    default:
+      throw readerError(`unsupported descriptor value ${JSON.stringify(type)}`);
+  }
+}
+
+function readDescriptor(cursor) {
+  cursor.unicode();
+  const descriptor = { _class: cursor.id() };
+  const count = cursor.uint32();
+  for (let i = 0; i < count; i++) {
+    const key = cursor.id();
+    descriptor[key] = readValue(cursor, cursor.code());
+  }
+  return descriptor;
+}
+
+function readVersionedDescriptor(cursor) {
+  const version = cursor.uint32();
+  if (version !== DESCRIPTOR_VERSION) throw readerError(`descriptor version ${version}`);
+  return readDescriptor(cursor);
+}
+
+/**
+ * The styles of an .asl file as `{ name, id, style }` (`style` being the
+ * `Styl` descriptor), or `{ name, error }` for a style that could not be
+ * read; its neighbours still are. Throws when the file itself is not an .asl.
+ */
+function readAslStyles(buffer) {
+  const cursor = createCursor(buffer);
+  if (buffer.length < 12 || cursor.uint16() !== STYLES_VERSION || cursor.code() !== '8BSL') {
+    throw readerError('missing 8BSL signature');
+  }
+  const patternsVersion = cursor.uint16();
+  if (patternsVersion !== PATTERNS_VERSION) throw readerError(`pattern section version ${patternsVersion}`);
+  const patternsLength = cursor.uint32();
+  cursor.seek(cursor.pos + patternsLength);
+
+  const count = cursor.uint32();
+  const styles = [];
+  for (let i = 0; i < count; i++) {
+    const length = cursor.uint32();
+    const next = cursor.pos + length;
+    let name = `Style ${i + 1}`;
+    try {
+      const info = readVersionedDescriptor(cursor);
+      if (typeof info.Nm === 'string' && info.Nm.trim()) name = info.Nm.trim();
+      const style = readVersionedDescriptor(cursor);
+      styles.push({ name, id: typeof info.Idnt === 'string' ? info.Idnt : '', style });
+    } catch (error) {
+      styles.push({ name, error: error.message });
+    }
+    // Sizes include padding, so the next style starts where the size says.
+    cursor.seek(Math.min(next, buffer.length));
+  }
+  return styles;
+}
+
+module.exports = {
+  readAslStyles,
+};
@@ -0,0 +1,434 @@
+/**
+ * Photoshop layer styles (.asl) as renderer configs.
+ *
+ * Each style of the file becomes `{ name, config, unmapped }`: `config` holds
+ * the keys its effects map onto (`effects` stack, `gradientStops`,
+ * `gradientAngle`, `glowColor`, `outlineColor`, `lightAngle`,
+ * `lightAltitude`) and `unmapped` lists, in plain words, every effect or
+ * setting the renderer cannot draw, so the import never drops one silently.
+ *
+ * Mapped effects: Drop Shadow, Inner Shadow, Outer Glow, Inner Glow,
+ * Stroke, Gradient Overlay and Bevel & Emboss, stacked bottom to top in
+ * Photoshop's order. Disabled effects are left out.
+ */
+
+const { readAslStyles } = require('./asl_reader');
+const { mixColor } = require('./color_space');
+const { normalizeGradientAngle } = require('./gradient_stops');
+const { EFFECT_TYPES } = require('./layer_effects');
+
+// Photoshop's blend mode codes for the modes the renderer has.
+const BLEND_CODES = {
+  Nrml: 'normal',
+  Mltp: 'multiply',
+  Scrn: 'screen',
+  Ovrl: 'overlay',
+  Drkn: 'darken',
+  Lghn: 'lighten',
+  CDdg: 'color-dodge',
+  CBrn: 'color-burn',
+  HrdL: 'hard-light',
+  SftL: 'soft-light',
+  Dfrn: 'difference',
+  Xclu: 'exclusion',
+};
+
+const BEVEL_STYLE_CODES = { InrB: 'innerBevel', Embs: 'emboss', PlEb: 'pillowEmboss' };
+
+// Photoshop contour names, compared without case, spaces and dashes.
+const CONTOUR_NAMES = {
+  linear: 'linear',
+  cone: 'cone',
+  coneinverted: 'coneInverted',
+  gaussian: 'gaussian',
+  halfround: 'halfRound',
+  ring: 'ring',
+};
+
+// Gradient stop locations run 0..4096.
+const GRADIENT_SCALE = 4096;
+
+// Effects the renderer has no counterpart for.
+const UNSUPPORTED_EFFECTS = {
+  ChFX: 'Satin',
+  SoFi: 'Color Overlay',
+  solidFillMulti: 'Color Overlay',
+  patternFill: 'Pattern Overlay',
+};
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value, digits = 4) {
+  const k = 10 ** digits;
+  return Math.round(value * k) / k;
+}
+
+// Plain numbers and UntF `{ unit, value }` items alike.
+function numberOf(item, fallback) {
+  if (typeof item === 'number' && Number.isFinite(item)) return item;
+  if (item && typeof item.value === 'number' && Number.isFinite(item.value)) return item.value;
+  return fallback;
+}
+
+function percentOf(item, fallback) {
+  return clamp01(numberOf(item, fallback * 100) / 100);
+}
+
+function enumOf(item) {
+  return item && typeof item.value === 'string' ? item.value : '';
+}
+
+function channelsHex(channels) {
+  return `#${channels.map((c) => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function hsbChannels(hue, saturation, brightness) {
+  const h = ((hue % 360) + 360) % 360 / 60;
+  const v = brightness * 255;
+  const c = v * saturation;
+  const x = c * (1 - Math.abs((h % 2) - 1));
+  const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(h) % 6];
+  return [r, g, b].map((channel) => channel + v - c);
+}
+
+// `#rrggbb` of an RGBC, HSBC or Grsc color descriptor; null for other models.
+function colorHex(color) {
+  if (!color || typeof color !== 'object') return null;
+  if (color._class === 'RGBC') {
+    if (typeof color.redFloat === 'number') return channelsHex([color.redFloat, color.greenFloat, color.blueFloat].map((c) => c * 255));
+    return channelsHex([numberOf(color.Rd, 0), numberOf(color.Grn, 0), numberOf(color.Bl, 0)]);
+  }
+  if (color._class === 'HSBC') {
+    return channelsHex(hsbChannels(numberOf(color.H, 0), numberOf(color.Strt, 0) / 100, numberOf(color.Brgh, 0) / 100));
+  }
+  if (color._class === 'Grsc') return channelsHex(Array(3).fill(255 * (1 - numberOf(color.Gry, 0) / 100)));
+  return null;
+}
+
+function contourKey(contour) {
+  const name = String((contour && contour.Nm) || 'Linear').toLowerCase().replace(/[^a-z]/g, '');
+  return CONTOUR_NAMES[name] || null;
+}
+
+// The effect descriptors under `Lefx` as [key, descriptor] pairs; the
+// *Multi keys hold lists of several effects of one kind.
+function effectEntries(lefx) {
+  const entries = [];
+  for (const [key, value] of Object.entries(lefx)) {
+    if (Array.isArray(value)) {
+      for (const item of value) if (item && typeof item === 'object') entries.push([key, item]);
+    } else if (value && typeof value === 'object' && value._class) {
+      entries.push([key, value]);
+    }
+  }
+  return entries.filter(([, desc]) => desc.present !== false && desc.enab !== false);
+}
+
+// Flat config keys and notes the effect mappers of one style collect.
+function createStyleContext(lefx) {
+  const scale = numberOf(lefx.Scl, 100) / 100 || 1;
+  const globalAngle = numberOf(lefx.gagl, null);
+  return {
+    config: {},
+    unmapped: [],
+    light: globalAngle === null ? null : { angle: globalAngle, altitude: numberOf(lefx.globalAltitude, null) },
+    px: (item, fallback) => round(numberOf(item, fallback) * scale, 2),
+    note(message) {
+      if (!this.unmapped.includes(message)) this.unmapped.push(message);
+    },
+  };
+}
+
+function baseEffect(type, label, desc, ctx) {
+  const effect = { type, enabled: true };
+  const code = enumOf(desc.Md);
+  if (code) {
+    if (BLEND_CODES[code]) effect.blend = BLEND_CODES[code];
+    else ctx.note(`${label}: blend mode ${code} is not supported, drawn as ${EFFECT_TYPES[type].blend || 'normal'}`);
+  }
+  if (desc.Opct) effect.opacity = round(percentOf(desc.Opct, 1));
+  return effect;
+}
+
+function effectColor(label, desc, ctx, fallback) {
+  if (!desc.Clr && desc.Grad) {
+    ctx.note(`${label}: gradient fill is drawn with its first color`);
+    const first = gradientColorStops(desc.Grad, label, ctx)[0];
+    return first ? first.value : fallback;
+  }
+  const hex = colorHex(desc.Clr);
+  if (!hex && desc.Clr) ctx.note(`${label}: color model ${desc.Clr._class} is not supported, drawn as ${fallback}`);
+  return hex || fallback;
+}
+
+// Effects with "Use Global Light" follow lightAngle / lightAltitude. Without
+// a global light in the file, the first of them brings its angle, which
+// Photoshop stores as the global one.
+function applyLight(effect, desc, ctx, withAltitude) {
+  const angle = numberOf(desc.lagl, null);
+  const altitude = numberOf(desc.Lald, null);
+  if (desc.uglg !== false) {
+    effect.globalLight = true;
+    if (!ctx.light && angle !== null) ctx.light = { angle, altitude };
+    else if (ctx.light && ctx.light.altitude === null && withAltitude) ctx.light.altitude = altitude;
+    return;
+  }
+  effect.globalLight = false;
+  if (angle !== null) effect.angle = angle;
+  if (withAltitude && altitude !== null) effect.altitude = altitude;
+}
+
+function noteShading(label, desc, ctx) {
+  if (numberOf(desc.Nose, 0) > 0) ctx.note(`${label}: noise is not supported`);
+  if (desc.TrnS && contourKey(desc.TrnS) !== 'linear') ctx.note(`${label}: contour ${desc.TrnS.Nm || '(custom)'} is drawn linear`);
+}
+
+function shadowEffect(type, label, spreadKey, desc, ctx) {
+  const effect = baseEffect(type, label, desc, ctx);
+  effect.color = effectColor(label, desc, ctx, '#000000');
+  applyLight(effect, desc, ctx, false);
+  effect.distance = ctx.px(desc.Dstn, EFFECT_TYPES[type].params.distance.default);
+  // Spread and choke are percentages although Photoshop tags them as pixels.
+  effect[spreadKey] = numberOf(desc.Ckmt, 0);
+  effect.size = ctx.px(desc.blur, EFFECT_TYPES[type].params.size.default);
+  noteShading(label, desc, ctx);
+  return effect;
+}
+
+const EFFECT_MAPPERS = {
+  DrSh: (desc, ctx) => shadowEffect('dropShadow', 'Drop Shadow', 'spread', desc, ctx),
+  IrSh: (desc, ctx) => shadowEffect('innerShadow', 'Inner Shadow', 'choke', desc, ctx),
+
+  OrGl: (desc, ctx) => {
+    const effect = baseEffect('outerGlow', 'Outer Glow', desc, ctx);
+    ctx.config.glowColor = effectColor('Outer Glow', desc, ctx, '#ffffff');
+    effect.size = ctx.px(desc.blur, 24);
+    if (numberOf(desc.Ckmt, 0) > 0) ctx.note('Outer Glow: spread is not supported');
+    if (enumOf(desc.GlwT) === 'PrBL') ctx.note('Outer Glow: precise technique is drawn softer');
+    noteShading('Outer Glow', desc, ctx);
+    return effect;
+  },
+
+  IrGl: (desc, ctx) => {
+    const effect = baseEffect('innerGlow', 'Inner Glow', desc, ctx);
+    effect.color = effectColor('Inner Glow', desc, ctx, '#ffffff');
+    effect.source = enumOf(desc.glwS) === 'SrcC' ? 'center' : 'edge';
+    effect.choke = numberOf(desc.Ckmt, 0);
+    effect.size = ctx.px(desc.blur, EFFECT_TYPES.innerGlow.params.size.default);
+    if (enumOf(desc.GlwT) === 'PrBL') ctx.note('Inner Glow: precise technique is drawn softer');
+    noteShading('Inner Glow', desc, ctx);
+    return effect;
+  },
+
+  // The renderer's stroke is centred on the outline and sits under the
+  // fill, so a stroke of twice the size shows Photoshop's outside stroke.
+  FrFX: (desc, ctx) => {
+    const effect = baseEffect('stroke', 'Stroke', desc, ctx);
+    const size = ctx.px(desc.Sz, 3);
+    const position = enumOf(desc.Styl) || 'OutF';
+    effect.size = position === 'CtrF' ? size : size * 2;
+    if (position === 'InsF') ctx.note('Stroke: inside position is drawn outside');
+    if (position === 'CtrF') ctx.note('Stroke: center position shows only its outer half');
+    const fill = enumOf(desc.PntT);
+    if (fill && fill !== 'SClr') ctx.note(`Stroke: ${fill === 'GrFl' ? 'gradient' : 'pattern'} fill is drawn with a solid color`);
+    if (fill === 'GrFl' && desc.Grad) {
+      const first = gradientColorStops(desc.Grad, 'Stroke', ctx)[0];
+      ctx.config.outlineColor = first ? first.value : '#ffffff';
+    } else {
+      ctx.config.outlineColor = effectColor('Stroke', desc, ctx, '#ffffff');
+    }
+    return effect;
+  },
+
+  // Photoshop's angle points from the first stop to the last; the renderer's
+  // gradientAngle points at the first stop.
+  GrFl: (desc, ctx) => {
+    if (ctx.config.gradientStops) {
+      ctx.note('Gradient Overlay: only the first gradient overlay is used');
+      return null;
+    }
+    const effect = baseEffect('gradientOverlay', 'Gradient Overlay', desc, ctx);
+    const stops = gradientStops(desc.Grad, ctx);
+    if (stops.length >= 2) ctx.config.gradientStops = stops;
+    const angle = numberOf(desc.Angl, 90) + 180 + (desc.Rvrs === true ? 180 : 0);
+    ctx.config.gradientAngle = normalizeGradientAngle(round(angle, 2));
+    const type = enumOf(desc.Type);
+    if (type && type !== 'Lnr') ctx.note(`Gradient Overlay: ${type} gradient is drawn linear`);
+    if (numberOf(desc.Scl, 100) !== 100) ctx.note('Gradient Overlay: scale is not supported');
+    const offset = desc.Ofst || {};
+    if (numberOf(offset.Hrzn, 0) !== 0 || numberOf(offset.Vrtc, 0) !== 0) ctx.note('Gradient Overlay: offset is not supported');
+    return effect;
+  },
+
+  ebbl: (desc, ctx) => {
+    const effect = { type: 'bevelEmboss', enabled: true };
+    const style = enumOf(desc.bvlS) || 'InrB';
+    effect.style = BEVEL_STYLE_CODES[style] || 'innerBevel';
+    if (!BEVEL_STYLE_CODES[style]) ctx.note(`Bevel & Emboss: ${style === 'OtrB' ? 'outer bevel' : style} style is drawn as inner bevel`);
+    if (['PrBL', 'Slmt'].includes(enumOf(desc.bvlT))) ctx.note('Bevel & Emboss: chisel technique is drawn smooth');
+    effect.direction = enumOf(desc.bvlD) === 'Out' ? 'down' : 'up';
+    effect.depth = numberOf(desc.srgR, 100);
+    effect.size = ctx.px(desc.blur, 5);
+    effect.soften = ctx.px(desc.Sftn, 0);
+    applyLight(effect, desc, ctx, true);
+    const contour = contourKey(desc.TrnS);
+    effect.contour = contour || 'linear';
+    if (!contour) ctx.note(`Bevel & Emboss: gloss contour ${desc.TrnS.Nm || '(custom)'} is drawn linear`);
+    effect.highlight = round(percentOf(desc.hglO, 0.75));
+    effect.shadow = round(percentOf(desc.sdwO, 0.75));
+    if (desc.hglC && colorHex(desc.hglC) !== '#ffffff') ctx.note('Bevel & Emboss: highlight color is drawn white');
+    if (desc.sdwC && colorHex(desc.sdwC) !== '#000000') ctx.note('Bevel & Emboss: shadow color is drawn black');
+    if (enumOf(desc.hglM) && enumOf(desc.hglM) !== 'Scrn') ctx.note('Bevel & Emboss: highlight mode is drawn as screen');
+    if (enumOf(desc.sdwM) && enumOf(desc.sdwM) !== 'Mltp') ctx.note('Bevel & Emboss: shadow mode is drawn as multiply');
+    if (desc.useShape === true) ctx.note('Bevel & Emboss: Contour is not supported');
+    if (desc.useTexture === true) ctx.note('Bevel & Emboss: Texture is not supported');
+    return effect;
+  },
+};
+
+const MULTI_KEYS = {
+  dropShadowMulti: 'DrSh',
+  innerShadowMulti: 'IrSh',
+  frameFXMulti: 'FrFX',
+  gradientFillMulti: 'GrFl',
+};
+
+// Photoshop draws the effects in this order, bottom to top.
+const STACK_ORDER = ['DrSh', 'OrGl', 'FrFX', 'GrFl', 'IrGl', 'IrSh', 'ebbl'];
+
+// Color stops of a `Grdn` descriptor as { location, midpoint, color }.
+function gradientColorStops(grad, label, ctx) {
+  if (!grad || !Array.isArray(grad.Clrs)) return [];
+  return grad.Clrs.map((stop) => {
+    const kind = enumOf(stop.Type);
+    if (kind === 'FrgC' || kind === 'BckC') ctx.note(`${label}: foreground and background color stops are drawn black and white`);
+    let color = kind === 'FrgC' ? '#000000' : kind === 'BckC' ? '#ffffff' : colorHex(stop.Clr);
+    if (!color) {
+      ctx.note(`${label}: gradient color model ${stop.Clr ? stop.Clr._class : '(none)'} is drawn black`);
+      color = '#000000';
+    }
+    return {
+      location: clamp01(numberOf(stop.Lctn, 0) / GRADIENT_SCALE),
+      midpoint: numberOf(stop.Mdpn, 50) / 100,
+      value: color,
+    };
+  }).sort((a, b) => a.location - b.location);
+}
+
+function gradientAlphaStops(grad) {
+  if (!grad || !Array.isArray(grad.Trns)) return [];
+  return grad.Trns.map((stop) => ({
+    location: clamp01(numberOf(stop.Lctn, 0) / GRADIENT_SCALE),
+    midpoint: numberOf(stop.Mdpn, 50) / 100,
+    value: percentOf(stop.Opct, 1),
+  })).sort((a, b) => a.location - b.location);
+}
+
+// Value of `stops` at `position`. A stop's midpoint is where the segment
+// leading up to it is half blended; stops sharing a position make a hard
+// edge, `side` picking the value before ('left') or after it.
+function valueAt(stops, position, side, mix) {
+  const at = stops.filter((stop) => stop.location === position);
+  if (at.length) return (side === 'left' ? at[0] : at[at.length - 1]).value;
+  if (position < stops[0].location) return stops[0].value;
+  const b = stops.findIndex((stop) => stop.location > position);
+  if (b === -1) return stops[stops.length - 1].value;
+  const from = stops[b - 1];
+  const to = stops[b];
+  const t = (position - from.location) / (to.location - from.location);
+  const m = Math.max(0.01, Math.min(0.99, to.midpoint));
+  return mix(from.value, to.value, t < m ? (0.5 * t) / m : 0.5 + (0.5 * (t - m)) / (1 - m));
+}
+
+// Midpoints off the centre become stops of their own, so the renderer's
+// even blends between stops follow Photoshop's bent ones.
+function midpointPositions(stops) {
+  const positions = [];
+  for (let i = 1; i < stops.length; i++) {
+    const { location: from } = stops[i - 1];
+    const { location: to, midpoint } = stops[i];
+    if (to > from && Math.abs(midpoint - 0.5) > 1e-6) positions.push(from + (to - from) * midpoint);
+  }
+  return positions;
+}
+
+// `gradientStops` of a gradient: color and transparency stops merged.
+function gradientStops(grad, ctx) {
+  if (!grad) return [];
+  if (enumOf(grad.GrdF) === 'ClNs') {
+    ctx.note('Gradient Overlay: noise gradient is not supported, the chrome gradient is kept');
+    return [];
+  }
+  const colors = gradientColorStops(grad, 'Gradient Overlay', ctx);
+  if (!colors.length) return [];
+  const alphas = gradientAlphaStops(grad);
+  const positions = [...new Set([
+    ...colors.map((stop) => stop.location),
+    ...alphas.map((stop) => stop.location),
+    ...midpointPositions(colors),
+    ...midpointPositions(alphas),
+  ])].sort((a, b) => a - b);
+  const mixHex = (a, b, t) => mixColor(a, b, t);
+  const mixAlpha = (a, b, t) => a + (b - a) * t;
+  const stops = [];
+  for (const position of positions) {
+    for (const side of ['left', 'right']) {
+      const stop = {
+        position: round(position),
+        color: valueAt(colors, position, side, mixHex),
+        alpha: alphas.length ? round(valueAt(alphas, position, side, mixAlpha)) : 1,
+      };
+      const last = stops[stops.length - 1];
+      if (!last || last.position !== stop.position || last.color !== stop.color || last.alpha !== stop.alpha) stops.push(stop);
+    }
+  }
+  return stops.length === 1 ? [stops[0], { ...stops[0], position: 1 }] : stops;
+}
+
+/** Config and unmapped notes of one `Styl` descriptor. */
+function mapLayerStyle(style) {
+  const lefx = style && style.Lefx;
+  if (!lefx || typeof lefx !== 'object') return { config: { effects: [] }, unmapped: ['Style has no layer effects'] };
+  const ctx = createStyleContext(lefx);
+  if (lefx.masterFXSwitch === false) ctx.note('Layer effects are switched off in this style; imported as if on');
+
+  const mapped = [];
+  for (const [key, desc] of effectEntries(lefx)) {
+    const kind = MULTI_KEYS[key] || key;
+    if (EFFECT_MAPPERS[kind]) {
+      mapped.push([kind, desc]);
+    } else {
+      ctx.note(`${UNSUPPORTED_EFFECTS[key] || key} is not supported`);
+    }
+  }
+  mapped.sort((a, b) => STACK_ORDER.indexOf(a[0]) - STACK_ORDER.indexOf(b[0]));
+  const effects = mapped
+    .map(([kind, desc]) => EFFECT_MAPPERS[kind](desc, ctx))
+    .filter(Boolean);
+
+  const config = { effects, ...ctx.config };
+  if (ctx.light) {
+    config.lightAngle = ctx.light.angle;
+    if (ctx.light.altitude !== null) config.lightAltitude = ctx.light.altitude;
+  }
+  return { config, unmapped: ctx.unmapped };
+}
+
+/**
+ * Every style of an .asl file as `{ name, config, unmapped }`; a style that
+ * could not be read comes back as `{ name, error }`. Throws when `buffer` is
+ * not an .asl file.
+ */
+function importAslStyles(buffer) {
+  return readAslStyles(buffer).map((entry) => {
+    if (entry.error) return { name: entry.name, error: entry.error };
+    return { name: entry.name, ...mapLayerStyle(entry.style) };
+  });
+}
+
+module.exports = {
+  importAslStyles,
+  mapLayerStyle,
+};
@@ -0,0 +1,156 @@
+/**
+ * Color mixing in a chosen color space.
+ *
+ * `colorSpace` picks where the chrome style blends colors: the derived
+ * shades (mixColor, darken, lighten for extrude, rims, bevel, top shade) and
+ * the gradient between stops.
+ *
+ *   srgb    gamma-encoded sRGB channels, the historical blend (default)
+ *   linear  linear-light RGB, physically even mixing of light
+ *   oklab   OKLab, perceptually even lightness; purple-to-white ramps stay
+ *           clean instead of going gray in the middle
+ *   oklch   OKLab in polar form: chroma is kept up and hue turns the short
+ *           way round
+ *
+ * Canvas and SVG gradients always interpolate in sRGB, so expandStops adds
+ * in-between stops mixed in the chosen space.
+ */
+
+const COLOR_SPACES = ['srgb', 'linear', 'oklab', 'oklch'];
+const DEFAULT_COLOR_SPACE = 'srgb';
+
+// In-between stops per gradient segment outside sRGB.
+const STOP_STEPS = 8;
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function normalizeColorSpace(value) {
+  const space = String(value || '').trim().toLowerCase();
+  return COLOR_SPACES.includes(space) ? space : DEFAULT_COLOR_SPACE;
+}
+
+// `#rrggbb` -> [r, g, b] in 0..255.
+function hexChannels(hex) {
+  const raw = String(hex || '').trim();
+  const full = /^#[0-9a-fA-F]{3}$/.test(raw) ? `#${raw[1]}${raw[1]}${raw[2]}${raw[2]}${raw[3]}${raw[3]}` : raw;
+  if (!/^#[0-9a-fA-F]{6}$/.test(full)) return [0, 0, 0];
+  return [1, 3, 5].map((i) => parseInt(full.slice(i, i + 2), 16));
+}
+
+function channelsHex(channels) {
+  return `#${channels.map((c) => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function toLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(v) {
+  const c = clamp01(v);
+  return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+// Björn Ottosson's OKLab, from and to linear sRGB.
+function linearToOklab([r, g, b]) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  ];
+}
+
+function oklabToLinear([L, a, b]) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+}
+
+// Below this chroma a color is gray and its hue means nothing.
+const ACHROMATIC = 1e-4;
+
+function mixOklch(labA, labB, t) {
+  const ca = Math.hypot(labA[1], labA[2]);
+  const cb = Math.hypot(labB[1], labB[2]);
+  let ha = Math.atan2(labA[2], labA[1]);
+  let hb = Math.atan2(labB[2], labB[1]);
+  // A gray end takes the hue of the other, so mixing with white or black
+  // only changes lightness and chroma.
+  if (ca < ACHROMATIC) ha = hb;
+  if (cb < ACHROMATIC) hb = ha;
+  let dh = hb - ha;
+  if (dh > Math.PI) dh -= 2 * Math.PI;
+  else if (dh < -Math.PI) dh += 2 * Math.PI;
+  const L = labA[0] + (labB[0] - labA[0]) * t;
+  const C = ca + (cb - ca) * t;
+  const h = ha + dh * t;
+  return [L, C * Math.cos(h), C * Math.sin(h)];
+}
+
+/** `a` blended towards `b` by `t` (0..1) in `space`; returns `#rrggbb`. */
+function mixColor(a, b, t, space = DEFAULT_COLOR_SPACE) {
+  const p = clamp01(t);
+  const ca = hexChannels(a);
+  const cb = hexChannels(b);
+  const lerp = (x, y) => x + (y - x) * p;
+  if (space === 'linear') {
+    return channelsHex(ca.map((c, i) => fromLinear(lerp(toLinear(c), toLinear(cb[i])))));
+  }
+  if (space === 'oklab' || space === 'oklch') {
+    const labA = linearToOklab(ca.map(toLinear));
+    const labB = linearToOklab(cb.map(toLinear));
+    const lab = space === 'oklch' ? mixOklch(labA, labB, p) : labA.map((v, i) => lerp(v, labB[i]));
+    return channelsHex(oklabToLinear(lab).map(fromLinear));
+  }
+  return channelsHex(ca.map((c, i) => Math.round(lerp(c, cb[i]))));
+}
+
+function darken(hex, t, space = DEFAULT_COLOR_SPACE) {
+  return mixColor(hex, '#000000', t, space);
+}
+
+function lighten(hex, t, space = DEFAULT_COLOR_SPACE) {
+  return mixColor(hex, '#ffffff', t, space);
+}
+
+/**
+ * Gradient stops ([offset, color, alpha?]) with in-between stops mixed in
+ * `space`, so an sRGB gradient renderer draws the ramp of that space.
+ * sRGB stops come back unchanged.
+ */
+function expandStops(stops, space = DEFAULT_COLOR_SPACE) {
+  if (space === 'srgb' || stops.length < 2) return stops;
+  const out = [stops[0]];
+  for (let i = 1; i < stops.length; i++) {
+    const [o0, c0, a0 = 1] = stops[i - 1];
+    const [o1, c1, a1 = 1] = stops[i];
+    if (o1 > o0 && c0 !== c1) {
+      for (let step = 1; step < STOP_STEPS; step++) {
+        const t = step / STOP_STEPS;
+        out.push([o0 + (o1 - o0) * t, mixColor(c0, c1, t, space), a0 + (a1 - a0) * t]);
+      }
+    }
+    out.push(stops[i]);
+  }
+  return out;
+}
+
+module.exports = {
+  COLOR_SPACES,
+  DEFAULT_COLOR_SPACE,
+  darken,
+  expandStops,
+  lighten,
+  mixColor,
+  normalizeColorSpace,
+};
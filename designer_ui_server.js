@@ -2,13 +2,37 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
+const { readFontMetadata } = require('./font_catalog');
+const { renderFontPreview } = require('./font_preview');
+const { parseFontRoots } = require('./font_roots');
+const { MAX_FONT_UPLOAD_BYTES, UPLOAD_SUBDIR, saveUploadedFont } = require('./font_upload');
+const { BLEND_MODES, describeEffectTypes } = require('./layer_effects');
 const { normalizeConfig, render } = require('./generate_clarendon_arc');
+const { MAX_ASL_UPLOAD_BYTES, importAslPresets } = require('./import_asl');
+const {
+  deleteUserPreset,
+  listPresets,
+  saveUserPreset,
+  updateUserPreset,
+} = require('./preset_registry');
 
 const HOST = process.env.HOST || '127.0.0.1';
 const PORT = Number(process.env.PORT || 5173);
 const ROOT_DIR = __dirname;
 const UI_DIR = path.join(ROOT_DIR, 'ui');
 const OUTPUT_DIR = path.join(ROOT_DIR, 'output');
+const FONTS_DIR = path.join(ROOT_DIR, 'fonts');
+const UPLOADS_DIR = path.join(FONTS_DIR, UPLOAD_SUBDIR);
+// Render requests may only use fonts under these directories
+// (`path.delimiter`-separated, relative to the repo; default fonts/). The
+// upload directory is always one of them, so an uploaded font can be used
+// whatever FONT_ROOTS names; it is created up front because missing roots
+// are dropped.
+fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+const FONT_ROOTS = parseFontRoots(
+  [...String(process.env.FONT_ROOTS || FONTS_DIR).split(path.delimiter), UPLOADS_DIR],
+  ROOT_DIR,
+);
 const MAX_BODY_BYTES = 1_000_000;
 
 const MIME_TYPES = {
@@ -17,6 +41,7 @@ const MIME_TYPES = {
   '.js': 'application/javascript; charset=utf-8',
   '.json': 'application/json; charset=utf-8',
   '.png': 'image/png',
+  '.svg': 'image/svg+xml',
 };
 
 let renderCounter = 0;
@@ -40,9 +65,29 @@ function walkFontFiles(baseDir, relDir = '') {
 }
 
 function listAvailableFonts() {
-  const fontsDir = path.join(ROOT_DIR, 'fonts');
-  if (!fs.existsSync(fontsDir)) return [];
-  return walkFontFiles(fontsDir).sort((a, b) => a.localeCompare(b, 'tr'));
+  if (!fs.existsSync(FONTS_DIR)) return [];
+  return walkFontFiles(FONTS_DIR).sort((a, b) => a.localeCompare(b, 'tr'));
+}
+
+function listFontCatalog() {
+  return listAvailableFonts().map((file) => ({
+    file,
+    ...readFontMetadata(path.join(FONTS_DIR, file)),
+  }));
+}
+
+// `/api/fonts/<url-encoded relative file>/preview`; only files from the font
+// list are served.
+function previewFontFile(requestPathname) {
+  const match = /^\/api\/fonts\/(.+)\/preview$/.exec(requestPathname);
+  if (!match) return null;
+  let relative;
+  try {
+    relative = decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+  return listAvailableFonts().includes(relative) ? path.join(FONTS_DIR, relative) : null;
 }
 
 function sendJson(res, statusCode, payload) {
@@ -93,34 +138,91 @@ function safeOutputPath(requestPathname) {
   return null;
 }
 
-function readJsonBody(req) {
+function readRequestBody(req, maxBytes = MAX_BODY_BYTES) {
   return new Promise((resolve, reject) => {
     let bytes = 0;
     const chunks = [];
     req.on('data', (chunk) => {
       bytes += chunk.length;
-      if (bytes > MAX_BODY_BYTES) {
-        reject(new Error('Payload too large'));
+      if (bytes > maxBytes) {
+        const error = new Error('Payload too large');
+        error.statusCode = 413;
+        reject(error);
         req.destroy();
         return;
       }
       chunks.push(chunk);
     });
-    req.on('end', () => {
-      if (chunks.length === 0) {
-        resolve({});
-        return;
-      }
-      try {
-        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
-      } catch {
-        reject(new Error('Invalid JSON payload'));
-      }
-    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
     req.on('error', reject);
   });
 }
 
+async function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  const body = await readRequestBody(req, maxBytes);
+  if (body.length === 0) return {};
+  try {
+    return JSON.parse(body.toString('utf-8'));
+  } catch {
+    throw new Error('Invalid JSON payload');
+  }
+}
+
+// First file part of a multipart/form-data body as `{ name, data }`.
+function parseMultipartFile(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match) return null;
+  const delimiter = Buffer.from(`--${match[1] || match[2].trim()}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = body.subarray(start + delimiter.length, next);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf-8');
+      const fileName = /filename\*?=(?:UTF-8'')?"?([^";\r\n]*)"?/i.exec(headers);
+      if (fileName) {
+        // The part body ends with the CRLF that precedes the next delimiter.
+        const data = part.subarray(headerEnd + 4, part.length - 2);
+        let name = fileName[1];
+        try {
+          name = decodeURIComponent(name);
+        } catch {
+          // Keep the raw name; it is sanitized before use.
+        }
+        return { name, data };
+      }
+    }
+    start = next;
+  }
+  return null;
+}
+
+// Multipart (first file field) or JSON `{ name, data }` with base64 data,
+// optionally as a data: URL. `what` names the upload in errors.
+async function readFileUpload(req, maxBytes, what) {
+  const contentType = String(req.headers['content-type'] || '');
+  if (/^multipart\/form-data/i.test(contentType)) {
+    const body = await readRequestBody(req, maxBytes + MAX_BODY_BYTES);
+    const file = parseMultipartFile(body, contentType);
+    if (!file) throw new Error('Multipart upload has no file part');
+    return file;
+  }
+  const payload = await readJsonBody(req, Math.ceil(maxBytes * 4 / 3) + MAX_BODY_BYTES);
+  const encoded = String(payload.data || '').replace(/^data:[^,]*,/, '');
+  if (!encoded) throw new Error(`${what} needs a file or base64 data`);
+  return { name: payload.name, data: Buffer.from(encoded, 'base64') };
+}
+
+// A config snapshot to save as a preset, validated the way a render would be.
+function presetConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Preset config must be an object');
+  }
+  return normalizeConfig({ ...config, preset: '' });
+}
+
 async function handleRequest(req, res) {
   const baseUrl = `http://${req.headers.host || `${HOST}:${PORT}`}`;
   const url = new URL(req.url, baseUrl);
@@ -136,14 +238,117 @@ async function handleRequest(req, res) {
   }
 
   if (req.method === 'GET' && url.pathname === '/api/defaults') {
-    const preset = String(url.searchParams.get('preset') || '');
-    const config = normalizeConfig({ preset });
-    sendJson(res, 200, { ok: true, config });
+    try {
+      const preset = String(url.searchParams.get('preset') || '');
+      const config = normalizeConfig({ preset });
+      sendJson(res, 200, {
+        ok: true,
+        config,
+        effectTypes: describeEffectTypes(config),
+        blendModes: BLEND_MODES,
+      });
+    } catch (error) {
+      sendJson(res, 400, { ok: false, error: String(error.message || error) });
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/presets') {
+    sendJson(res, 200, { ok: true, presets: listPresets() });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/presets') {
+    try {
+      const payload = await readJsonBody(req);
+      const preset = saveUserPreset({
+        label: payload.label,
+        description: payload.description,
+        config: presetConfig(payload.config),
+      });
+      sendJson(res, 201, { ok: true, preset });
+    } catch (error) {
+      sendJson(res, error.statusCode || 400, { ok: false, error: String(error.message || error) });
+    }
+    return;
+  }
+
+  if ((req.method === 'PUT' || req.method === 'DELETE') && url.pathname.startsWith('/api/presets/')) {
+    try {
+      const id = decodeURIComponent(url.pathname.slice('/api/presets/'.length));
+      if (req.method === 'DELETE') {
+        deleteUserPreset(id);
+        sendJson(res, 200, { ok: true, id });
+        return;
+      }
+      const payload = await readJsonBody(req);
+      const preset = updateUserPreset(id, {
+        label: payload.label,
+        description: payload.description,
+        config: typeof payload.config === 'undefined' ? undefined : presetConfig(payload.config),
+      });
+      sendJson(res, 200, { ok: true, preset });
+    } catch (error) {
+      sendJson(res, error.statusCode || 400, { ok: false, error: String(error.message || error) });
+    }
+    return;
+  }
+
+  // Photoshop layer styles: every style of the .asl becomes a user preset.
+  if (req.method === 'POST' && url.pathname === '/api/asl') {
+    try {
+      const upload = await readFileUpload(req, MAX_ASL_UPLOAD_BYTES, 'Style upload');
+      if (upload.data.length > MAX_ASL_UPLOAD_BYTES) {
+        sendJson(res, 413, { ok: false, error: `Style file is larger than ${MAX_ASL_UPLOAD_BYTES / (1024 * 1024)} MB` });
+        return;
+      }
+      const styles = importAslPresets(upload.data, upload.name);
+      if (!styles.some((style) => style.preset)) {
+        const reason = styles.length ? styles[0].error : 'File has no styles';
+        sendJson(res, 400, { ok: false, error: reason, styles });
+        return;
+      }
+      sendJson(res, 201, { ok: true, styles });
+    } catch (error) {
+      sendJson(res, error.statusCode || 400, { ok: false, error: String(error.message || error) });
+    }
     return;
   }
 
   if (req.method === 'GET' && url.pathname === '/api/fonts') {
-    sendJson(res, 200, { ok: true, fonts: listAvailableFonts() });
+    sendJson(res, 200, { ok: true, fonts: listFontCatalog() });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/fonts') {
+    try {
+      const upload = await readFileUpload(req, MAX_FONT_UPLOAD_BYTES, 'Font upload');
+      const saved = saveUploadedFont(FONTS_DIR, upload, listAvailableFonts());
+      const font = { file: saved.file, ...readFontMetadata(path.join(FONTS_DIR, saved.file)) };
+      sendJson(res, saved.duplicate ? 200 : 201, { ok: true, duplicate: saved.duplicate, font });
+    } catch (error) {
+      sendJson(res, error.statusCode || 400, { ok: false, error: String(error.message || error) });
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname.startsWith('/api/fonts/') && url.pathname.endsWith('/preview')) {
+    const fontFile = previewFontFile(url.pathname);
+    if (!fontFile) {
+      sendJson(res, 404, { ok: false, error: 'Font not found' });
+      return;
+    }
+    // node-canvas decides what it can draw: .ttc collections have no
+    // outline metadata but still render.
+    let png;
+    try {
+      png = renderFontPreview(fontFile, url.searchParams.get('text'));
+    } catch (error) {
+      sendJson(res, 400, { ok: false, error: String(error.message || error) });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=300' });
+    res.end(png);
     return;
   }
 
@@ -152,15 +357,20 @@ async function handleRequest(req, res) {
       const payload = await readJsonBody(req);
       const out = sanitizeOutName(payload.out);
       const config = normalizeConfig({ ...payload, out });
-      const result = render(config, { quiet: true });
+      const result = render(config, { quiet: true, fontRoots: FONT_ROOTS });
+      const version = Date.now();
+      const svgUrl = result.svgPath ? `/output/${path.basename(result.svgPath)}?v=${version}` : null;
       sendJson(res, 200, {
         ok: true,
-        imageUrl: `/output/${path.basename(result.pngPath)}?v=${Date.now()}`,
+        imageUrl: result.pngPath ? `/output/${path.basename(result.pngPath)}?v=${version}` : svgUrl,
+        svgUrl,
         font: result.fontInfo,
+        warnings: result.warnings,
+        rasterizedEffects: result.rasterizedEffects,
         config: result.cfg,
       });
     } catch (error) {
-      sendJson(res, 400, { ok: false, error: String(error.message || error) });
+      sendJson(res, error.statusCode || 400, { ok: false, error: String(error.message || error) });
     }
     return;
   }
@@ -192,5 +402,6 @@ const server = http.createServer((req, res) => {
 
 server.listen(PORT, HOST, () => {
   console.log(`Designer UI running: http://${HOST}:${PORT}`);
+  console.log(`Font roots: ${FONT_ROOTS.length ? FONT_ROOTS.join(', ') : '(none, custom fonts disabled)'}`);
   console.log('Press Ctrl+C to stop.');
 });
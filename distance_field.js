@@ -0,0 +1,255 @@
+/**
+ * Distance-field shading for the Bevel & Emboss, inner glow, inner shadow and
+ * drop shadow effects.
+ *
+ * The glyph mask (RGBA pixels, alpha = coverage) is turned into a signed
+ * distance field: pixels inside the letters get their distance to the
+ * nearest edge as a positive value, pixels outside a negative one. Edge
+ * pixels use their coverage for sub-pixel accuracy, so the field is smooth
+ * across anti-aliased outlines.
+ *
+ * A bevel style maps that distance to a height, the height map is softened
+ * and lit by a distant light (angle + altitude, Photoshop conventions: angle
+ * counter-clockwise from the right, altitude up from the surface). Slopes
+ * facing the light become highlight, slopes facing away become shadow; flat
+ * areas get neither, so the shading follows the letter shapes instead of the
+ * canvas axis.
+ *
+ * Shadows and glows use the field to spread or choke the mask by an exact
+ * distance before blurring it, so the solid part keeps an even width around
+ * every letter.
+ */
+
+const INF = 1e20;
+
+const BEVEL_STYLES = ['innerBevel', 'emboss', 'pillowEmboss'];
+
+// Gloss contours remap the 0..1 highlight and shadow strengths.
+const GLOSS_CONTOURS = {
+  linear: (u) => u,
+  cone: (u) => 1 - Math.abs(2 * u - 1),
+  coneInverted: (u) => Math.abs(2 * u - 1),
+  gaussian: (u) => u * u * (3 - 2 * u),
+  halfRound: (u) => Math.sqrt(1 - (1 - u) * (1 - u)),
+  ring: (u) => 0.5 - 0.5 * Math.cos(4 * Math.PI * u),
+};
+
+// One row or column of the Felzenszwalb-Huttenlocher squared distance
+// transform, in place on `grid`.
+function edt1d(grid, offset, stride, length, f, v, z) {
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  f[0] = grid[offset];
+  for (let q = 1, k = 0, s = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+    const q2 = q * q;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    const qr = q - r;
+    grid[offset + q * stride] = f[r] + qr * qr;
+  }
+}
+
+function edt2d(grid, width, height) {
+  const size = Math.max(width, height);
+  const f = new Float64Array(size);
+  const v = new Uint32Array(size);
+  const z = new Float64Array(size + 1);
+  for (let x = 0; x < width; x++) edt1d(grid, x, width, height, f, v, z);
+  for (let y = 0; y < height; y++) edt1d(grid, y * width, 1, width, f, v, z);
+}
+
+/**
+ * Signed distance (px) of every pixel to the mask outline: positive inside,
+ * negative outside. `src` is RGBA pixel data; alpha is the coverage.
+ */
+function signedDistanceField(src, width, height) {
+  const n = width * height;
+  const outer = new Float32Array(n);
+  const inner = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const a = src[i * 4 + 3] / 255;
+    if (a >= 1) {
+      outer[i] = 0;
+      inner[i] = INF;
+    } else if (a <= 0) {
+      outer[i] = INF;
+      inner[i] = 0;
+    } else {
+      // Partly covered pixel: the edge passes through it, (0.5 - a) px away.
+      const d = 0.5 - a;
+      outer[i] = d > 0 ? d * d : 0;
+      inner[i] = d < 0 ? d * d : 0;
+    }
+  }
+  edt2d(outer, width, height);
+  edt2d(inner, width, height);
+  const field = new Float32Array(n);
+  for (let i = 0; i < n; i++) field[i] = Math.sqrt(inner[i]) - Math.sqrt(outer[i]);
+  return field;
+}
+
+// Separable box blur, run twice for a softer (tent-shaped) kernel.
+function blurField(values, width, height, radius) {
+  const r = Math.round(radius);
+  if (r < 1) return;
+  const tmp = new Float32Array(Math.max(width, height));
+  const pass = (offset, stride, length) => {
+    let sum = 0;
+    for (let i = -r; i <= r; i++) sum += values[offset + Math.max(0, Math.min(length - 1, i)) * stride];
+    for (let i = 0; i < length; i++) {
+      tmp[i] = sum / (2 * r + 1);
+      const add = Math.min(length - 1, i + r + 1);
+      const drop = Math.max(0, i - r);
+      sum += values[offset + add * stride] - values[offset + drop * stride];
+    }
+    for (let i = 0; i < length; i++) values[offset + i * stride] = tmp[i];
+  };
+  for (let iteration = 0; iteration < 2; iteration++) {
+    for (let y = 0; y < height; y++) pass(y * width, 1, width);
+    for (let x = 0; x < width; x++) pass(x, width, height);
+  }
+}
+
+// Rounded bevel profile: steep at the edge, flat where the bevel ends.
+function bevelProfile(t) {
+  return Math.sin(Math.max(0, Math.min(1, t)) * Math.PI / 2);
+}
+
+// Height of a pixel at signed distance `sd` for a bevel style.
+function styleHeight(style, sd, size) {
+  const half = size / 2;
+  if (style === 'emboss') return bevelProfile((sd + half) / size) * size;
+  if (style === 'pillowEmboss') return bevelProfile(Math.abs(sd) / half) * half;
+  return sd > 0 ? bevelProfile(sd / size) * size : 0;
+}
+
+/**
+ * Highlight and shadow strengths (0..1 per pixel) of a bevel over the mask
+ * in `src` (RGBA pixel data). Options:
+ *   style      innerBevel | emboss | pillowEmboss
+ *   direction  up (raised) | down (carved)
+ *   depth      slope steepness in percent (100 = bevel as high as it is wide)
+ *   size       bevel width in px
+ *   soften     extra blur of the height map in px
+ *   angle      light direction in degrees, counter-clockwise from the right
+ *   altitude   light elevation in degrees (90 = straight on)
+ *   contour    gloss contour name, see GLOSS_CONTOURS
+ */
+function bevelShading(src, width, height, options = {}) {
+  const n = width * height;
+  const style = BEVEL_STYLES.includes(options.style) ? options.style : 'innerBevel';
+  const size = Math.max(1, Number(options.size) || 1);
+  const depth = Math.max(0.01, Number(options.depth) || 100) / 100;
+  const sign = options.direction === 'down' ? -1 : 1;
+  const contour = GLOSS_CONTOURS[options.contour] || GLOSS_CONTOURS.linear;
+
+  const field = signedDistanceField(src, width, height);
+  const heights = new Float32Array(n);
+  for (let i = 0; i < n; i++) heights[i] = sign * depth * styleHeight(style, field[i], size);
+  // Always smooth a little: pixel-quantized distances leave terraces.
+  blurField(heights, width, height, Math.max(1, Number(options.soften) || 0));
+
+  const angle = ((Number(options.angle) || 0) * Math.PI) / 180;
+  const altitude = (Math.max(0, Math.min(90, Number(options.altitude) || 0)) * Math.PI) / 180;
+  const lx = Math.cos(altitude) * Math.cos(angle);
+  const ly = -Math.cos(altitude) * Math.sin(angle);
+  const lz = Math.sin(altitude);
+  // Lighting of a flat surface, and the most a slope can gain or lose on it.
+  const hiRange = Math.max(1e-3, 1 - lz);
+  const shRange = 1 + lz;
+
+  const highlight = new Float32Array(n);
+  const shadow = new Float32Array(n);
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(0, y - 1) * width;
+    const down = Math.min(height - 1, y + 1) * width;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const coverage = src[i * 4 + 3] / 255;
+      // The inner bevel only shades the letters; emboss styles spill outside.
+      const weight = style === 'innerBevel' ? coverage : 1;
+      if (weight <= 0) continue;
+      const gx = (heights[y * width + Math.min(width - 1, x + 1)] - heights[y * width + Math.max(0, x - 1)]) / 2;
+      const gy = (heights[down + x] - heights[up + x]) / 2;
+      if (gx === 0 && gy === 0) continue;
+      const lit = (-gx * lx - gy * ly + lz) / Math.sqrt(gx * gx + gy * gy + 1) - lz;
+      if (lit > 0) highlight[i] = contour(Math.min(1, lit / hiRange)) * weight;
+      else shadow[i] = contour(Math.min(1, -lit / shRange)) * weight;
+    }
+  }
+  return { highlight, shadow };
+}
+
+// Bilinear sample of the field; pixels beyond it count as far outside.
+function sampleField(field, width, height, x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const at = (px, py) => (px < 0 || py < 0 || px >= width || py >= height ? -INF : field[py * width + px]);
+  const top = at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx;
+  const bottom = at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Alpha (0..1 per pixel) of a soft shadow or glow of the mask in `src`
+ * (RGBA pixel data). The mask is grown (spread) or shrunk (choke) by the
+ * solid share of `size` through its distance field, then blurred over the
+ * rest. Options:
+ *   kind    drop (outside the letters, knocked out by them) | inner (from the
+ *           edges inwards) | center (from the middle of the strokes outwards)
+ *   size    width of the soft edge in px
+ *   spread  0..100, share of `size` that stays solid (choke for inner kinds)
+ *   dx, dy  offset of the shadow in px
+ */
+function softShadowAlpha(src, width, height, options = {}) {
+  const n = width * height;
+  const size = Math.max(0, Number(options.size) || 0);
+  const solid = (Math.max(0, Math.min(100, Number(options.spread) || 0)) / 100) * size;
+  const dx = Number(options.dx) || 0;
+  const dy = Number(options.dy) || 0;
+  const kind = ['drop', 'inner', 'center'].includes(options.kind) ? options.kind : 'drop';
+
+  const field = signedDistanceField(src, width, height);
+  const alpha = new Float32Array(n);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const sd = dx === 0 && dy === 0 ? field[i] : sampleField(field, width, height, x - dx, y - dy);
+      // Coverage of the shifted outline moved `solid` px out (drop) or in.
+      const cover = Math.max(0, Math.min(1, (kind === 'drop' ? sd + solid : sd - solid) + 0.5));
+      alpha[i] = kind === 'drop' ? cover : 1 - cover;
+    }
+  }
+  // Two box passes of radius r reach 2r: the blur spans the non-solid share.
+  blurField(alpha, width, height, (size - solid) / 2);
+
+  for (let i = 0; i < n; i++) {
+    const coverage = src[i * 4 + 3] / 255;
+    if (kind === 'drop') alpha[i] *= 1 - coverage;
+    else if (kind === 'inner') alpha[i] *= coverage;
+    else alpha[i] = (1 - alpha[i]) * coverage;
+  }
+  return alpha;
+}
+
+module.exports = {
+  BEVEL_STYLES,
+  GLOSS_CONTOURS,
+  bevelShading,
+  signedDistanceField,
+  softShadowAlpha,
+};
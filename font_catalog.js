@@ -0,0 +1,100 @@
+/**
+ * Font metadata for the designer's font picker.
+ *
+ * Reads the name table (family, subfamily, version, copyright, license),
+ * the OS/2 weight and embedding bits and the glyph count of a font file, and
+ * classifies the license text so the UI can flag fonts that must not be used
+ * in products for sale. The classification is a heuristic over the license
+ * strings embedded in the font; `unknown` means nobody has checked it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FONT_READ_ERROR, loadOutlineFont } = require('./glyph_outlines');
+
+const RESTRICTED_LICENSE = /non[-\s]?commercial|personal[-\s]use|for\s+personal|not\s+for\s+commercial|demo(?:nstration)?\s+(?:version|font)|evaluation\s+(?:version|only)|shareware/i;
+const OPEN_LICENSE = /SIL\s+Open\s+Font\s+License|\bOFL\b|Apache\s+(?:License|2\.0)|\bMIT\s+License\b|Ubuntu\s+Font\s+Licen[cs]e|GNU\s+General\s+Public|public\s+domain|\bCC0\b/i;
+
+// OS/2 fsType bits 1-3; 0 means installable embedding.
+const EMBEDDING = [[0x0002, 'restricted'], [0x0004, 'preview-print'], [0x0008, 'editable']];
+
+const metadataCache = new Map();
+
+// opentype.js groups name records by platform (windows, macintosh,
+// unicode); older releases kept one flat table.
+function nameOf(names, key) {
+  for (const table of [names.windows, names.macintosh, names.unicode, names]) {
+    const entry = table && table[key];
+    const value = entry && (entry.en || Object.values(entry)[0]);
+    if (value) return String(value).replace(/\r\n?/g, '\n').trim();
+  }
+  return null;
+}
+
+function classifyLicense(texts) {
+  const joined = texts.filter(Boolean).join('\n');
+  if (RESTRICTED_LICENSE.test(joined)) return 'restricted';
+  if (OPEN_LICENSE.test(joined)) return 'allowed';
+  return 'unknown';
+}
+
+function embeddingOf(fsType) {
+  const found = EMBEDDING.find(([bit]) => (fsType & bit) !== 0);
+  return found ? found[1] : 'installable';
+}
+
+/**
+ * Metadata of one font file. Files opentype.js cannot read (collections,
+ * broken downloads) come back with `error` set and only the file name.
+ */
+function readFontMetadata(fontFile) {
+  const file = path.resolve(String(fontFile || ''));
+  const stat = fs.statSync(file);
+  const cached = metadataCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.metadata;
+
+  let metadata;
+  try {
+    const font = loadOutlineFont(file);
+    const names = font.names || {};
+    const os2 = font.tables.os2;
+    const family = nameOf(names, 'preferredFamily') || nameOf(names, 'fontFamily');
+    const subfamily = nameOf(names, 'preferredSubfamily') || nameOf(names, 'fontSubfamily');
+    const copyright = nameOf(names, 'copyright');
+    const license = nameOf(names, 'license');
+    const licenseUrl = nameOf(names, 'licenseURL');
+    metadata = {
+      name: family ? [family, subfamily].filter(Boolean).join(' ') : path.basename(file),
+      family,
+      subfamily,
+      weight: os2 ? os2.usWeightClass : null,
+      version: nameOf(names, 'version'),
+      copyright,
+      license,
+      licenseUrl,
+      glyphCount: font.numGlyphs,
+      embedding: os2 ? embeddingOf(os2.fsType) : null,
+      commercialUse: classifyLicense([license, licenseUrl, copyright, nameOf(names, 'description')]),
+      bytes: stat.size,
+    };
+  } catch (error) {
+    // Only unreadable files are listed with an error; anything else is a bug.
+    if (error.code !== FONT_READ_ERROR) throw error;
+    metadata = {
+      name: path.basename(file),
+      family: null,
+      subfamily: null,
+      weight: null,
+      bytes: stat.size,
+      commercialUse: 'unknown',
+      error: String(error.message || error).split(file).join(path.basename(file)),
+    };
+  }
+  metadataCache.set(file, { metadata, mtimeMs: stat.mtimeMs });
+  return metadata;
+}
+
+module.exports = {
+  classifyLicense,
+  readFontMetadata,
+};
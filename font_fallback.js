@@ -0,0 +1,124 @@
+/**
+ * Font chain with per-character fallback.
+ *
+ * node-canvas silently swaps in a system font for characters the selected
+ * face lacks (ğ, ş in many display fonts), which looks broken next to the
+ * chrome styling. A chain checks each grapheme against the cmap of the
+ * primary font and then each configured fallback, and the renderers draw the
+ * grapheme with the first face that has it.
+ *
+ * A face is `{ family, file, source }` as returned by pickFont. Font
+ * collections (.ttc) have no outlines for opentype.js, so their cmap is
+ * unknown and they count as covering everything. Any other face that cannot
+ * be read covers nothing and is reported in the warnings.
+ */
+
+const path = require('path');
+const { fontKerning, noKerning, splitGraphemes } = require('./glyph_layout');
+const { FONT_READ_ERROR, isFontCollection, loadOutlineFont } = require('./glyph_outlines');
+
+// Code points that never need a glyph of their own: combining marks (drawn
+// with their base), joiners and variation selectors.
+const NO_GLYPH_NEEDED = /[\p{M}\u200C\u200D\uFE00-\uFE0F]/u;
+
+function fontCovers(font, cluster) {
+  for (const ch of cluster) {
+    if (NO_GLYPH_NEEDED.test(ch)) continue;
+    if (!(font.charToGlyphIndex(ch) > 0)) return false;
+  }
+  return true;
+}
+
+function codePoints(cluster) {
+  return Array.from(cluster, (ch) => ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')).join(' U+');
+}
+
+// Registered families are internal aliases; users know their fonts by file.
+function faceName(face) {
+  return path.basename(face.file);
+}
+
+// `{ font }`, `{ font: null, collection: true }` for a .ttc, or
+// `{ font: null, error }` when the file is not a readable font.
+function loadChainFont(face) {
+  if (isFontCollection(face.file)) return { font: null, collection: true };
+  try {
+    return { font: loadOutlineFont(face.file) };
+  } catch (error) {
+    if (error.code !== FONT_READ_ERROR) throw error;
+    return { font: null, error };
+  }
+}
+
+/**
+ * Chain over `faces` (primary first). `faceOf(cluster)` is the index of the
+ * face that draws a grapheme, `kern(left, right, size, face)` that face's pair
+ * kerning in px (0 when `kerning` is off) and `outlineFont(face)` its
+ * opentype.js font for the vector renderers.
+ */
+function createFontChain(faces, { kerning = true } = {}) {
+  const loaded = faces.map(loadChainFont);
+  // Only faces without readable outlines go unkerned: collections
+  // silently, unreadable files with a warning.
+  const kerns = loaded.map((entry) => (kerning && entry.font ? fontKerning(entry.font) : noKerning));
+  const faceCache = new Map();
+
+  const findFace = (cluster) => loaded.findIndex((entry) => (entry.font ? fontCovers(entry.font, cluster) : Boolean(entry.collection)));
+
+  const faceOf = (cluster) => {
+    let face = faceCache.get(cluster);
+    if (face === undefined) {
+      // Nobody has it: keep the primary face, node-canvas picks a system font.
+      face = Math.max(0, findFace(cluster));
+      faceCache.set(cluster, face);
+    }
+    return face;
+  };
+
+  /**
+   * Warnings for the graphemes of `texts`: one per character drawn from a
+   * fallback face and one per character no face in the chain has, after one
+   * per face that could not be read.
+   */
+  const coverageWarnings = (texts) => {
+    const warnings = [];
+    loaded.forEach((entry, index) => {
+      if (!entry.error) return;
+      const message = entry.error.message.split(faces[index].file).join(faceName(faces[index]));
+      const unchecked = kerning ? 'its glyph coverage and kerning are' : 'its glyph coverage is';
+      warnings.push(`Could not read ${faceName(faces[index])}, ${unchecked} not checked: ${message}`);
+    });
+    const seen = new Set();
+    for (const text of texts) {
+      for (const cluster of splitGraphemes(text)) {
+        if (seen.has(cluster) || /^\s+$/u.test(cluster)) continue;
+        seen.add(cluster);
+        const face = findFace(cluster);
+        if (face < 0) {
+          const names = faces.map(faceName).join(', ');
+          warnings.push(`Missing glyph "${cluster}" (U+${codePoints(cluster)}) in ${names}`);
+        } else if (face > 0) {
+          warnings.push(`Glyph "${cluster}" not in ${faceName(faces[0])}, drawn with ${faceName(faces[face])}`);
+        }
+      }
+    }
+    return warnings;
+  };
+
+  return {
+    faces,
+    faceOf,
+    kern(left, right, size, face = 0) {
+      return kerns[face](left, right, size);
+    },
+    outlineFont(face = 0) {
+      return loadOutlineFont(faces[face].file);
+    },
+    coverageWarnings,
+  };
+}
+
+module.exports = {
+  createFontChain,
+  fontCovers,
+};
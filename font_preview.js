@@ -0,0 +1,55 @@
+/**
+ * Sample thumbnails for the designer's font picker.
+ *
+ * A plain white-on-dark line of sample text in the font, fitted to a small
+ * PNG. Thumbnails are cached per file version and text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCanvas } = require('canvas');
+const { registerFontFile } = require('./font_registry');
+
+const PREVIEW_WIDTH = 360;
+const PREVIEW_HEIGHT = 96;
+const PREVIEW_PADDING = 14;
+const DEFAULT_SAMPLE = 'KEREM ĞŞİ Aa';
+const MAX_SAMPLE_LENGTH = 32;
+const MAX_CACHE_ENTRIES = 200;
+
+const previewCache = new Map();
+
+function renderFontPreview(fontFile, sampleText) {
+  const file = path.resolve(String(fontFile || ''));
+  const text = Array.from(String(sampleText || DEFAULT_SAMPLE)).slice(0, MAX_SAMPLE_LENGTH).join('') || DEFAULT_SAMPLE;
+  const { mtimeMs } = fs.statSync(file);
+  const key = `${file}\u0000${mtimeMs}\u0000${text}`;
+  const cached = previewCache.get(key);
+  if (cached) return cached;
+
+  const { family } = registerFontFile(file);
+  const canvas = createCanvas(PREVIEW_WIDTH, PREVIEW_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#10131f';
+  ctx.fillRect(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+
+  // Fit the sample to the box: measure once at a reference size, then scale.
+  const reference = 100;
+  ctx.font = `${reference}px "${family}"`;
+  const width = Math.max(1, ctx.measureText(text).width);
+  const size = Math.max(8, Math.min(PREVIEW_HEIGHT * 0.62, (reference * (PREVIEW_WIDTH - PREVIEW_PADDING * 2)) / width));
+  ctx.font = `${size}px "${family}"`;
+  ctx.fillStyle = '#f4f6ff';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, PREVIEW_WIDTH / 2, PREVIEW_HEIGHT / 2);
+
+  const png = canvas.toBuffer('image/png');
+  if (previewCache.size >= MAX_CACHE_ENTRIES) previewCache.clear();
+  previewCache.set(key, png);
+  return png;
+}
+
+module.exports = {
+  renderFontPreview,
+};
@@ -0,0 +1,56 @@
+/**
+ * Font registration for node-canvas.
+ *
+ * node-canvas cannot unregister fonts, and a family name keeps pointing at
+ * the first file registered under it. Reusing one family for every picked
+ * file (the old `ClarendonBlkBT` alias) made the long-running designer
+ * server draw whichever font came first, so a font comparison could render
+ * the same face for every entry.
+ *
+ * The registry gives each file a stable family of its own, derived from its
+ * path and modification time, registers it once and caches the result. A
+ * replaced file gets a new family instead of silently reusing the old face.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { registerFont } = require('canvas');
+const { readFontMetadata } = require('./font_catalog');
+
+const registry = new Map();
+
+function familyFor(file, mtimeMs) {
+  const base = path.basename(file, path.extname(file)).replace(/[^A-Za-z0-9]/g, '') || 'Font';
+  const hash = crypto.createHash('sha1').update(`${file}\u0000${mtimeMs}`).digest('hex').slice(0, 10);
+  return `${base}_${hash}`;
+}
+
+// The face that is actually drawn, from the font's name table, so callers
+// can report it rather than the internal alias.
+function describeFace(file) {
+  const { name, family, subfamily, weight } = readFontMetadata(file);
+  return { name, family, subfamily, weight };
+}
+
+/**
+ * Registers `fontFile` (once) and returns `{ family, file, face }`, where
+ * `family` is the canvas family to draw with and `face` describes the font.
+ * Throws when node-canvas cannot load the file.
+ */
+function registerFontFile(fontFile) {
+  const file = path.resolve(String(fontFile || ''));
+  const stat = fs.statSync(file);
+  const cached = registry.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.entry;
+
+  const family = familyFor(file, stat.mtimeMs);
+  registerFont(file, { family });
+  const entry = { family, file, face: describeFace(file) };
+  registry.set(file, { entry, mtimeMs: stat.mtimeMs });
+  return entry;
+}
+
+module.exports = {
+  registerFontFile,
+};
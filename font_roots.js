@@ -0,0 +1,82 @@
+/**
+ * Font root sandbox.
+ *
+ * The CLI takes any font path its user types, but the designer server gets
+ * `fontFile` / `fallbackFonts` from whoever can reach it. With font roots set,
+ * a font only resolves when its real path (symlinks followed) lies inside one
+ * of the root directories; anything else fails with an HTTP-style
+ * `statusCode` before node-canvas or opentype.js open the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function fontPathError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isInside(file, root) {
+  return file === root || file.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+}
+
+/**
+ * Root directories from a `path.delimiter`-separated list (relative entries
+ * resolve against `baseDir`). Each root is kept both as given and as its real
+ * path, so either spelling of a file inside it matches. Roots that do not
+ * exist are dropped.
+ */
+function parseFontRoots(value, baseDir = process.cwd()) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(path.delimiter);
+  const roots = [];
+  for (const entry of entries) {
+    const raw = String(entry || '').trim();
+    if (!raw) continue;
+    try {
+      const resolved = path.resolve(baseDir, raw);
+      const real = fs.realpathSync(resolved);
+      if (!fs.statSync(real).isDirectory()) continue;
+      for (const root of [resolved, real]) {
+        if (!roots.includes(root)) roots.push(root);
+      }
+    } catch {
+      // Missing root: nothing can resolve inside it.
+    }
+  }
+  return roots;
+}
+
+// Lexical check, so paths outside the roots are refused without touching them.
+function isWithinFontRoots(file, roots) {
+  const abs = path.resolve(file);
+  return roots.some((root) => isInside(abs, root));
+}
+
+/**
+ * `file` as a real path when it is a regular file inside `roots`. Throws 403
+ * for paths (or symlink targets) outside the roots and 404 for missing files.
+ */
+function resolveInFontRoots(file, roots, label = file) {
+  if (!isWithinFontRoots(file, roots)) {
+    throw fontPathError(`Font path is outside the allowed font roots: ${label}`, 403);
+  }
+  let real;
+  try {
+    real = fs.realpathSync(file);
+  } catch {
+    throw fontPathError(`Font file bulunamadi: ${label}`, 404);
+  }
+  if (!isWithinFontRoots(real, roots)) {
+    throw fontPathError(`Font path is outside the allowed font roots: ${label}`, 403);
+  }
+  if (!fs.statSync(real).isFile()) throw fontPathError(`Font file bulunamadi: ${label}`, 404);
+  return real;
+}
+
+module.exports = {
+  fontPathError,
+  isWithinFontRoots,
+  parseFontRoots,
+  resolveInFontRoots,
+};
@@ -0,0 +1,118 @@
+/**
+ * Storing fonts uploaded through the designer.
+ *
+ * Uploads land in `fonts/uploads/` so they show up in the font list next to
+ * the curated files without mixing with them. A file is only kept when it
+ * looks like a TTF/OTF (sfnt signature) and opentype.js can parse it; the
+ * name is reduced to a safe basename and re-uploading a file that is already
+ * in the fonts directory returns the existing entry instead of a copy.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FONT_READ_ERROR, parseOutlineFont } = require('./glyph_outlines');
+
+const MAX_FONT_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UPLOAD_SUBDIR = 'uploads';
+
+// sfnt version tags: TrueType outlines (0x00010000 or 'true') and CFF ('OTTO').
+const SFNT_SIGNATURES = [
+  [Buffer.from([0x00, 0x01, 0x00, 0x00]), '.ttf'],
+  [Buffer.from('true', 'latin1'), '.ttf'],
+  [Buffer.from('OTTO', 'latin1'), '.otf'],
+];
+
+function uploadError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sfntExtension(data) {
+  const found = SFNT_SIGNATURES.find(([signature]) => data.subarray(0, 4).equals(signature));
+  return found ? found[1] : null;
+}
+
+function sanitizeFontName(rawName, ext) {
+  const raw = String(rawName || '').replace(/\\/g, '/');
+  const base = path.basename(raw, path.extname(raw))
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^[_-]+|[_-]+$/g, '')
+    .slice(0, 80);
+  return `${base || 'font'}${ext}`;
+}
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function findIdenticalFont(fontsDir, data, fontFiles) {
+  const hash = sha1(data);
+  return fontFiles.find((file) => {
+    const abs = path.join(fontsDir, file);
+    try {
+      return fs.statSync(abs).size === data.length && sha1(fs.readFileSync(abs)) === hash;
+    } catch {
+      return false;
+    }
+  }) || null;
+}
+
+// Same parser as the font list and renderers, so an accepted upload is
+// never listed as unreadable.
+function parseFont(data) {
+  let font;
+  try {
+    font = parseOutlineFont(data);
+  } catch (error) {
+    if (error.code !== FONT_READ_ERROR) throw error;
+    throw uploadError(`Could not parse font file: ${error.message}`, 422);
+  }
+  if (!(font.numGlyphs > 1)) throw uploadError('Font file has no glyphs', 422);
+  return font;
+}
+
+/**
+ * Validates an uploaded font and writes it to `<fontsDir>/uploads/`.
+ * `fontFiles` are the font list's paths relative to `fontsDir`, used to spot
+ * re-uploads. Returns `{ file, duplicate }` with `file` relative to
+ * `fontsDir`. Errors carry an HTTP `statusCode`.
+ */
+function saveUploadedFont(fontsDir, { name, data }, fontFiles = []) {
+  if (!Buffer.isBuffer(data) || data.length === 0) throw uploadError('Font upload is empty');
+  if (data.length > MAX_FONT_UPLOAD_BYTES) {
+    throw uploadError(`Font file is larger than ${MAX_FONT_UPLOAD_BYTES / (1024 * 1024)} MB`, 413);
+  }
+  const ext = sfntExtension(data);
+  if (!ext) throw uploadError('Only TTF/OTF font files can be uploaded', 415);
+  parseFont(data);
+
+  const existing = findIdenticalFont(fontsDir, data, fontFiles);
+  if (existing) return { file: existing, duplicate: true };
+
+  const uploadDir = path.join(fontsDir, UPLOAD_SUBDIR);
+  fs.mkdirSync(uploadDir, { recursive: true });
+  const fileName = sanitizeFontName(name, ext);
+  const stem = path.basename(fileName, ext);
+  for (let n = 1; ; n += 1) {
+    const candidate = n === 1 ? fileName : `${stem}-${n}${ext}`;
+    try {
+      // 'wx' fails when the name is taken, so concurrent uploads never overwrite.
+      fs.writeFileSync(path.join(uploadDir, candidate), data, { flag: 'wx' });
+      return { file: `${UPLOAD_SUBDIR}/${candidate}`, duplicate: false };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+module.exports = {
+  MAX_FONT_UPLOAD_BYTES,
+  UPLOAD_SUBDIR,
+  saveUploadedFont,
+  sanitizeFontName,
+};
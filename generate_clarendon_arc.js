@@ -11,18 +11,90 @@
  * Usage:
  *   node generate_clarendon_arc.js
  *   node generate_clarendon_arc.js --text "KEREM" --bend 0.28 --size 220 --out clarendon_kerem
+ *   node generate_clarendon_arc.js --background transparent --out clarendon_alpha
+ *   node generate_clarendon_arc.js --text $'KEREM\nYILMAZ' --lineScale 1,0.7 --lineHeight 1.2
+ *   node generate_clarendon_arc.js --text "AVATAR" --kerning false
+ *   node generate_clarendon_arc.js --text "İlkay Şükrü" --textCase upper-tr
+ *   node generate_clarendon_arc.js --fontFile Anton-Regular.ttf --text "ĞÜŞ" --fallbackFonts "Ultra.ttf"
+ *   node generate_clarendon_arc.js --curveMode arc --format both --out clarendon_vector
+ *   node generate_clarendon_arc.js --curveMode arc --arcDirection down --bend 0.3
+ *   node generate_clarendon_arc.js --curveMode bottomWarp --warpBackend mesh --meshCols 128 --meshSampling bicubic
+ *   node generate_clarendon_arc.js --curveMode arcCurve --curve 40 --warpPipeline vector
+ *   node generate_clarendon_arc.js --curveMode flag --envelopeBend 40 --envelopeHDistortion -20
+ *   node generate_clarendon_arc.js --curveMode path --textPath "M 80 520 C 420 160 860 880 1200 520"
+ *   node generate_clarendon_arc.js --curveMode badge --topText "KEREM" --bottomText "EST 2024" --badgeRingWidth 8
+ *   node generate_clarendon_arc.js --background gradient --backgroundColor "#12051a" --backgroundGradientColor "#3a1248"
+ *   node generate_clarendon_arc.js --effects '[{"type":"gradientOverlay"},{"type":"bevelEmboss","style":"pillowEmboss","size":16}]'
+ *   node generate_clarendon_arc.js --effects '[{"type":"dropShadow","distance":14},{"type":"gradientOverlay"},{"type":"innerShadow","color":"#301040"}]'
+ *   node generate_clarendon_arc.js --lightAngle 45 --lightAltitude 40
+ *   node generate_clarendon_arc.js --colorSpace oklch
+ *   node generate_clarendon_arc.js --preset rose-gold
+ *   node import_asl.js --in styles.asl --save true && node generate_clarendon_arc.js --preset user/<style-name>
+ *   node generate_clarendon_arc.js --gradientAngle 60 --gradientStops '[{"position":0,"color":"#cc1066"},{"position":0.32,"color":"#ffffff"},{"position":0.5,"color":"#ff90d8"},{"position":0.58,"color":"#ffffff"},{"position":1,"color":"#440022"}]'
  *
  * Optional font install:
  *   Put a licensed Clarendon Blk BT font file into ./fonts and pass:
  *   --fontFile ClarendonBlkBT.ttf
  */
 
-const { createCanvas, registerFont } = require('canvas');
+const { createCanvas } = require('canvas');
 const fs = require('fs');
 const path = require('path');
+const { darken, expandStops, lighten, mixColor, normalizeColorSpace } = require('./color_space');
+const { bevelShading, softShadowAlpha } = require('./distance_field');
+const { createFontChain } = require('./font_fallback');
+const { registerFontFile } = require('./font_registry');
+const { fontPathError, resolveInFontRoots } = require('./font_roots');
+const { layoutGlyphRun } = require('./glyph_layout');
+const {
+  DEFAULT_GRADIENT_ANGLE,
+  gradientLine,
+  normalizeGradientAngle,
+  normalizeGradientStops,
+} = require('./gradient_stops');
+const {
+  emboldenCommands,
+  getGlyphOutline,
+  layoutTextOutline,
+  measureGlyph,
+  syntheticBoldWidth,
+} = require('./glyph_outlines');
+const {
+  compositeOperation,
+  effectPadding,
+  enabledEffects,
+  findEffect,
+  layerAlpha,
+  normalizeEffectStack,
+  scaleEffectStack,
+} = require('./layer_effects');
+const {
+  DEFAULT_LIGHT_ALTITUDE,
+  DEFAULT_LIGHT_ANGLE,
+  edgeOffset,
+  lightGradientLine,
+  lightOffset,
+  normalizeLightAltitude,
+  normalizeLightAngle,
+} = require('./light_direction');
+const { meshWarpCanvas } = require('./mesh_warp');
+const { findPreset } = require('./preset_registry');
+const { createPathSampler } = require('./svg_path');
+const { TEXT_CASES, applyTextCase, layoutTextBlock, splitLines } = require('./text_layout');
+const { tracePathCommands, warpPathCommands } = require('./vector_warp');
+const {
+  ENVELOPE_MODES,
+  bottomWeightedField,
+  envelopeField,
+  identityField,
+  parabolicBottomOnlyField,
+  parabolicVerticalField,
+  scaleField,
+} = require('./warp_fields');
 
 const DEFAULT_CONFIG = {
   text: 'KEREM',
+  textCase: 'upper',
   width: 1280,
   height: 1600,
   size: 300,
@@ -33,6 +105,10 @@ const DEFAULT_CONFIG = {
   apexYRatio: 0.25,
   verticalOffset: 0,
   letterSpacing: -0.02,
+  kerning: true,
+  lineHeight: 1.1,
+  lineAlign: 'center',
+  lineScale: '1',
   glowOpacity: 0.60,
   glowSize: 24,
   strokeSize: 10,
@@ -46,6 +122,7 @@ const DEFAULT_CONFIG = {
   renderScale: 3.0,
   edge3dStrength: 1.0,
   fontFile: '',
+  fallbackFonts: '',
   preset: '',
   curveMode: 'flat',
   warpStartRatio: 0.62,
@@ -53,46 +130,68 @@ const DEFAULT_CONFIG = {
   warpDirection: 'down',
   warpIncludeExtrude: false,
   curveScope: 'full',
+  warpBackend: 'column',
+  warpPipeline: 'raster',
+  meshCols: 96,
+  meshRows: 48,
+  meshSampling: 'bicubic',
+  envelopeBend: 50,
+  envelopeHDistortion: 0,
+  envelopeVDistortion: 0,
+  arcRadius: 0,
+  arcDirection: 'up',
+  textPath: '',
+  textPathAlign: 'center',
+  textPathOffset: 0,
+  topText: '',
+  bottomText: '',
+  badgeRadius: 0,
+  badgeStartAngle: -60,
+  badgeEndAngle: 60,
+  badgeRingWidth: 0,
   topColor: '#b66eb8',
   midColor: '#ffffff',
   bottomColor: '#4a0f59',
+  // Chrome gradient stops (see gradient_stops.js); empty derives the ramp
+  // from the three colors above.
+  gradientStops: '',
+  gradientAngle: DEFAULT_GRADIENT_ANGLE,
   outlineColor: '#f2ebff',
   glowColor: '#ffffff',
+  // Global light (see light_direction.js): degrees counter-clockwise from the
+  // right, and above the surface.
+  lightAngle: DEFAULT_LIGHT_ANGLE,
+  lightAltitude: DEFAULT_LIGHT_ALTITUDE,
+  // Where colors are mixed (see color_space.js): srgb, linear, oklab, oklch.
+  colorSpace: 'srgb',
+  background: 'solid',
+  backgroundColor: '#000000',
+  backgroundGradientColor: '#2a0f38',
+  // Layer effects stack (see layer_effects.js); empty derives it from the
+  // glow/stroke/bevel/extrude keys above.
+  effects: '',
+  format: 'png',
 };
 
-const INTEGER_KEYS = ['width', 'height', 'size', 'curve', 'glowSize', 'strokeSize', 'bevelSize', 'extrudeDepth'];
+const INTEGER_KEYS = [
+  'width', 'height', 'size', 'curve', 'glowSize', 'strokeSize', 'bevelSize', 'extrudeDepth',
+  'meshCols', 'meshRows', 'envelopeBend', 'envelopeHDistortion', 'envelopeVDistortion',
+  'badgeRadius', 'badgeRingWidth', 'arcRadius',
+];
 const FLOAT_KEYS = [
-  'bend', 'letterSpacing', 'glowOpacity', 'apexYRatio', 'verticalOffset',
+  'bend', 'letterSpacing', 'lineHeight', 'glowOpacity', 'apexYRatio', 'verticalOffset',
   'gradientOpacity', 'bevelHighlightOpacity', 'bevelShadowOpacity', 'topShadowOpacity',
   'extrudeOpacity', 'renderScale', 'rotateFactor', 'edge3dStrength',
-  'warpStartRatio', 'warpPower',
+  'warpStartRatio', 'warpPower', 'textPathOffset', 'badgeStartAngle', 'badgeEndAngle',
 ];
 
+const CURVE_MODES = ['flat', 'arc', 'path', 'badge', 'arcCurve', 'bottomWarp', ...ENVELOPE_MODES];
+
+// Lays the config of a preset from the presets/ library over `cfg`.
 function applyPreset(cfg, presetName) {
-  if (presetName !== 'photoshop') return;
-
-  // Photoshop-like recipe:
-  // Arc bend + purple chrome gradient + white stroke + strong glow + bevel.
-  cfg.bend = 0.26;
-  cfg.gradientOpacity = 0.92;
-  cfg.strokeSize = 10;
-  cfg.glowOpacity = 0.60;
-  cfg.glowSize = 24;
-  cfg.bevelHighlightOpacity = 0.90;
-  cfg.bevelShadowOpacity = 0.62;
-  cfg.topShadowOpacity = 0.18;
-  cfg.bevelSize = 20;
-  cfg.extrudeDepth = 12;
-  cfg.extrudeOpacity = 0.32;
-  cfg.edge3dStrength = 1.0;
-  cfg.curveMode = 'flat';
-  cfg.warpStartRatio = 0.62;
-  cfg.warpPower = 1.4;
-  cfg.topColor = '#b66eb8';
-  cfg.midColor = '#ffffff';
-  cfg.bottomColor = '#4a0f59';
-  cfg.outlineColor = '#f2ebff';
-  cfg.glowColor = '#ffffff';
+  const preset = findPreset(presetName);
+  if (!preset) throw new Error(`Unknown preset: ${presetName}`);
+  Object.assign(cfg, preset.config);
 }
 
 function normalizeConfig(input = {}) {
@@ -118,11 +217,17 @@ function normalizeConfig(input = {}) {
   }
 
   cfg.text = String(cfg.text || DEFAULT_CONFIG.text);
+  cfg.textCase = String(cfg.textCase || DEFAULT_CONFIG.textCase);
+  if (!TEXT_CASES.includes(cfg.textCase)) cfg.textCase = DEFAULT_CONFIG.textCase;
+  cfg.lineHeight = Math.max(0.5, Math.min(3, cfg.lineHeight));
+  cfg.lineAlign = String(cfg.lineAlign || DEFAULT_CONFIG.lineAlign);
+  cfg.lineScale = String(cfg.lineScale || DEFAULT_CONFIG.lineScale);
   cfg.out = String(cfg.out || DEFAULT_CONFIG.out).replace(/[^a-zA-Z0-9_-]/g, '_');
   cfg.fontFile = String(cfg.fontFile || '');
+  cfg.fallbackFonts = String(cfg.fallbackFonts || '');
   cfg.preset = String(cfg.preset || '');
   cfg.curveMode = String(cfg.curveMode || DEFAULT_CONFIG.curveMode);
-  if (!['flat', 'arc', 'arcCurve', 'bottomWarp'].includes(cfg.curveMode)) {
+  if (!CURVE_MODES.includes(cfg.curveMode)) {
     cfg.curveMode = DEFAULT_CONFIG.curveMode;
   }
   cfg.warpDirection = String(cfg.warpDirection || DEFAULT_CONFIG.warpDirection);
@@ -133,18 +238,75 @@ function normalizeConfig(input = {}) {
   if (!['full', 'bottomOnly'].includes(cfg.curveScope)) {
     cfg.curveScope = DEFAULT_CONFIG.curveScope;
   }
+  cfg.warpBackend = String(cfg.warpBackend || DEFAULT_CONFIG.warpBackend);
+  if (!['column', 'mesh'].includes(cfg.warpBackend)) {
+    cfg.warpBackend = DEFAULT_CONFIG.warpBackend;
+  }
+  cfg.warpPipeline = String(cfg.warpPipeline || DEFAULT_CONFIG.warpPipeline);
+  if (!['raster', 'vector'].includes(cfg.warpPipeline)) {
+    cfg.warpPipeline = DEFAULT_CONFIG.warpPipeline;
+  }
+  cfg.meshCols = Math.max(2, Math.min(512, cfg.meshCols));
+  cfg.meshRows = Math.max(2, Math.min(512, cfg.meshRows));
+  cfg.meshSampling = String(cfg.meshSampling || DEFAULT_CONFIG.meshSampling);
+  if (!['bilinear', 'bicubic'].includes(cfg.meshSampling)) {
+    cfg.meshSampling = DEFAULT_CONFIG.meshSampling;
+  }
+  cfg.arcRadius = Math.max(0, cfg.arcRadius);
+  cfg.arcDirection = String(cfg.arcDirection || DEFAULT_CONFIG.arcDirection);
+  if (!['up', 'down'].includes(cfg.arcDirection)) {
+    cfg.arcDirection = DEFAULT_CONFIG.arcDirection;
+  }
+  cfg.textPath = String(cfg.textPath || '').trim();
+  cfg.textPathAlign = String(cfg.textPathAlign || DEFAULT_CONFIG.textPathAlign);
+  if (!['start', 'center', 'end'].includes(cfg.textPathAlign)) {
+    cfg.textPathAlign = DEFAULT_CONFIG.textPathAlign;
+  }
+  cfg.topText = String(cfg.topText || '');
+  cfg.bottomText = String(cfg.bottomText || '');
+  cfg.badgeRadius = Math.max(0, cfg.badgeRadius);
+  cfg.badgeRingWidth = Math.max(0, cfg.badgeRingWidth);
+  cfg.badgeStartAngle = Math.max(-180, Math.min(180, cfg.badgeStartAngle));
+  cfg.badgeEndAngle = Math.max(-180, Math.min(180, cfg.badgeEndAngle));
+  if (cfg.badgeEndAngle < cfg.badgeStartAngle) {
+    [cfg.badgeStartAngle, cfg.badgeEndAngle] = [cfg.badgeEndAngle, cfg.badgeStartAngle];
+  }
+  for (const key of ['envelopeBend', 'envelopeHDistortion', 'envelopeVDistortion']) {
+    cfg[key] = Math.max(-100, Math.min(100, cfg[key]));
+  }
   cfg.curve = Math.max(-100, Math.min(100, Number.isFinite(Number(cfg.curve)) ? Number(cfg.curve) : DEFAULT_CONFIG.curve));
   cfg.topColor = normalizeHexColor(cfg.topColor, DEFAULT_CONFIG.topColor);
   cfg.midColor = normalizeHexColor(cfg.midColor, DEFAULT_CONFIG.midColor);
   cfg.bottomColor = normalizeHexColor(cfg.bottomColor, DEFAULT_CONFIG.bottomColor);
+  cfg.gradientStops = normalizeGradientStops(cfg.gradientStops);
+  cfg.gradientAngle = normalizeGradientAngle(cfg.gradientAngle);
   cfg.outlineColor = normalizeHexColor(cfg.outlineColor, DEFAULT_CONFIG.outlineColor);
   cfg.glowColor = normalizeHexColor(cfg.glowColor, DEFAULT_CONFIG.glowColor);
+  cfg.lightAngle = normalizeLightAngle(cfg.lightAngle);
+  cfg.lightAltitude = normalizeLightAltitude(cfg.lightAltitude);
+  cfg.colorSpace = normalizeColorSpace(cfg.colorSpace);
+  cfg.background = String(cfg.background || DEFAULT_CONFIG.background);
+  if (!['solid', 'transparent', 'gradient'].includes(cfg.background)) {
+    cfg.background = DEFAULT_CONFIG.background;
+  }
+  cfg.backgroundColor = normalizeHexColor(cfg.backgroundColor, DEFAULT_CONFIG.backgroundColor);
+  cfg.backgroundGradientColor = normalizeHexColor(cfg.backgroundGradientColor, DEFAULT_CONFIG.backgroundGradientColor);
+  cfg.format = String(cfg.format || DEFAULT_CONFIG.format).toLowerCase();
+  if (!['png', 'svg', 'both'].includes(cfg.format)) {
+    cfg.format = DEFAULT_CONFIG.format;
+  }
   cfg.edge3dStrength = Math.max(0, Math.min(1.5, Number(cfg.edge3dStrength) || DEFAULT_CONFIG.edge3dStrength));
   if (typeof cfg.warpIncludeExtrude === 'string') {
     cfg.warpIncludeExtrude = cfg.warpIncludeExtrude.toLowerCase() === 'true';
   } else {
     cfg.warpIncludeExtrude = Boolean(cfg.warpIncludeExtrude);
   }
+  if (typeof cfg.kerning === 'string') {
+    cfg.kerning = cfg.kerning.toLowerCase() !== 'false';
+  } else {
+    cfg.kerning = Boolean(cfg.kerning);
+  }
+  cfg.effects = normalizeEffectStack(cfg.effects, cfg);
 
   return cfg;
 }
@@ -182,37 +344,36 @@ function rgba(hex, alpha) {
   return `rgba(${r},${g},${b},${Math.max(0, Math.min(1, alpha))})`;
 }
 
-function mixColor(a, b, t) {
-  const p = Math.max(0, Math.min(1, t));
-  const ca = hexToRgb(a);
-  const cb = hexToRgb(b);
-  const r = Math.round(ca.r + (cb.r - ca.r) * p);
-  const g = Math.round(ca.g + (cb.g - ca.g) * p);
-  const b2 = Math.round(ca.b + (cb.b - ca.b) * p);
-  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b2.toString(16).padStart(2, '0')}`;
-}
-
-function darken(hex, t) {
-  return mixColor(hex, '#000000', t);
-}
-
-function lighten(hex, t) {
-  return mixColor(hex, '#ffffff', t);
+// Chrome gradient as [offset, color, alpha] stops: the configured ones, or the
+// default ramp from the three colors, filled in for the color space.
+function getChromeStops(cfg) {
+  return expandStops(baseChromeStops(cfg), cfg.colorSpace);
 }
 
-function addChromeStops(grad, cfg) {
+function baseChromeStops(cfg) {
+  if (cfg.gradientStops.length > 0) {
+    return cfg.gradientStops.map((stop) => [stop.position, stop.color, stop.alpha]);
+  }
   const top = cfg.topColor;
   const mid = cfg.midColor;
   const bottom = cfg.bottomColor;
-  grad.addColorStop(0.00, top);
-  grad.addColorStop(0.14, mixColor(top, mid, 0.35));
-  grad.addColorStop(0.28, mixColor(top, mid, 0.58));
-  grad.addColorStop(0.42, mid);
-  grad.addColorStop(0.54, mixColor(mid, top, 0.12));
-  grad.addColorStop(0.68, mixColor(mid, bottom, 0.42));
-  grad.addColorStop(0.82, mixColor(bottom, top, 0.15));
-  grad.addColorStop(0.92, darken(bottom, 0.12));
-  grad.addColorStop(1.00, darken(bottom, 0.22));
+  return [
+    [0.00, top],
+    [0.14, mixColor(top, mid, 0.35, cfg.colorSpace)],
+    [0.28, mixColor(top, mid, 0.58, cfg.colorSpace)],
+    [0.42, mid],
+    [0.54, mixColor(mid, top, 0.12, cfg.colorSpace)],
+    [0.68, mixColor(mid, bottom, 0.42, cfg.colorSpace)],
+    [0.82, mixColor(bottom, top, 0.15, cfg.colorSpace)],
+    [0.92, darken(bottom, 0.12, cfg.colorSpace)],
+    [1.00, darken(bottom, 0.22, cfg.colorSpace)],
+  ];
+}
+
+function addChromeStops(grad, cfg) {
+  for (const [offset, color, alpha = 1] of getChromeStops(cfg)) {
+    grad.addColorStop(offset, alpha < 1 ? rgba(color, alpha) : color);
+  }
 }
 
 function parseArgs(args = process.argv.slice(2)) {
@@ -256,33 +417,45 @@ function findFontByBasename(fontsDir, basename) {
   return null;
 }
 
-function resolveUserFontPath(fontsDir, fontFileArg) {
+// With `fontRoots` (see font_roots.js) only files inside the roots resolve;
+// anything else throws a 403/404 instead of returning a path.
+function resolveUserFontPath(fontsDir, fontFileArg, fontRoots = null) {
   const raw = String(fontFileArg || '').trim();
   if (!raw) return null;
 
   if (path.isAbsolute(raw)) {
+    if (fontRoots) return resolveInFontRoots(raw, fontRoots, raw);
     return fs.existsSync(raw) ? raw : null;
   }
 
+  let found = null;
   const direct = path.resolve(fontsDir, raw);
   if (direct === fontsDir || direct.startsWith(fontsDir + path.sep)) {
-    if (fs.existsSync(direct)) return direct;
+    if (fs.existsSync(direct)) found = direct;
   }
-  return findFontByBasename(fontsDir, raw);
+  found = found || findFontByBasename(fontsDir, raw);
+  if (found && fontRoots) return resolveInFontRoots(found, fontRoots, raw);
+  return found;
+}
+
+// A registered font as the renderers use it; `face` names the font that is
+// actually drawn (see font_registry.js).
+function useFont(file, source) {
+  const { family, face } = registerFontFile(file);
+  return { family, file, source, face };
 }
 
-function pickFont(fontFileArg) {
+function pickFont(fontFileArg, fontRoots = null) {
   const fontsDir = path.join(__dirname, 'fonts');
   const systemSuperClarendon = '/System/Library/Fonts/Supplemental/SuperClarendon.ttc';
-  const explicit = resolveUserFontPath(fontsDir, fontFileArg);
+  const explicit = resolveUserFontPath(fontsDir, fontFileArg, fontRoots);
 
   if (fontFileArg) {
-    if (!explicit) throw new Error(`Font file bulunamadi: ${fontFileArg}`);
+    if (!explicit) throw fontPathError(`Font file bulunamadi: ${fontFileArg}`, 404);
     try {
-      registerFont(explicit, { family: 'ClarendonBlkBT' });
-      return { family: 'ClarendonBlkBT', file: explicit, source: 'clarendon' };
+      return useFont(explicit, 'clarendon');
     } catch {
-      throw new Error(`Could not parse font file: ${fontFileArg}`);
+      throw fontPathError(`Could not parse font file: ${fontFileArg}`, 422);
     }
   }
 
@@ -299,54 +472,88 @@ function pickFont(fontFileArg) {
     const fp = findFontByBasename(fontsDir, name);
     if (!fp) continue;
     try {
-      registerFont(fp, { family: 'ClarendonBlkBT' });
-      return { family: 'ClarendonBlkBT', file: fp, source: 'clarendon' };
+      return useFont(fp, 'clarendon');
     } catch {
       continue;
     }
   }
 
   if (fs.existsSync(systemSuperClarendon)) {
-    registerFont(systemSuperClarendon, { family: 'SuperClarendonSys' });
-    return { family: 'SuperClarendonSys', file: systemSuperClarendon, source: 'fallback-superclarendon' };
+    return useFont(systemSuperClarendon, 'fallback-superclarendon');
   }
 
   const fallback = path.join(fontsDir, 'Ultra.ttf');
   if (fs.existsSync(fallback)) {
-    registerFont(fallback, { family: 'Ultra' });
-    return { family: 'Ultra', file: fallback, source: 'fallback-ultra' };
+    return useFont(fallback, 'fallback-ultra');
   }
 
   throw new Error('No usable font found. Add a Clarendon Blk BT file or Ultra.ttf under fonts/.');
 }
 
-function drawBackground(ctx, w, h) {
-  ctx.fillStyle = '#000000';
-  ctx.fillRect(0, 0, w, h);
+// Companion fonts for characters the main font lacks, in chain order.
+function pickFallbackFonts(fallbackFontsArg, fontRoots = null) {
+  const fontsDir = path.join(__dirname, 'fonts');
+  const names = String(fallbackFontsArg || '').split(',').map((name) => name.trim()).filter(Boolean);
+  return names.map((name) => {
+    const file = resolveUserFontPath(fontsDir, name, fontRoots);
+    if (!file) throw fontPathError(`Fallback font bulunamadi: ${name}`, 404);
+    try {
+      return useFont(file, 'fallback-chain');
+    } catch {
+      throw fontPathError(`Could not parse font file: ${name}`, 422);
+    }
+  });
 }
 
-function measureTextWithSpacing(ctx, text, spacing) {
-  let total = 0;
-  for (let i = 0; i < text.length; i++) {
-    total += ctx.measureText(text[i]).width;
-    if (i < text.length - 1) total += spacing;
+function drawBackground(ctx, w, h, cfg) {
+  if (cfg.background === 'transparent') {
+    ctx.clearRect(0, 0, w, h);
+    return;
   }
-  return total;
+  if (cfg.background === 'gradient') {
+    const bg = ctx.createLinearGradient(0, 0, 0, h);
+    bg.addColorStop(0, cfg.backgroundColor);
+    bg.addColorStop(1, cfg.backgroundGradientColor);
+    ctx.fillStyle = bg;
+  } else {
+    ctx.fillStyle = cfg.backgroundColor;
+  }
+  ctx.fillRect(0, 0, w, h);
 }
 
-function drawTextWithSpacing(ctx, text, x, y, spacing, mode) {
-  const total = measureTextWithSpacing(ctx, text, spacing);
-  let cx = x - total / 2;
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    const w = ctx.measureText(ch).width;
-    const px = cx + w / 2;
-    if (mode === 'stroke') ctx.strokeText(ch, px, y);
-    else ctx.fillText(ch, px, y);
-    cx += w + spacing;
+// Canvas glyph run over a font chain; `fontFor(size, face)` is the canvas
+// font string of a face.
+function layoutCanvasRun(ctx, text, size, spacing, fonts, fontFor) {
+  return layoutGlyphRun(
+    text,
+    (ch, face) => {
+      ctx.font = fontFor(size, face);
+      return ctx.measureText(ch).width;
+    },
+    (left, right, face) => fonts.kern(left, right, size, face),
+    spacing,
+    fonts.faceOf
+  );
+}
+
+// Draws a run centered on x, switching to `fontOf(face)` per glyph. Expects
+// textAlign = 'center'.
+function drawGlyphRun(ctx, run, x, y, mode, fontOf) {
+  const left = x - run.width / 2;
+  for (const glyph of run.glyphs) {
+    ctx.font = fontOf(glyph.face);
+    const px = left + glyph.x + glyph.width / 2;
+    if (mode === 'stroke') ctx.strokeText(glyph.ch, px, y);
+    else ctx.fillText(glyph.ch, px, y);
   }
 }
 
+// Every string the current curve mode lays out, cased as drawn.
+function getLayoutTexts(cfg) {
+  const texts = cfg.curveMode === 'badge' ? [cfg.topText || cfg.text, cfg.bottomText] : [cfg.text];
+  return texts.map((text) => applyTextCase(splitLines(text).join(' '), cfg.textCase));
+}
+
 function getAlphaBounds(canvas) {
   const ctx = canvas.getContext('2d');
   const { width, height } = canvas;
@@ -370,21 +577,30 @@ function getAlphaBounds(canvas) {
   return { minX, minY, maxX, maxY };
 }
 
-function warpBottomWeightedCanvas(
-  srcCanvas,
-  bendPx,
-  startRatio = 0.56,
-  power = 1.2,
-  boundsCanvas = srcCanvas,
-  direction = 'down'
-) {
+// Blend two RGBA samples in premultiplied space. ImageData is straight alpha and
+// transparent pixels are stored as black, so a plain lerp darkens the soft tails
+// of glow/stroke; that is hidden on a black background but shows as a grey halo
+// once the PNG is transparent.
+function lerpPixelPremultiplied(src, s0, s1, frac, out, outIdx) {
+  const w0 = src[s0 + 3] * (1 - frac);
+  const w1 = src[s1 + 3] * frac;
+  const a = w0 + w1;
+  if (a <= 0) {
+    out[outIdx] = out[outIdx + 1] = out[outIdx + 2] = out[outIdx + 3] = 0;
+    return;
+  }
+  out[outIdx] = ((src[s0] * w0 + src[s1] * w1) / a + 0.5) | 0;
+  out[outIdx + 1] = ((src[s0 + 1] * w0 + src[s1 + 1] * w1) / a + 0.5) | 0;
+  out[outIdx + 2] = ((src[s0 + 2] * w0 + src[s1 + 2] * w1) / a + 0.5) | 0;
+  out[outIdx + 3] = (a + 0.5) | 0;
+}
+
+// Column backend: every pixel column is remapped on its own through the
+// field's vertical shift (fast, but neighbouring columns can disagree).
+function warpColumnsCanvas(srcCanvas, field) {
   const w = srcCanvas.width;
   const h = srcCanvas.height;
-  const bend = Math.max(0, bendPx);
-  const dir = direction === 'up' ? -1 : 1;
-  const extraTop = dir < 0 ? Math.ceil(bend) + 2 : 2;
-  const extraBottom = dir > 0 ? Math.ceil(bend) + 2 : 2;
-  const outH = h + extraTop + extraBottom;
+  const outH = field.height;
 
   const out = createCanvas(w, outH);
   const outCtx = out.getContext('2d');
@@ -394,28 +610,13 @@ function warpBottomWeightedCanvas(
   const outPixels = outCtx.createImageData(w, outH);
   const outData = outPixels.data;
 
-  const bounds = getAlphaBounds(boundsCanvas || srcCanvas);
-  const glyphTop = bounds.minY;
-  const glyphBottom = Math.max(bounds.minY + 1, bounds.maxY);
-  const startWarpY = glyphTop + (glyphBottom - glyphTop) * startRatio;
-  const warpRange = Math.max(1, glyphBottom - startWarpY);
-
   // Reusable forward-map buffer: src_y → dst_y for current column
   const fwd = new Float32Array(h);
 
   for (let ox = 0; ox < w; ox++) {
-    const t = (ox / Math.max(1, w - 1)) * 2 - 1;
-    const curve = 1 - t * t;
-    const maxShift = dir * bend * curve;
-
     // Build forward mapping for this column
     for (let sy = 0; sy < h; sy++) {
-      let shift = 0;
-      if (sy > startWarpY) {
-        const n = Math.min(1, (sy - startWarpY) / warpRange);
-        shift = maxShift * Math.pow(n, power);
-      }
-      fwd[sy] = sy + extraTop + shift;
+      fwd[sy] = sy + field.offsetY + field.shiftY(ox, sy);
     }
 
     // Enforce monotonicity (guards against extreme 'up' params)
@@ -438,15 +639,10 @@ function warpBottomWeightedCanvas(
       const sy1 = Math.min(h - 1, sy + 1);
       const span = fwd[sy1] - fwd[sy];
       const frac = span > 0.0001 ? Math.max(0, Math.min(1, (oy - fwd[sy]) / span)) : 0;
-      const f1 = 1 - frac;
 
       const s0 = (sy  * w + ox) * 4;
       const s1 = (sy1 * w + ox) * 4;
-
-      outData[outIdx]     = (srcData[s0]     * f1 + srcData[s1]     * frac + 0.5) | 0;
-      outData[outIdx + 1] = (srcData[s0 + 1] * f1 + srcData[s1 + 1] * frac + 0.5) | 0;
-      outData[outIdx + 2] = (srcData[s0 + 2] * f1 + srcData[s1 + 2] * frac + 0.5) | 0;
-      outData[outIdx + 3] = (srcData[s0 + 3] * f1 + srcData[s1 + 3] * frac + 0.5) | 0;
+      lerpPixelPremultiplied(srcData, s0, s1, frac, outData, outIdx);
     }
   }
 
@@ -454,343 +650,612 @@ function warpBottomWeightedCanvas(
   return out;
 }
 
-function warpParabolicVerticalCanvas(srcCanvas, arcPx, boundsCanvas = srcCanvas) {
-  const w = srcCanvas.width;
-  const h = srcCanvas.height;
-  const srcCtx = srcCanvas.getContext('2d');
-  const srcData = srcCtx.getImageData(0, 0, w, h).data;
-  const bounds = getAlphaBounds(boundsCanvas || srcCanvas);
+// Warp one text layer with the backend selected by `cfg.warpBackend`.
+// Fields without a vertical-only form (envelopes) always take the mesh path.
+function warpLayerCanvas(srcCanvas, field, cfg) {
+  if (cfg.warpBackend === 'mesh' || !field.shiftY) {
+    return meshWarpCanvas(srcCanvas, field, {
+      cols: cfg.meshCols,
+      rows: cfg.meshRows,
+      sampling: cfg.meshSampling,
+    });
+  }
+  return warpColumnsCanvas(srcCanvas, field);
+}
 
-  const left = Math.max(0, bounds.minX);
-  const right = Math.min(w - 1, Math.max(bounds.minX + 1, bounds.maxX));
-  const centerX = (left + right) / 2;
-  const halfWidth = Math.max(1, (right - left) / 2);
+// Layer canvas size for a text block (see text_layout.js). `x` is the block's
+// horizontal centre and `y` its first baseline.
+function getTextLayerFrame(cfg, block) {
+  const first = block.lines[0];
+  const last = block.lines[block.lines.length - 1];
+  const pad = Math.ceil(block.maxSize * 0.95 + effectPadding(cfg.effects));
+  const width = Math.ceil(block.width + pad * 2);
+  const height = Math.ceil(first.size * 1.15 + block.height + last.size * 1.65 + pad * 2);
+  return { width, height, x: width / 2, y: pad + first.size * 1.15 };
+}
 
-  const shifts = new Float32Array(w);
-  let minShift = 0;
-  let maxShift = 0;
+function createStyledTextLayers(cfg, fonts) {
+  const fontFor = (size, face = 0) => `900 ${size}px "${fonts.faces[face].family}"`;
+  const measureCanvas = createCanvas(16, 16);
+  const measureCtx = measureCanvas.getContext('2d');
+  measureCtx.textAlign = 'center';
+  measureCtx.textBaseline = 'alphabetic';
 
-  for (let x = 0; x < w; x++) {
-    const nx = (x - centerX) / halfWidth;
-    const curve = Math.abs(nx) <= 1 ? Math.max(0, 1 - nx * nx) : 0;
-    const shift = -arcPx * curve;
-    shifts[x] = shift;
-    if (shift < minShift) minShift = shift;
-    if (shift > maxShift) maxShift = shift;
-  }
+  const block = layoutTextBlock(cfg, (text, size, spacing) => {
+    return layoutCanvasRun(measureCtx, text, size, spacing, fonts, fontFor).width;
+  });
+  const frame = getTextLayerFrame(cfg, block);
 
-  const extraTop = Math.ceil(Math.max(0, -minShift)) + 2;
-  const extraBottom = Math.ceil(Math.max(0, maxShift)) + 2;
-  const outH = h + extraTop + extraBottom;
-  const out = createCanvas(w, outH);
-  const outCtx = out.getContext('2d');
-  const outPixels = outCtx.createImageData(w, outH);
-  const outData = outPixels.data;
+  const lineCenterX = (line) => frame.x - block.width / 2 + line.x + line.width / 2;
+  const paintLine = (ctx, line, dx, dy, mode) => {
+    const x = lineCenterX(line);
+    const run = layoutCanvasRun(ctx, line.text, line.size, line.spacing, fonts, fontFor);
+    drawGlyphRun(ctx, run, x + dx, frame.y + line.baselineY + dy, mode, (face) => fontFor(line.size, face));
+  };
+  return paintStyledLayers(cfg, {
+    createLayer() {
+      const canvas = createCanvas(frame.width, frame.height);
+      const ctx = canvas.getContext('2d');
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'alphabetic';
+      return canvas;
+    },
+    paint(ctx, dx, dy, mode) {
+      for (const line of block.lines) paintLine(ctx, line, dx, dy, mode);
+    },
+    shade(ctx, makeGradient) {
+      for (const line of block.lines) {
+        ctx.fillStyle = makeGradient(ctx, frame.y + line.baselineY, line.size, lineCenterX(line));
+        paintLine(ctx, line, 0, 0, 'fill');
+      }
+    },
+  });
+}
 
-  for (let x = 0; x < w; x++) {
-    const shift = shifts[x] + extraTop;
-    for (let oy = 0; oy < outH; oy++) {
-      const sy = oy - shift;
-      const outIdx = (oy * w + x) * 4;
+// Width of the first enabled stroke, which some effects scale with.
+function strokeWidthOf(cfg) {
+  const stroke = findEffect(cfg.effects, 'stroke');
+  return stroke ? stroke.size : 0;
+}
 
-      if (sy < 0 || sy > h - 1) {
-        outData[outIdx] = outData[outIdx + 1] = outData[outIdx + 2] = outData[outIdx + 3] = 0;
-        continue;
-      }
+// Highlights dim as the top shade darkens so the two do not fight.
+function highlightFade(cfg) {
+  const topShade = findEffect(cfg.effects, 'topShade');
+  return 1 - (topShade ? topShade.opacity : 0) * 0.86;
+}
 
-      const sy0 = Math.floor(sy);
-      const sy1 = Math.min(h - 1, sy0 + 1);
-      const frac = sy - sy0;
-      const inv = 1 - frac;
-      const s0 = (sy0 * w + x) * 4;
-      const s1 = (sy1 * w + x) * 4;
-
-      outData[outIdx] = (srcData[s0] * inv + srcData[s1] * frac + 0.5) | 0;
-      outData[outIdx + 1] = (srcData[s0 + 1] * inv + srcData[s1 + 1] * frac + 0.5) | 0;
-      outData[outIdx + 2] = (srcData[s0 + 2] * inv + srcData[s1 + 2] * frac + 0.5) | 0;
-      outData[outIdx + 3] = (srcData[s0 + 3] * inv + srcData[s1 + 3] * frac + 0.5) | 0;
-    }
+// Draws only the shadow of `source`: the image itself lands off the canvas.
+function drawShadowOnly(ctx, source, color, blur) {
+  const offset = source.width + Math.ceil(blur) * 4;
+  ctx.shadowColor = color;
+  ctx.shadowBlur = blur;
+  ctx.shadowOffsetX = offset;
+  ctx.drawImage(source, -offset, 0);
+}
+
+// Pixels of `mask` around its glyphs, `reach` px beyond them on every side
+// (past the canvas edge too, as transparent pixels); null for an empty mask.
+function maskRegion(mask, reach) {
+  const bounds = getAlphaBounds(mask);
+  const x = bounds.minX - reach;
+  const y = bounds.minY - reach;
+  const w = bounds.maxX + reach + 1 - x;
+  const h = bounds.maxY + reach + 1 - y;
+  if (w <= 0 || h <= 0) return null;
+  const region = createCanvas(w, h);
+  const rc = region.getContext('2d');
+  rc.drawImage(mask, -x, -y);
+  return { x, y, w, h, src: rc.getImageData(0, 0, w, h).data };
+}
+
+// Canvas of `hex` with the 0..1 `values` (times `strength`) as alpha.
+function alphaLayer(values, w, h, hex, strength = 1) {
+  const layer = createCanvas(w, h);
+  const lc = layer.getContext('2d');
+  const image = lc.createImageData(w, h);
+  const { r, g, b } = hexToRgb(hex);
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] <= 0) continue;
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = Math.round(Math.min(1, values[i] * strength) * 255);
   }
+  lc.putImageData(image, 0, 0);
+  return layer;
+}
 
-  outCtx.putImageData(outPixels, 0, 0);
-  return out;
+// Highlight and shadow canvases of a distance-field bevel over `mask`,
+// cropped to the region the bevel can reach; null for an empty mask.
+function bevelEmbossLayers(cfg, effect, mask) {
+  if (effect.size <= 0) return null;
+  const region = maskRegion(mask, Math.ceil(effect.size + effect.soften) + 2);
+  if (!region) return null;
+  const { x, y, w, h } = region;
+  const shading = bevelShading(region.src, w, h, effect);
+  return {
+    x,
+    y,
+    highlight: alphaLayer(shading.highlight, w, h, cfg.midColor, effect.highlight),
+    shadow: alphaLayer(shading.shadow, w, h, darken(cfg.bottomColor, 0.42, cfg.colorSpace), effect.shadow),
+  };
 }
 
-function warpParabolicBottomOnlyCanvas(
-  srcCanvas,
-  arcPx,
-  boundsCanvas = srcCanvas,
-  power = 1.7,
-  startRatio = 0.72
-) {
-  const w = srcCanvas.width;
-  const h = srcCanvas.height;
-  const srcCtx = srcCanvas.getContext('2d');
-  const srcData = srcCtx.getImageData(0, 0, w, h).data;
-  const bounds = getAlphaBounds(boundsCanvas || srcCanvas);
-
-  const left = Math.max(0, bounds.minX);
-  const right = Math.min(w - 1, Math.max(bounds.minX + 1, bounds.maxX));
-  const top = Math.max(0, bounds.minY);
-  const bottom = Math.min(h - 1, Math.max(bounds.minY + 1, bounds.maxY));
-  const centerX = (left + right) / 2;
-  const halfWidth = Math.max(1, (right - left) / 2);
-  const glyphHeight = Math.max(1, bottom - top);
-  const startY = top + glyphHeight * Math.max(0.35, Math.min(0.9, startRatio));
-  const bendRange = Math.max(1, bottom - startY);
-  const safeArc = Math.sign(arcPx) * Math.min(Math.abs(arcPx), (bendRange * 2.2) / Math.max(1.01, power));
-
-  const xCurve = new Float32Array(w);
-  let minShift = 0;
-  let maxShift = 0;
-
-  for (let x = 0; x < w; x++) {
-    const nx = (x - centerX) / halfWidth;
-    const curve = Math.abs(nx) <= 1 ? Math.max(0, 1 - nx * nx) : 0;
-    xCurve[x] = curve;
-    const edgeShift = -safeArc * curve;
-    if (edgeShift < minShift) minShift = edgeShift;
-    if (edgeShift > maxShift) maxShift = edgeShift;
-  }
-
-  const extraTop = Math.ceil(Math.max(0, -minShift)) + 2;
-  const extraBottom = Math.ceil(Math.max(0, maxShift)) + 2;
-  const outH = h + extraTop + extraBottom;
-  const out = createCanvas(w, outH);
-  const outCtx = out.getContext('2d');
-  const outPixels = outCtx.createImageData(w, outH);
-  const outData = outPixels.data;
-  const fwd = new Float32Array(h);
+// Distance-field bevel over `mask`. The shadow always multiplies; the blend
+// mode already set on `ctx` applies to the highlight.
+function drawBevelEmboss(ctx, cfg, effect, mask) {
+  const layers = bevelEmbossLayers(cfg, effect, mask);
+  if (!layers) return;
+  const blend = ctx.globalCompositeOperation;
+  ctx.globalCompositeOperation = 'multiply';
+  ctx.drawImage(layers.shadow, layers.x, layers.y);
+  ctx.globalCompositeOperation = blend;
+  ctx.drawImage(layers.highlight, layers.x, layers.y);
+}
 
-  for (let x = 0; x < w; x++) {
-    const curve = xCurve[x];
+// Inner glow, inner shadow or drop shadow of `mask` as a `{ x, y, layer }`
+// canvas in the effect's color; null for an empty mask.
+function softShadowLayer(effect, mask) {
+  const region = maskRegion(mask, Math.ceil(effect.size + effect.distance) + 2);
+  if (!region) return null;
+  let kind = 'inner';
+  if (effect.type === 'dropShadow') kind = 'drop';
+  else if (effect.type === 'innerGlow' && effect.source === 'center') kind = 'center';
+  // Shadows fall away from the light: angle 120 (upper left) shifts them down-right.
+  const angle = (effect.angle * Math.PI) / 180;
+  const values = softShadowAlpha(region.src, region.w, region.h, {
+    kind,
+    size: effect.size,
+    spread: effect.type === 'dropShadow' ? effect.spread : effect.choke,
+    dx: -Math.cos(angle) * effect.distance,
+    dy: Math.sin(angle) * effect.distance,
+  });
+  return { x: region.x, y: region.y, layer: alphaLayer(values, region.w, region.h, effect.color) };
+}
 
-    for (let sy = 0; sy < h; sy++) {
-      let shift = 0;
-      if (sy > startY && curve > 0) {
-        const t = Math.min(1, Math.max(0, (sy - startY) / bendRange));
-        shift = -safeArc * curve * Math.pow(t, power);
-      }
-      fwd[sy] = sy + extraTop + shift;
-    }
+function drawSoftShadow(ctx, effect, mask) {
+  const shadow = softShadowLayer(effect, mask);
+  if (shadow) ctx.drawImage(shadow.layer, shadow.x, shadow.y);
+}
 
-    for (let sy = 1; sy < h; sy++) {
-      if (fwd[sy] <= fwd[sy - 1]) fwd[sy] = fwd[sy - 1] + 0.01;
+// Effects drawn beneath the whole text, wherever they sit in the stack.
+const UNDER_TEXT_EFFECTS = ['dropShadow'];
+
+// The glyphs filled white on a fresh layer, for effects shaded from a mask.
+function createGlyphMask(painter) {
+  const mask = createEffectLayer(painter);
+  const mc = mask.getContext('2d');
+  mc.fillStyle = '#ffffff';
+  painter.paint(mc, 0, 0, 'fill');
+  return mask;
+}
+
+// Effect recipes for the layered (warp mode) renderer; `ctx` already has the
+// effect's blend mode and layer alpha.
+const LAYER_EFFECT_PAINTERS = {
+  extrude(ctx, cfg, effect, { paint }) {
+    const [sx, sy] = lightOffset(cfg, 1.05, 0.82);
+    for (let d = effect.depth; d >= 1; d--) {
+      const t = d / effect.depth;
+      const a = 0.12 + (1 - t) * effect.strength;
+      ctx.fillStyle = rgba(darken(cfg.bottomColor, 0.08, cfg.colorSpace), a);
+      paint(ctx, d * sx, d * sy, 'fill');
     }
+    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.25, cfg.colorSpace), 0.95);
+    ctx.lineWidth = Math.max(2, strokeWidthOf(cfg) * 0.40);
+    paint(ctx, effect.depth * sx, effect.depth * sy, 'stroke');
+  },
+
+  // The glow radiates from the outline, like the stroke it sits under.
+  outerGlow(ctx, cfg, effect, { paint, createLayer }) {
+    const source = createLayer();
+    const sc = source.getContext('2d');
+    sc.lineJoin = 'miter';
+    sc.miterLimit = 4.5;
+    sc.strokeStyle = rgba(cfg.outlineColor, 0.98);
+    sc.lineWidth = Math.max(1, strokeWidthOf(cfg));
+    paint(sc, 0, 0, 'stroke');
+    drawShadowOnly(ctx, source, rgba(cfg.glowColor, effect.opacity), effect.size);
+  },
+
+  stroke(ctx, cfg, effect, { paint }) {
+    ctx.strokeStyle = rgba(cfg.outlineColor, 0.98);
+    ctx.lineWidth = effect.size;
+    paint(ctx, 0, 0, 'stroke');
+    ctx.lineWidth = Math.max(1.0, effect.size * 0.24);
+    ctx.strokeStyle = rgba(mixColor(cfg.outlineColor, cfg.bottomColor, 0.62, cfg.colorSpace), 0.86);
+    paint(ctx, ...edgeOffset(cfg, effect.size * 0.01, effect.size * 0.01), 'stroke');
+  },
 
-    let sy = 0;
-    for (let oy = 0; oy < outH; oy++) {
-      const outIdx = (oy * w + x) * 4;
-      while (sy < h - 2 && fwd[sy + 1] <= oy) sy++;
+  // Edge bevel rims for stronger 3D contour.
+  edgeRims(ctx, cfg, effect, { paint }) {
+    const edgeK = effect.strength;
+    const w = effect.width;
+    ctx.strokeStyle = rgba(lighten(cfg.outlineColor, 0.14, cfg.colorSpace), Math.min(1, 0.62 * edgeK));
+    ctx.lineWidth = Math.max(1.2, w * (0.18 + edgeK * 0.12));
+    paint(ctx, ...edgeOffset(cfg, -w * 0.045, -w * 0.050), 'stroke');
+
+    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.52, cfg.colorSpace), Math.min(1, 0.78 * edgeK));
+    ctx.lineWidth = Math.max(1.3, w * (0.20 + edgeK * 0.14));
+    paint(ctx, ...edgeOffset(cfg, w * 0.060, w * 0.065), 'stroke');
+
+    ctx.strokeStyle = rgba(mixColor(cfg.outlineColor, cfg.bottomColor, 0.58, cfg.colorSpace), Math.min(1, 0.84 * edgeK));
+    ctx.lineWidth = Math.max(1.0, w * (0.14 + edgeK * 0.08));
+    paint(ctx, ...edgeOffset(cfg, w * 0.010, w * 0.016), 'stroke');
+  },
 
-      if (oy < fwd[0] || oy > fwd[h - 1]) {
-        outData[outIdx] = outData[outIdx + 1] = outData[outIdx + 2] = outData[outIdx + 3] = 0;
-        continue;
-      }
+  // Keep center bright while letting top also fall into darker tones.
+  topShade(ctx, cfg, effect, { shade }) {
+    const topA = getTopShadowAlpha(effect.opacity);
+    shade(ctx, (g, y, size, x) => {
+      const topShade = g.createLinearGradient(...lightGradientLine(cfg, 0, y - size * 1.05, 0, y - size * 0.04, x, y - size * 0.35));
+      topShade.addColorStop(0.0, rgba(darken(cfg.topColor, 0.22, cfg.colorSpace), topA * 0.82));
+      topShade.addColorStop(0.44, rgba(darken(cfg.topColor, 0.34, cfg.colorSpace), topA * 0.48));
+      topShade.addColorStop(0.74, rgba(cfg.topColor, 0.00));
+      topShade.addColorStop(1.0, rgba(cfg.topColor, 0.00));
+      return topShade;
+    });
+  },
+
+  // Bevel and Emboss simulation (Inner Bevel, depth high). The blend mode
+  // applies to the highlight; shadow and bevel edges draw normally.
+  bevel(ctx, cfg, effect, { paint, shade }) {
+    const hiFade = highlightFade(cfg);
+    const hiStrong = effect.highlight * hiFade;
+    shade(ctx, (g, y, size, x) => {
+      const hi = g.createLinearGradient(...lightGradientLine(cfg, 0, y - size * 0.38, 0, y + size * 0.38, x, y - size * 0.35));
+      hi.addColorStop(0.00, rgba(cfg.midColor, 0.00));
+      hi.addColorStop(0.34, rgba(cfg.midColor, hiStrong * 0.58));
+      hi.addColorStop(0.52, rgba(cfg.midColor, Math.min(1, hiStrong * 1.08)));
+      hi.addColorStop(0.76, rgba(cfg.midColor, 0.10 * hiFade));
+      hi.addColorStop(1.00, rgba(cfg.midColor, 0.00));
+      return hi;
+    });
+
+    ctx.globalCompositeOperation = 'source-over';
+    shade(ctx, (g, y, size, x) => {
+      const sh = g.createLinearGradient(...lightGradientLine(cfg, 0, y - size * 0.20, 0, y + size * 0.95, x, y - size * 0.35));
+      sh.addColorStop(0.0, rgba(cfg.bottomColor, 0.00));
+      sh.addColorStop(0.50, rgba(darken(cfg.bottomColor, 0.20, cfg.colorSpace), 0.08));
+      sh.addColorStop(0.78, rgba(darken(cfg.bottomColor, 0.08, cfg.colorSpace), 0.28));
+      sh.addColorStop(1.0, rgba(darken(cfg.bottomColor, 0.14, cfg.colorSpace), Math.min(0.72, effect.shadow)));
+      return sh;
+    });
+
+    ctx.strokeStyle = rgba(cfg.outlineColor, 0.36);
+    ctx.lineWidth = Math.max(2, effect.size * 0.11);
+    ctx.lineJoin = 'round';
+    paint(ctx, 0, 0, 'stroke');
+
+    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.42, cfg.colorSpace), 0.20);
+    ctx.lineWidth = Math.max(1.5, effect.size * 0.07);
+    paint(ctx, 0, 0, 'stroke');
+    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.24, cfg.colorSpace), 0.52);
+    ctx.lineWidth = Math.max(1.8, effect.size * 0.09);
+    paint(ctx, ...edgeOffset(cfg, 0, effect.size * 0.02), 'stroke');
+  },
+};
 
-      const sy1 = Math.min(h - 1, sy + 1);
-      const span = fwd[sy1] - fwd[sy];
-      const frac = span > 0.0001 ? Math.max(0, Math.min(1, (oy - fwd[sy]) / span)) : 0;
-      const inv = 1 - frac;
-      const s0 = (sy * w + x) * 4;
-      const s1 = (sy1 * w + x) * 4;
-
-      outData[outIdx] = (srcData[s0] * inv + srcData[s1] * frac + 0.5) | 0;
-      outData[outIdx + 1] = (srcData[s0 + 1] * inv + srcData[s1 + 1] * frac + 0.5) | 0;
-      outData[outIdx + 2] = (srcData[s0 + 2] * inv + srcData[s1 + 2] * frac + 0.5) | 0;
-      outData[outIdx + 3] = (srcData[s0 + 3] * inv + srcData[s1 + 3] * frac + 0.5) | 0;
+// Effects the warp modes apply to the warped body instead of warping them
+// along with it: the chrome gradient spans the warped bounds, and the bevel
+// light, glows and shadows follow the warped letter shapes.
+const POST_WARP_EFFECTS = ['gradientOverlay', 'bevelEmboss', 'innerGlow', 'innerShadow', 'dropShadow'];
+
+function createEffectLayer(painter) {
+  const layer = painter.createLayer();
+  const ctx = layer.getContext('2d');
+  ctx.lineJoin = 'miter';
+  ctx.miterLimit = 4.5;
+  return layer;
+}
+
+/**
+ * The chrome layer stack, independent of how the text shape is drawn.
+ * `painter.paint(ctx, dx, dy, mode)` fills or strokes the text offset by
+ * (dx, dy) in layer space; `painter.shade(ctx, makeGradient)` fills each text
+ * line with the gradient `makeGradient(ctx, baselineY, size, centerX)` builds
+ * for that line's baseline, font size and horizontal centre, in the same
+ * layer space.
+ *
+ * Enabled effects of `cfg.effects` are drawn in stack order onto the layer
+ * they belong to: extrude on `sideLayer` under the body, stroke and outer
+ * glow on `fxLayer` over it (so a warped body can be re-shaded without
+ * tinting them), everything else on the body over a flat base fill.
+ * POST_WARP_EFFECTS are left to the caller, which applies them after warping:
+ * they go to `overLayers` as `{ effect }` entries (UNDER_TEXT_EFFECTS to
+ * `underEffects` instead), and body effects above the first of them as one
+ * `{ layer, blend }` per run of effects sharing a blend mode, which the
+ * caller composites in order with that mode. `maskLayer` holds the glyph
+ * mask for the post-warp effects shaded from it.
+ */
+function paintStyledLayers(cfg, painter) {
+  const sideLayer = createEffectLayer(painter);
+  const baseLayer = createEffectLayer(painter);
+  const fxLayer = createEffectLayer(painter);
+  const overLayers = [];
+  const underEffects = [];
+  let maskLayer = null;
+
+  const b = baseLayer.getContext('2d');
+  b.fillStyle = mixColor(cfg.topColor, cfg.bottomColor, 0.35, cfg.colorSpace);
+  painter.paint(b, 0, 0, 'fill');
+
+  let deferred = false;
+  for (const effect of enabledEffects(cfg.effects)) {
+    if (POST_WARP_EFFECTS.includes(effect.type)) {
+      if (UNDER_TEXT_EFFECTS.includes(effect.type)) {
+        underEffects.push(effect);
+      } else {
+        deferred = true;
+        overLayers.push({ effect });
+      }
+      if (effect.type !== 'gradientOverlay' && !maskLayer) maskLayer = createGlyphMask(painter);
+      continue;
+    }
+    let ctx;
+    let blend = compositeOperation(effect);
+    if (effect.type === 'extrude') {
+      ctx = sideLayer.getContext('2d');
+    } else if (effect.type === 'outerGlow' || effect.type === 'stroke') {
+      ctx = fxLayer.getContext('2d');
+    } else if (!deferred) {
+      ctx = b;
+    } else {
+      // Blend against the re-shaded body later, when the layer is composited.
+      let over = overLayers[overLayers.length - 1];
+      if (!over || !over.layer || over.blend !== blend) {
+        over = { layer: createEffectLayer(painter), blend };
+        overLayers.push(over);
+      }
+      ctx = over.layer.getContext('2d');
+      blend = 'source-over';
     }
+    ctx.save();
+    ctx.globalCompositeOperation = blend;
+    ctx.globalAlpha = layerAlpha(effect);
+    LAYER_EFFECT_PAINTERS[effect.type](ctx, cfg, effect, painter);
+    ctx.restore();
   }
 
-  outCtx.putImageData(outPixels, 0, 0);
-  return out;
+  return { sideLayer, baseLayer, overLayers, underEffects, fxLayer, maskLayer };
 }
 
-function createStyledTextLayers(cfg, fontFamily, opts = {}) {
-  const text = cfg.text.toUpperCase();
-  const font = `900 ${cfg.size}px "${fontFamily}"`;
-  const measureCanvas = createCanvas(16, 16);
-  const measureCtx = measureCanvas.getContext('2d');
-  measureCtx.font = font;
-  measureCtx.textAlign = 'center';
-  measureCtx.textBaseline = 'alphabetic';
+// Quarter-resolution is plenty for warping smooth shading gradients.
+const VECTOR_SHADE_SCALE = 0.25;
+
+// Painter for the vector pipeline: the outline is offset in layer space,
+// pushed through the warp field and only then rasterized, so every fill and
+// stroke lands directly on the warped canvas with crisp edges. `outline.lines`
+// keeps each line's own commands for per-line shading.
+function createVectorPainter(cfg, outline, frame, field) {
+  const maxSegment = Math.max(1.5, cfg.size * 0.02);
+  const outW = Math.max(1, Math.round(field.width));
+  const outH = Math.max(1, Math.round(field.height));
+  const warpAt = (commands, dx, dy) => {
+    const ox = frame.x + dx;
+    const oy = frame.y + dy;
+    return warpPathCommands(commands, (px, py) => field.map(px + ox, py + oy), maxSegment);
+  };
+  const warpedCache = new Map();
+  const warpedAt = (dx, dy) => {
+    const key = `${dx}|${dy}`;
+    if (!warpedCache.has(key)) warpedCache.set(key, warpAt(outline.commands, dx, dy));
+    return warpedCache.get(key);
+  };
+  const paint = (ctx, dx, dy, mode) => {
+    tracePathCommands(ctx, warpedAt(dx, dy));
+    if (mode === 'fill') ctx.fill();
+    else ctx.stroke();
+  };
+  const lineClips = outline.lines.map((line) => warpAt(line.commands, 0, 0));
 
-  const spacing = cfg.size * cfg.letterSpacing;
-  const textWidth = measureTextWithSpacing(measureCtx, text, spacing);
-  const pad = Math.ceil(cfg.size * 0.95 + cfg.glowSize + cfg.strokeSize);
-  const layerW = Math.ceil(textWidth + pad * 2);
-  const layerH = Math.ceil(cfg.size * 2.8 + pad * 2);
-  const x = layerW / 2;
-  const y = pad + cfg.size * 1.15;
-
-  const baseLayer = createCanvas(layerW, layerH);
-  const b = baseLayer.getContext('2d');
-  b.font = font;
-  b.textAlign = 'center';
-  b.textBaseline = 'alphabetic';
-
-  // 3D side extrusion layer.
-  const sideLayer = createCanvas(layerW, layerH);
-  const s = sideLayer.getContext('2d');
-  s.font = font;
-  s.textAlign = 'center';
-  s.textBaseline = 'alphabetic';
-  s.lineJoin = 'miter';
-  s.miterLimit = 4.5;
-  b.lineJoin = 'miter';
-  b.miterLimit = 4.5;
-
-  for (let d = cfg.extrudeDepth; d >= 1; d--) {
-    const t = d / cfg.extrudeDepth;
-    const a = 0.12 + (1 - t) * cfg.extrudeOpacity;
-    s.fillStyle = rgba(darken(cfg.bottomColor, 0.08), a);
-    drawTextWithSpacing(s, text, x + d * 1.05, y + d * 0.82, spacing, 'fill');
-  }
-  s.strokeStyle = rgba(darken(cfg.bottomColor, 0.25), 0.95);
-  s.lineWidth = Math.max(2, cfg.strokeSize * 0.40);
-  drawTextWithSpacing(s, text, x + cfg.extrudeDepth * 1.05, y + cfg.extrudeDepth * 0.82, spacing, 'stroke');
-
-  // Base fill
-  b.fillStyle = mixColor(cfg.topColor, cfg.bottomColor, 0.35);
-  drawTextWithSpacing(b, text, x, y, spacing, 'fill');
-
-  // Gradient Overlay (skipped when caller will apply post-warp gradient)
-  if (!opts.skipGradient) {
-    const grad = b.createLinearGradient(0, y - cfg.size * 1.2, 0, y + cfg.size * 0.30);
-    addChromeStops(grad, cfg);
-    b.globalAlpha = cfg.gradientOpacity;
-    b.fillStyle = grad;
-    drawTextWithSpacing(b, text, x, y, spacing, 'fill');
-    b.globalAlpha = 1;
-  }
-
-  // Bevel and Emboss simulation (Inner Bevel, depth high)
-  const topShadowMix = Math.max(0, Math.min(1, cfg.topShadowOpacity || 0));
-  const hiFade = 1 - topShadowMix * 0.86;
-  const hiStrong = cfg.bevelHighlightOpacity * hiFade;
-  const hi = b.createLinearGradient(0, y - cfg.size * 0.38, 0, y + cfg.size * 0.38);
-  hi.addColorStop(0.00, rgba(cfg.midColor, 0.00));
-  hi.addColorStop(0.34, rgba(cfg.midColor, hiStrong * 0.58));
-  hi.addColorStop(0.52, rgba(cfg.midColor, Math.min(1, hiStrong * 1.08)));
-  hi.addColorStop(0.76, rgba(cfg.midColor, 0.10 * hiFade));
-  hi.addColorStop(1.00, rgba(cfg.midColor, 0.00));
-  b.fillStyle = hi;
-  drawTextWithSpacing(b, text, x, y, spacing, 'fill');
-
-  const sh = b.createLinearGradient(0, y - cfg.size * 0.20, 0, y + cfg.size * 0.95);
-  sh.addColorStop(0.0, rgba(cfg.bottomColor, 0.00));
-  sh.addColorStop(0.50, rgba(darken(cfg.bottomColor, 0.20), 0.08));
-  sh.addColorStop(0.78, rgba(darken(cfg.bottomColor, 0.08), 0.28));
-  sh.addColorStop(1.0, rgba(darken(cfg.bottomColor, 0.14), Math.min(0.72, cfg.bevelShadowOpacity)));
-  b.fillStyle = sh;
-  drawTextWithSpacing(b, text, x, y, spacing, 'fill');
+  return {
+    createLayer: () => createCanvas(outW, outH),
+    paint,
+    shade(ctx, makeGradient) {
+      // Gradients are defined in unwarped layer space. Warp a low-res copy so
+      // the bands follow the curve, then clip it with the sharp warped outline.
+      const k = VECTOR_SHADE_SCALE;
+      outline.lines.forEach((line, i) => {
+        const low = createCanvas(Math.ceil(frame.width * k), Math.ceil(frame.height * k));
+        const lowCtx = low.getContext('2d');
+        lowCtx.scale(k, k);
+        lowCtx.fillStyle = makeGradient(lowCtx, frame.y + line.baselineY, line.size, frame.x + line.x + line.width / 2 - outline.block.width / 2);
+        lowCtx.fillRect(0, 0, frame.width, frame.height);
+        const warped = meshWarpCanvas(low, scaleField(field, k), { cols: 48, rows: 24, sampling: 'bilinear' });
+
+        const layer = createCanvas(outW, outH);
+        const layerCtx = layer.getContext('2d');
+        layerCtx.imageSmoothingEnabled = true;
+        layerCtx.drawImage(warped, 0, 0, warped.width / k, warped.height / k);
+        layerCtx.globalCompositeOperation = 'destination-in';
+        tracePathCommands(layerCtx, lineClips[i]);
+        layerCtx.fill();
+        ctx.drawImage(layer, 0, 0);
+      });
+    },
+  };
+}
 
-  // Keep center bright while letting top also fall into darker tones.
-  const topA = getTopShadowAlpha(cfg.topShadowOpacity);
-  b.save();
-  b.globalCompositeOperation = 'multiply';
-  const topShade = b.createLinearGradient(0, y - cfg.size * 1.05, 0, y - cfg.size * 0.04);
-  topShade.addColorStop(0.0, rgba(darken(cfg.topColor, 0.22), topA * 0.82));
-  topShade.addColorStop(0.44, rgba(darken(cfg.topColor, 0.34), topA * 0.48));
-  topShade.addColorStop(0.74, rgba(cfg.topColor, 0.00));
-  topShade.addColorStop(1.0, rgba(cfg.topColor, 0.00));
-  b.fillStyle = topShade;
-  drawTextWithSpacing(b, text, x, y, spacing, 'fill');
-  b.restore();
+// Glyph outlines of the whole text block, positioned like the raster layers:
+// x relative to the block centre, y relative to the first baseline.
+function layoutBlockOutline(cfg, fonts) {
+  const block = layoutTextBlock(cfg, (text, size, spacing) => layoutTextOutline(fonts, text, size, spacing, 0, 0).width);
+  const lines = block.lines.map((line) => {
+    const centerX = line.x + line.width / 2 - block.width / 2;
+    const laid = layoutTextOutline(fonts, line.text, line.size, line.spacing, centerX, line.baselineY);
+    // Each face gets its own synthetic bold; the box grows by the widest.
+    let grow = 0;
+    const commands = [];
+    for (const glyph of laid.glyphs) {
+      const bold = syntheticBoldWidth(fonts.outlineFont(glyph.face), line.size);
+      grow = Math.max(grow, bold / 2);
+      commands.push(...emboldenCommands(glyph.commands, bold));
+    }
+    return {
+      ...line,
+      commands,
+      box: laid.box,
+      grow,
+    };
+  });
+
+  const box = { x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+  for (const line of lines) {
+    if (!Number.isFinite(line.box.x1)) continue;
+    box.x1 = Math.min(box.x1, line.box.x1 - line.grow);
+    box.y1 = Math.min(box.y1, line.box.y1 - line.grow);
+    box.x2 = Math.max(box.x2, line.box.x2 + line.grow);
+    box.y2 = Math.max(box.y2, line.box.y2 + line.grow);
+  }
+  return {
+    block,
+    lines,
+    commands: lines.reduce((all, line) => all.concat(line.commands), []),
+    box,
+  };
+}
+
+function composeBodyLayer(sideLayer, baseLayer, includeExtrude) {
+  const body = createCanvas(baseLayer.width, baseLayer.height);
+  const bodyCtx = body.getContext('2d');
+  if (includeExtrude) bodyCtx.drawImage(sideLayer, 0, 0);
+  bodyCtx.drawImage(baseLayer, 0, 0);
+  return body;
+}
+
+/**
+ * Body (extrude + base), over (post-warp effects and the body effects above
+ * them, see paintStyledLayers), fx (stroke + glow) and glyph mask canvases
+ * for a warp mode, plus the effects drawn under the text.
+ * `makeField(glyphBounds, width, height)` returns the warp field for the
+ * unwarped text layer, or null for no warp.
+ *
+ * raster pipeline: draw the layers flat, then warp their pixels with the
+ * selected backend. vector pipeline: warp the glyph outlines and draw the
+ * layers straight onto the warped canvas.
+ *
+ * Body, over and fx stay separate so the chrome gradient can be re-applied
+ * to the warped body alone, under the effects stacked above it, and the white
+ * stroke/glow is not tinted by it.
+ */
+function buildWarpedLayers(cfg, fonts, { makeField, includeExtrude }) {
+  if (cfg.warpPipeline === 'vector') {
+    const outline = layoutBlockOutline(cfg, fonts);
+    const frame = getTextLayerFrame(cfg, outline.block);
+    const box = outline.box;
+    const glyphBounds = Number.isFinite(box.x1)
+      ? {
+        minX: Math.floor(frame.x + box.x1),
+        minY: Math.floor(frame.y + box.y1),
+        maxX: Math.ceil(frame.x + box.x2),
+        maxY: Math.ceil(frame.y + box.y2),
+      }
+      : { minX: 0, minY: 0, maxX: frame.width - 1, maxY: frame.height - 1 };
+    const field = makeField(glyphBounds, frame.width, frame.height) || identityField(frame.width, frame.height);
+    const painter = createVectorPainter(cfg, outline, frame, field);
+    const { sideLayer, baseLayer, overLayers, underEffects, fxLayer, maskLayer } = paintStyledLayers(cfg, painter);
+    return {
+      warpedBody: composeBodyLayer(sideLayer, baseLayer, includeExtrude),
+      warpedOver: overLayers,
+      warpedFx: fxLayer,
+      warpedMask: maskLayer,
+      underEffects,
+    };
+  }
 
-  // Edge bevel rims for stronger 3D contour.
-  const edgeK = cfg.edge3dStrength;
-  b.strokeStyle = rgba(lighten(cfg.outlineColor, 0.14), Math.min(1, 0.62 * edgeK));
-  b.lineWidth = Math.max(1.2, cfg.strokeSize * (0.18 + edgeK * 0.12));
-  drawTextWithSpacing(b, text, x - cfg.strokeSize * 0.045, y - cfg.strokeSize * 0.050, spacing, 'stroke');
-
-  b.strokeStyle = rgba(darken(cfg.bottomColor, 0.52), Math.min(1, 0.78 * edgeK));
-  b.lineWidth = Math.max(1.3, cfg.strokeSize * (0.20 + edgeK * 0.14));
-  drawTextWithSpacing(b, text, x + cfg.strokeSize * 0.060, y + cfg.strokeSize * 0.065, spacing, 'stroke');
-
-  b.strokeStyle = rgba(mixColor(cfg.outlineColor, cfg.bottomColor, 0.58), Math.min(1, 0.84 * edgeK));
-  b.lineWidth = Math.max(1.0, cfg.strokeSize * (0.14 + edgeK * 0.08));
-  drawTextWithSpacing(b, text, x + cfg.strokeSize * 0.010, y + cfg.strokeSize * 0.016, spacing, 'stroke');
-
-  b.strokeStyle = rgba(cfg.outlineColor, 0.36);
-  b.lineWidth = Math.max(2, cfg.bevelSize * 0.11);
-  b.lineJoin = 'round';
-  drawTextWithSpacing(b, text, x, y, spacing, 'stroke');
-
-  b.strokeStyle = rgba(darken(cfg.bottomColor, 0.42), 0.20);
-  b.lineWidth = Math.max(1.5, cfg.bevelSize * 0.07);
-  drawTextWithSpacing(b, text, x, y, spacing, 'stroke');
-  b.strokeStyle = rgba(darken(cfg.bottomColor, 0.24), 0.52);
-  b.lineWidth = Math.max(1.8, cfg.bevelSize * 0.09);
-  drawTextWithSpacing(b, text, x, y + cfg.bevelSize * 0.02, spacing, 'stroke');
-
-  // Stroke + Outer Glow layer (separate layer like Photoshop stack)
-  const fxLayer = createCanvas(layerW, layerH);
-  const f = fxLayer.getContext('2d');
-  f.font = font;
-  f.textAlign = 'center';
-  f.textBaseline = 'alphabetic';
-  f.lineJoin = 'miter';
-  f.miterLimit = 4.5;
-
-  f.strokeStyle = rgba(cfg.outlineColor, 0.98);
-  f.lineWidth = cfg.strokeSize;
-  f.shadowColor = rgba(cfg.glowColor, cfg.glowOpacity);
-  f.shadowBlur = cfg.glowSize;
-  drawTextWithSpacing(f, text, x, y, spacing, 'stroke');
-  f.shadowBlur = 0;
-  drawTextWithSpacing(f, text, x, y, spacing, 'stroke');
-  f.lineWidth = Math.max(1.0, cfg.strokeSize * 0.24);
-  f.strokeStyle = rgba(mixColor(cfg.outlineColor, cfg.bottomColor, 0.62), 0.86);
-  drawTextWithSpacing(f, text, x + cfg.strokeSize * 0.01, y + cfg.strokeSize * 0.01, spacing, 'stroke');
-
-  return { sideLayer, baseLayer, fxLayer };
-}
-
-function drawWarpedStyledText(ctx, cfg, fontFamily) {
   // Create layers without the chrome gradient — it will be re-applied post-warp
   // based on the actual warped glyph bounds, ensuring full color coverage.
-  const { sideLayer, baseLayer, fxLayer } = createStyledTextLayers(cfg, fontFamily, { skipGradient: true });
+  const { sideLayer, baseLayer, overLayers, underEffects, fxLayer, maskLayer } = createStyledTextLayers(cfg, fonts);
+  const field = makeField(getAlphaBounds(baseLayer), baseLayer.width, baseLayer.height);
+  const bodyRaw = composeBodyLayer(sideLayer, baseLayer, includeExtrude);
+  if (!field) {
+    return { warpedBody: bodyRaw, warpedOver: overLayers, warpedFx: fxLayer, warpedMask: maskLayer, underEffects };
+  }
+  const warpEntry = (entry) => (entry.layer ? { layer: warpLayerCanvas(entry.layer, field, cfg), blend: entry.blend } : entry);
+  return {
+    warpedBody: warpLayerCanvas(bodyRaw, field, cfg),
+    warpedOver: overLayers.map(warpEntry),
+    warpedFx: warpLayerCanvas(fxLayer, field, cfg),
+    warpedMask: maskLayer && warpLayerCanvas(maskLayer, field, cfg),
+    underEffects,
+  };
+}
 
+function drawWarpedStyledText(ctx, cfg, fonts) {
   const startRatio = Math.max(0.2, Math.min(0.9, cfg.warpStartRatio || 0.62));
   const power = Math.max(0.5, Math.min(3, cfg.warpPower || 1.4));
   const direction = cfg.warpDirection === 'up' ? 'up' : 'down';
 
-  // Auto-clamp bendPx so it never exceeds the available warp range.
-  // Without this, direction='up' with large bend causes the bottom to fold
-  // back over itself, compressing the gradient into invisible pixels.
-  const glyphBounds = getAlphaBounds(baseLayer);
-  const glyphH = Math.max(1, glyphBounds.maxY - glyphBounds.minY);
-  const warpRangePx = (1 - startRatio) * glyphH;
-  const rawBendPx = cfg.size * Math.max(0.08, Math.min(0.9, cfg.bend));
-  const bendPx = Math.min(rawBendPx, warpRangePx * 0.88);
-
-  // Warp body (side + base) and fx (stroke/glow) separately.
-  // Gradient is applied only to the warped body so the white glow/stroke
-  // in fxLayer is not tinted — it is composited on top as a final step.
-  const bodyRaw = createCanvas(baseLayer.width, baseLayer.height);
-  const bodyCtx = bodyRaw.getContext('2d');
-  if (cfg.warpIncludeExtrude) bodyCtx.drawImage(sideLayer, 0, 0);
-  bodyCtx.drawImage(baseLayer, 0, 0);
-
-  const warpedBody = warpBottomWeightedCanvas(bodyRaw, bendPx, startRatio, power, baseLayer, direction);
-  const warpedFx   = warpBottomWeightedCanvas(fxLayer,  bendPx, startRatio, power, baseLayer, direction);
+  const warped = buildWarpedLayers(cfg, fonts, {
+    includeExtrude: cfg.warpIncludeExtrude,
+    makeField(glyphBounds, width, height) {
+      // Auto-clamp bendPx so it never exceeds the available warp range.
+      // Without this, direction='up' with large bend causes the bottom to fold
+      // back over itself, compressing the gradient into invisible pixels.
+      const glyphH = Math.max(1, glyphBounds.maxY - glyphBounds.minY);
+      const warpRangePx = (1 - startRatio) * glyphH;
+      const rawBendPx = cfg.size * Math.max(0.08, Math.min(0.9, cfg.bend));
+      const bendPx = Math.min(rawBendPx, warpRangePx * 0.88);
+      return bottomWeightedField(width, height, glyphBounds, bendPx, startRatio, power, direction);
+    },
+  });
+
+  drawWarpedBody(ctx, cfg, warped);
+}
 
-  // Re-apply chrome gradient to warped body, clipped to its solid pixels.
-  const wbounds = getAlphaBounds(warpedBody);
-  const gradCanvas = createCanvas(warpedBody.width, warpedBody.height);
-  const gc = gradCanvas.getContext('2d');
-  const chromGrad = gc.createLinearGradient(0, wbounds.minY, 0, wbounds.maxY);
-  addChromeStops(chromGrad, cfg);
-  gc.fillStyle = chromGrad;
-  gc.fillRect(0, 0, warpedBody.width, warpedBody.height);
-  gc.globalCompositeOperation = 'destination-in';
-  gc.drawImage(warpedBody, 0, 0);   // clip gradient to body alpha
+// POST_WARP_EFFECTS recipes, drawn onto the warped body; `ctx` already has
+// the effect's blend mode and layer alpha.
+const POST_WARP_PAINTERS = {
+  // Chrome gradient over the warped bounds, clipped to the body's solid pixels.
+  gradientOverlay(ctx, cfg, effect, { body }) {
+    const wbounds = getAlphaBounds(body);
+    const gradCanvas = createCanvas(body.width, body.height);
+    const gc = gradCanvas.getContext('2d');
+    const chromGrad = gc.createLinearGradient(...gradientLine(cfg.gradientAngle, {
+      x1: wbounds.minX, y1: wbounds.minY, x2: wbounds.maxX, y2: wbounds.maxY,
+    }));
+    addChromeStops(chromGrad, cfg);
+    gc.fillStyle = chromGrad;
+    gc.fillRect(0, 0, body.width, body.height);
+    gc.globalCompositeOperation = 'destination-in';
+    gc.drawImage(body, 0, 0);   // clip gradient to body alpha
+
+    ctx.globalAlpha = effect.opacity;
+    ctx.drawImage(gradCanvas, 0, 0);
+  },
+
+  bevelEmboss(ctx, cfg, effect, { mask }) {
+    drawBevelEmboss(ctx, cfg, effect, mask);
+  },
+
+  innerGlow(ctx, cfg, effect, { mask }) {
+    drawSoftShadow(ctx, effect, mask);
+  },
+
+  innerShadow(ctx, cfg, effect, { mask }) {
+    drawSoftShadow(ctx, effect, mask);
+  },
+};
 
+// Shared tail of the warp modes: apply the post-warp effects and composite
+// the body effects stacked between them in order, lay the untinted
+// stroke/glow on top and center the result on the canvas, over the drop
+// shadows of the warped glyphs.
+function drawWarpedBody(ctx, cfg, { warpedBody, warpedOver, warpedFx, warpedMask, underEffects }) {
   const bCtx = warpedBody.getContext('2d');
-  bCtx.globalAlpha = cfg.gradientOpacity;
-  bCtx.drawImage(gradCanvas, 0, 0);
-  bCtx.globalAlpha = 1;
+  for (const entry of warpedOver) {
+    bCtx.save();
+    if (entry.effect) {
+      bCtx.globalCompositeOperation = compositeOperation(entry.effect);
+      bCtx.globalAlpha = layerAlpha(entry.effect);
+      POST_WARP_PAINTERS[entry.effect.type](bCtx, cfg, entry.effect, { body: warpedBody, mask: warpedMask });
+    } else {
+      bCtx.globalCompositeOperation = entry.blend;
+      bCtx.drawImage(entry.layer, 0, 0);
+    }
+    bCtx.restore();
+  }
 
   // Composite fxLayer (white stroke + glow) on top — fully preserved, no gradient tint.
   bCtx.drawImage(warpedFx, 0, 0);
@@ -800,267 +1265,953 @@ function drawWarpedStyledText(ctx, cfg, fontFamily) {
   const centerY = (bounds.minY + bounds.maxY) / 2;
   const targetX = cfg.width / 2 - centerX;
   const targetY = cfg.height * cfg.apexYRatio - centerY + cfg.verticalOffset;
+  for (const effect of underEffects) {
+    const shadow = softShadowLayer(effect, warpedMask);
+    if (!shadow) continue;
+    ctx.save();
+    ctx.globalCompositeOperation = compositeOperation(effect);
+    ctx.globalAlpha = layerAlpha(effect);
+    ctx.drawImage(shadow.layer, targetX + shadow.x, targetY + shadow.y);
+    ctx.restore();
+  }
   ctx.drawImage(warpedBody, targetX, targetY);
 }
 
-function drawClassicArcStyledText(ctx, cfg, fontFamily) {
-  const isFlat = cfg.curveMode === 'flat';
-  const text = cfg.text.toUpperCase();
-  if (!text) return;
-  const size = cfg.size;
-  const font = `900 ${size}px "${fontFamily}"`;
-  const scaleX = 0.86;
-  const scaleY = 1.08;
-  const radius = cfg.width * 1.02;
+const CLASSIC_SCALE_X = 0.86;
+const CLASSIC_SCALE_Y = 1.08;
+
+// curveMode 'path': glyph centres sit on the textPath baseline, spaced by arc
+// length. Path coordinates are output pixels (scaled by `pathScale` when
+// rendering supersampled); verticalOffset and later lines shift the run down.
+// Returns a placer for createClassicPlacer.
+function createPathPlacer(cfg, blockWidth) {
+  const sampler = createPathSampler(cfg.textPath, cfg.pathScale || 1);
+  const slack = sampler.length - blockWidth;
+  const alignStart = cfg.textPathAlign === 'start' ? 0 : cfg.textPathAlign === 'end' ? slack : slack / 2;
+  const origin = alignStart + cfg.textPathOffset + blockWidth / 2;
+  // `u` is the glyph's centre, so it turns with the path tangent right there.
+  return (u, w, dy) => {
+    const mid = sampler.pointAt(origin + u);
+    return { x: mid.x, y: mid.y + cfg.verticalOffset + dy, rotation: mid.angle };
+  };
+}
+
+// Distance of the arc rim highlight below the baseline, relative to font size.
+const ARC_RIM_OFFSET = 0.12;
+
+// Classic arc radius: an explicit arcRadius, otherwise derived from bend so
+// the default bend keeps the original width * 1.02 circle and larger bends
+// curve tighter.
+function getClassicArcRadius(cfg) {
+  if (cfg.arcRadius > 0) return cfg.arcRadius;
+  const bend = Math.max(0.05, Math.min(0.9, cfg.bend));
+  return cfg.width * 1.02 * (DEFAULT_CONFIG.bend / bend);
+}
+
+// Cap height relative to font size; both badge lines are centred on
+// badgeRadius with this band height, and the ring sits just outside it.
+const BADGE_CAP_RATIO = 0.7;
+
+// curveMode 'badge': topText reads clockwise over the top of the circle within
+// badgeStartAngle..badgeEndAngle (degrees clockwise from 12 o'clock) and
+// bottomText reads upright along the mirrored span at the bottom. A line
+// longer than its span is scaled down (glyph.scale) until it fits.
+function layoutBadgeGlyphs(cfg, measureChar, fonts) {
   const centerX = cfg.width / 2;
-  const centerY = radius + cfg.height * 0.27 + cfg.verticalOffset;
-  const flatBaselineY = cfg.height * 0.27 + cfg.verticalOffset;
+  const centerY = cfg.height / 2 + cfg.verticalOffset;
+  const radius = cfg.badgeRadius > 0 ? cfg.badgeRadius : Math.min(cfg.width, cfg.height) * 0.34;
+  const band = cfg.size * BADGE_CAP_RATIO * CLASSIC_SCALE_Y;
+  const spacing = cfg.size * cfg.letterSpacing;
+  const startAngle = (cfg.badgeStartAngle * Math.PI) / 180;
+  const endAngle = (cfg.badgeEndAngle * Math.PI) / 180;
+  const span = endAngle - startAngle;
+  const topMid = (startAngle + endAngle) / 2;
+
+  // dir 1 walks clockwise with the baseline inside the band (top line), -1
+  // counter-clockwise with the baseline outside it (bottom line).
+  const placeLine = (text, midAngle, dir) => {
+    // Each badge line is a single run; newlines become spaces.
+    const run = classicGlyphRun(applyTextCase(splitLines(text).join(' '), cfg.textCase), cfg, measureChar, fonts, 1, spacing);
+    const arc = run.width / radius;
+    const scale = span > 0 && arc > span ? span / arc : 1;
+    const baseRadius = radius - dir * (band * scale) / 2;
+    return run.glyphs.map((glyph) => {
+      const u = glyph.x + glyph.width / 2 - run.width / 2;
+      const angle = midAngle + (dir * u * scale) / radius;
+      return {
+        ch: glyph.ch,
+        face: glyph.face,
+        width: glyph.width * scale,
+        x: centerX + Math.sin(angle) * baseRadius,
+        y: centerY - Math.cos(angle) * baseRadius,
+        rotation: dir > 0 ? angle : angle - Math.PI,
+        scale,
+      };
+    });
+  };
 
-  ctx.font = font;
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'alphabetic';
+  let ring = null;
+  if (cfg.badgeRingWidth > 0) {
+    const gap = cfg.size * 0.18 + strokeWidthOf(cfg);
+    const inner = radius - band / 2 - gap;
+    const outer = radius + band / 2 + gap;
+    const radii = [outer, outer + cfg.badgeRingWidth];
+    if (inner - cfg.badgeRingWidth > 0) radii.unshift(inner - cfg.badgeRingWidth, inner);
+    ring = { centerX, centerY, radii };
+  }
 
-  const spacing = size * cfg.letterSpacing;
-  const charWidths = [];
-  let totalArc = 0;
-  let totalWidth = 0;
-  for (const ch of text) {
-    const w = ctx.measureText(ch).width * scaleX;
-    charWidths.push(w);
-    totalWidth += w;
-    if (!isFlat) totalArc += w / radius;
-  }
-  totalWidth += spacing * (text.length - 1);
-  if (!isFlat) totalArc += (spacing / radius) * (text.length - 1);
-  let angle = -totalArc / 2;
-  let cursorX = centerX - totalWidth / 2;
-  const maskCanvas = createCanvas(cfg.width, cfg.height);
-  const maskCtx = maskCanvas.getContext('2d');
+  return {
+    glyphs: [
+      ...placeLine(cfg.topText || cfg.text, topMid, 1),
+      ...placeLine(cfg.bottomText, Math.PI - topMid, -1),
+    ],
+    ring,
+    rim: null,
+    scaleX: CLASSIC_SCALE_X,
+    scaleY: CLASSIC_SCALE_Y,
+  };
+}
 
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    const w = charWidths[i];
-    let x = 0;
-    let y = 0;
-    let rotation = 0;
-    let half = 0;
-
-    if (isFlat) {
-      x = cursorX + w / 2;
-      y = flatBaselineY;
-      rotation = 0;
-      cursorX += w + spacing;
-    } else {
-      half = (w / radius) / 2;
-      angle += half;
-      x = centerX + Math.sin(angle) * radius;
-      y = centerY - Math.cos(angle) * radius;
-      rotation = angle * cfg.rotateFactor;
+// Glyphs are drawn stretched by CLASSIC_SCALE_X, so advances and kerning are
+// too; letterSpacing is not.
+function classicGlyphRun(text, cfg, measureChar, fonts, scale, spacing) {
+  const k = CLASSIC_SCALE_X * scale;
+  return layoutGlyphRun(
+    text,
+    (ch, face) => measureChar(ch, face) * k,
+    (left, right, face) => fonts.kern(left, right, cfg.size, face) * k,
+    spacing,
+    fonts.faceOf
+  );
+}
+
+// Glyph placement for the flat/arc/path/badge renderers, shared by the canvas
+// and SVG paths. `measureChar(ch, face)` returns the unscaled advance of one
+// character at cfg.size in a face of the `fonts` chain. Lines come from
+// text_layout.js; each glyph is placed from `u`, its centre's distance from
+// the block centre along the line, and `dy`, its line's baseline offset below
+// the first one.
+function layoutClassicGlyphs(cfg, measureChar, fonts) {
+  if (cfg.curveMode === 'badge') return layoutBadgeGlyphs(cfg, measureChar, fonts);
+  const block = layoutTextBlock(
+    cfg,
+    (text, size, spacing) => classicGlyphRun(text, cfg, measureChar, fonts, size / cfg.size, spacing).width,
+    CLASSIC_SCALE_Y
+  );
+
+  // dir 1 bows the text upward around a centre below it, -1 hangs it in a
+  // "smile" below a centre above it; later lines sit on concentric arcs.
+  const dir = cfg.arcDirection === 'down' ? -1 : 1;
+  const radius = getClassicArcRadius(cfg);
+  const centerX = cfg.width / 2;
+  const flatBaselineY = cfg.height * 0.27 + cfg.verticalOffset;
+  const totalArc = block.width / radius;
+  // The highest first-line baseline point sits on flatBaselineY: the middle
+  // glyph of an upward arc, the two ends of a downward one.
+  const centerY = dir > 0 ? flatBaselineY + radius : flatBaselineY - radius * Math.cos(totalArc / 2);
+  const lineRadius = (dy) => Math.max(1, radius - dir * dy);
+
+  let place;
+  if (cfg.curveMode === 'path') {
+    place = createPathPlacer(cfg, block.width);
+  } else if (cfg.curveMode === 'arc') {
+    place = (u, w, dy) => {
+      const r = lineRadius(dy);
+      const angle = u / r;
+      return {
+        x: centerX + Math.sin(angle) * r,
+        y: centerY - dir * Math.cos(angle) * r,
+        rotation: dir * angle * cfg.rotateFactor,
+      };
+    };
+  } else {
+    place = (u, w, dy) => ({ x: centerX + u, y: flatBaselineY + dy, rotation: 0 });
+  }
+
+  const glyphs = [];
+  let lastLine = null;
+  for (const line of block.lines) {
+    if (!line.text) continue;
+    const run = classicGlyphRun(line.text, cfg, measureChar, fonts, line.scale, line.spacing);
+    const left = line.x - block.width / 2;
+    for (const glyph of run.glyphs) {
+      const w = glyph.width;
+      glyphs.push({
+        ch: glyph.ch,
+        face: glyph.face,
+        width: w,
+        scale: line.scale,
+        ...place(left + glyph.x + w / 2, w, line.baselineY),
+      });
     }
+    lastLine = line;
+  }
 
-    ctx.save();
-    ctx.translate(x, y);
-    ctx.rotate(rotation);
-    ctx.scale(scaleX, scaleY);
-    ctx.font = font;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'alphabetic';
-
-    for (let d = cfg.extrudeDepth; d >= 1; d--) {
-      const t = d / cfg.extrudeDepth;
-      const a = Math.min(1, 0.10 + (1 - t) * cfg.extrudeOpacity);
-      ctx.fillStyle = rgba(darken(cfg.bottomColor, 0.08), a);
-      ctx.fillText(ch, d * 1.10, d * 0.98);
+  // Lower rim highlight: just under the last line's baseline, spanning it.
+  let rim = null;
+  if (cfg.curveMode === 'arc' && lastLine) {
+    const r = lineRadius(lastLine.baselineY);
+    const lineCenter = lastLine.x + lastLine.width / 2 - block.width / 2;
+    const mid = -dir * Math.PI / 2 + dir * (lineCenter / r);
+    const half = (lastLine.width / r) * 0.49;
+    rim = {
+      centerX,
+      centerY,
+      radius: r - dir * lastLine.size * ARC_RIM_OFFSET,
+      startAngle: mid - half,
+      endAngle: mid + half,
+    };
+  }
+
+  return {
+    glyphs,
+    ring: null,
+    rim,
+    scaleX: CLASSIC_SCALE_X,
+    scaleY: CLASSIC_SCALE_Y,
+  };
+}
+
+// Chrome gradient box of a classic glyph in its own units: the ramp spans the
+// letter height, and every glyph shares it so SVG can use a single gradient.
+function classicGradientBox(size) {
+  const half = (size * 1.02 + size * 0.24) / 2;
+  return { x1: -half, y1: -size * 1.02, x2: half, y2: size * 0.24 };
+}
+
+function ringGradientBox(ring) {
+  const outer = ring.radii[ring.radii.length - 1];
+  return { x1: ring.centerX - outer, y1: ring.centerY - outer, x2: ring.centerX + outer, y2: ring.centerY + outer };
+}
+
+// A glyph as a shape for drawClassicShape; `fontOf(face)` is the canvas font
+// string of the glyph's face.
+function classicGlyphShape(glyph, layout, fontOf, size) {
+  return {
+    place(c) {
+      c.translate(glyph.x, glyph.y);
+      c.rotate(glyph.rotation);
+      const k = glyph.scale || 1;
+      c.scale(layout.scaleX * k, layout.scaleY * k);
+      c.font = fontOf(glyph.face);
+      c.textAlign = 'center';
+      c.textBaseline = 'alphabetic';
+    },
+    paint(c, dx, dy, mode) {
+      if (mode === 'fill') c.fillText(glyph.ch, dx, dy);
+      else c.strokeText(glyph.ch, dx, dy);
+    },
+    gradientBox: classicGradientBox(size),
+  };
+}
+
+// Badge border as a shape: concentric annuli filled with the even-odd rule.
+function badgeRingShape(ring) {
+  return {
+    place() {},
+    paint(c, dx, dy, mode) {
+      c.beginPath();
+      for (const r of ring.radii) {
+        c.moveTo(ring.centerX + dx + r, ring.centerY + dy);
+        c.arc(ring.centerX + dx, ring.centerY + dy, r, 0, Math.PI * 2);
+      }
+      if (mode === 'fill') c.fill('evenodd');
+      else c.stroke();
+    },
+    gradientBox: ringGradientBox(ring),
+  };
+}
+
+// Per-shape effect recipes of the classic renderer; `ctx` is already placed
+// for the shape and has the effect's blend mode and layer alpha.
+const CLASSIC_SHAPE_PAINTERS = {
+  extrude(ctx, cfg, effect, shape) {
+    for (let d = effect.depth; d >= 1; d--) {
+      const t = d / effect.depth;
+      const a = Math.min(1, 0.10 + (1 - t) * effect.strength);
+      ctx.fillStyle = rgba(darken(cfg.bottomColor, 0.08, cfg.colorSpace), a);
+      shape.paint(ctx, ...lightOffset(cfg, d * 1.10, d * 0.98), 'fill');
     }
+  },
 
-    ctx.shadowColor = rgba(cfg.glowColor, cfg.glowOpacity);
-    ctx.shadowBlur = cfg.glowSize;
+  outerGlow(ctx, cfg, effect, shape) {
+    ctx.shadowColor = rgba(cfg.glowColor, effect.opacity);
+    ctx.shadowBlur = effect.size;
     ctx.fillStyle = rgba(cfg.midColor, 0.12);
-    for (let p = 0; p < 3; p++) ctx.fillText(ch, 0, 0);
-    ctx.shadowBlur = 0;
-    ctx.shadowColor = 'transparent';
+    for (let p = 0; p < 3; p++) shape.paint(ctx, 0, 0, 'fill');
+  },
 
+  stroke(ctx, cfg, effect, shape) {
     ctx.strokeStyle = rgba(cfg.outlineColor, 0.98);
-    ctx.lineWidth = cfg.strokeSize;
-    ctx.lineJoin = 'miter';
-    ctx.miterLimit = 4.5;
-    ctx.strokeText(ch, 0, 0);
+    ctx.lineWidth = effect.size;
+    shape.paint(ctx, 0, 0, 'stroke');
 
-    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.10), 0.56);
-    ctx.lineWidth = Math.max(2, cfg.strokeSize * 0.44);
-    ctx.strokeText(ch, 0, 0);
+    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.10, cfg.colorSpace), 0.56);
+    ctx.lineWidth = Math.max(2, effect.size * 0.44);
+    shape.paint(ctx, 0, 0, 'stroke');
+  },
 
-    const grad = ctx.createLinearGradient(0, -size * 1.02, 0, size * 0.24);
+  gradientOverlay(ctx, cfg, effect, shape) {
+    const grad = ctx.createLinearGradient(...gradientLine(cfg.gradientAngle, shape.gradientBox));
     addChromeStops(grad, cfg);
-    ctx.globalAlpha = cfg.gradientOpacity;
+    ctx.globalAlpha = effect.opacity;
     ctx.fillStyle = grad;
-    ctx.fillText(ch, 0, 0);
-    ctx.globalAlpha = 1;
+    shape.paint(ctx, 0, 0, 'fill');
+  },
+
+  edgeRims(ctx, cfg, effect, shape) {
+    const edgeK = effect.strength;
+    const w = effect.width;
+    ctx.strokeStyle = rgba(lighten(cfg.outlineColor, 0.14, cfg.colorSpace), Math.min(1, 0.62 * edgeK));
+    ctx.lineWidth = Math.max(1.1, w * (0.18 + edgeK * 0.12));
+    shape.paint(ctx, ...edgeOffset(cfg, -w * 0.045, -w * 0.050), 'stroke');
+
+    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.52, cfg.colorSpace), Math.min(1, 0.78 * edgeK));
+    ctx.lineWidth = Math.max(1.2, w * (0.20 + edgeK * 0.14));
+    shape.paint(ctx, ...edgeOffset(cfg, w * 0.060, w * 0.065), 'stroke');
+
+    ctx.strokeStyle = rgba(mixColor(cfg.outlineColor, cfg.bottomColor, 0.58, cfg.colorSpace), Math.min(1, 0.84 * edgeK));
+    ctx.lineWidth = Math.max(1.0, w * (0.14 + edgeK * 0.08));
+    shape.paint(ctx, ...edgeOffset(cfg, w * 0.010, w * 0.016), 'stroke');
+
+    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.24, cfg.colorSpace), 0.42);
+    ctx.lineWidth = Math.max(1.5, w * 0.30);
+    shape.paint(ctx, ...edgeOffset(cfg, 1.4, 1.2), 'stroke');
+  },
+};
 
-    // Unified global shading mask so left/right letters keep consistent tone.
-    maskCtx.save();
-    maskCtx.translate(x, y);
-    maskCtx.rotate(rotation);
-    maskCtx.scale(scaleX, scaleY);
-    maskCtx.font = font;
-    maskCtx.textAlign = 'center';
-    maskCtx.textBaseline = 'alphabetic';
-    maskCtx.fillStyle = '#ffffff';
-    maskCtx.fillText(ch, 0, 0);
-    maskCtx.restore();
+// Effects the classic renderer draws once over the union of all shapes, so
+// left and right letters keep a consistent tone.
+const CLASSIC_SHADING_EFFECTS = ['topShade', 'bevel', 'bevelEmboss', 'innerGlow', 'innerShadow', 'dropShadow'];
+
+// Runs of consecutive effects drawn the same way: per shape, or once over all
+// shapes. Per-shape runs draw shape by shape so overlapping letters stack
+// like separate layers.
+function classicEffectRuns(effects) {
+  const runs = [];
+  for (const effect of effects) {
+    const shading = CLASSIC_SHADING_EFFECTS.includes(effect.type);
+    const last = runs[runs.length - 1];
+    if (last && last.shading === shading) last.effects.push(effect);
+    else runs.push({ shading, effects: [effect] });
+  }
+  return runs;
+}
 
-    const edgeK = cfg.edge3dStrength;
-    ctx.strokeStyle = rgba(lighten(cfg.outlineColor, 0.14), Math.min(1, 0.62 * edgeK));
-    ctx.lineWidth = Math.max(1.1, cfg.strokeSize * (0.18 + edgeK * 0.12));
-    ctx.strokeText(ch, -cfg.strokeSize * 0.045, -cfg.strokeSize * 0.050);
+// The per-shape effects of one run, in stack order.
+function drawClassicShape(ctx, cfg, shape, effects) {
+  ctx.save();
+  shape.place(ctx);
+  ctx.lineJoin = 'miter';
+  ctx.miterLimit = 4.5;
+  for (const effect of effects) {
+    ctx.save();
+    ctx.globalCompositeOperation = compositeOperation(effect);
+    ctx.globalAlpha = layerAlpha(effect);
+    CLASSIC_SHAPE_PAINTERS[effect.type](ctx, cfg, effect, shape);
+    ctx.restore();
+  }
+  ctx.restore();
+}
 
-    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.52), Math.min(1, 0.78 * edgeK));
-    ctx.lineWidth = Math.max(1.2, cfg.strokeSize * (0.20 + edgeK * 0.14));
-    ctx.strokeText(ch, cfg.strokeSize * 0.060, cfg.strokeSize * 0.065);
+// Vertical gradient over the shading box (turned with the light around its
+// centre), clipped to the shape mask.
+function maskedShadeLayer(cfg, mask, box, y0, y1, stops) {
+  const layer = createCanvas(cfg.width, cfg.height);
+  const lc = layer.getContext('2d');
+  lc.drawImage(mask, 0, 0);
+  lc.globalCompositeOperation = 'source-in';
+  const grad = lc.createLinearGradient(...lightGradientLine(cfg, 0, y0, 0, y1, box.x + box.w / 2, box.y + box.h / 2));
+  for (const [offset, color] of stops) grad.addColorStop(offset, color);
+  lc.fillStyle = grad;
+  lc.fillRect(box.x, box.y, box.w + 4, box.h + 4);
+  return layer;
+}
 
-    ctx.strokeStyle = rgba(mixColor(cfg.outlineColor, cfg.bottomColor, 0.58), Math.min(1, 0.84 * edgeK));
-    ctx.lineWidth = Math.max(1.0, cfg.strokeSize * (0.14 + edgeK * 0.08));
-    ctx.strokeText(ch, cfg.strokeSize * 0.010, cfg.strokeSize * 0.016);
+// Shading box of the classic renderer around the mask's opaque pixels.
+function classicShadingBox(mask) {
+  const bounds = getAlphaBounds(mask);
+  return {
+    x: bounds.minX - 2,
+    y: bounds.minY - 2,
+    w: Math.max(8, bounds.maxX - bounds.minX + 1),
+    h: Math.max(8, bounds.maxY - bounds.minY + 1),
+  };
+}
 
-    ctx.strokeStyle = rgba(darken(cfg.bottomColor, 0.24), 0.42);
-    ctx.lineWidth = Math.max(1.5, cfg.strokeSize * 0.30);
-    ctx.strokeText(ch, 1.4, 1.2);
+const CLASSIC_SHADING_PAINTERS = {
+  topShade(ctx, cfg, effect, mask, box) {
+    const topA = getTopShadowAlpha(effect.opacity);
+    ctx.drawImage(maskedShadeLayer(cfg, mask, box, box.y, box.y + box.h * 0.72, [
+      [0.0, rgba(darken(cfg.topColor, 0.22, cfg.colorSpace), topA * 0.82)],
+      [0.46, rgba(darken(cfg.topColor, 0.34, cfg.colorSpace), topA * 0.52)],
+      [0.76, rgba(cfg.topColor, 0.00)],
+      [1.0, rgba(cfg.topColor, 0.00)],
+    ]), 0, 0);
+  },
+
+  // The shadow always multiplies; the blend mode applies to the highlight.
+  bevel(ctx, cfg, effect, mask, box) {
+    const bottomA = getTopShadowAlpha(effect.shadow);
+    const hiFade = highlightFade(cfg);
+    const shadow = maskedShadeLayer(cfg, mask, box, box.y + box.h * 0.28, box.y + box.h, [
+      [0.0, rgba(cfg.bottomColor, 0.00)],
+      [0.54, rgba(darken(cfg.bottomColor, 0.10, cfg.colorSpace), bottomA * 0.64)],
+      [1.0, rgba(darken(cfg.bottomColor, 0.20, cfg.colorSpace), bottomA * 0.92)],
+    ]);
+    const highlight = maskedShadeLayer(cfg, mask, box, box.y + box.h * 0.08, box.y + box.h * 0.78, [
+      [0.00, rgba(cfg.midColor, 0.00)],
+      [0.30, rgba(cfg.midColor, effect.highlight * hiFade * 0.52)],
+      [0.48, rgba(cfg.midColor, effect.highlight * hiFade * 0.94)],
+      [0.74, rgba(cfg.midColor, 0.06 * hiFade)],
+      [1.00, rgba(cfg.midColor, 0.00)],
+    ]);
+    const blend = ctx.globalCompositeOperation;
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.drawImage(shadow, 0, 0);
+    ctx.globalCompositeOperation = blend;
+    ctx.drawImage(highlight, 0, 0);
+  },
+
+  bevelEmboss(ctx, cfg, effect, mask) {
+    drawBevelEmboss(ctx, cfg, effect, mask);
+  },
+
+  innerGlow(ctx, cfg, effect, mask) {
+    drawSoftShadow(ctx, effect, mask);
+  },
+
+  innerShadow(ctx, cfg, effect, mask) {
+    drawSoftShadow(ctx, effect, mask);
+  },
+
+  dropShadow(ctx, cfg, effect, mask) {
+    drawSoftShadow(ctx, effect, mask);
+  },
+};
 
-    ctx.restore();
-    if (!isFlat) angle += half + spacing / radius;
-  }
-
-  const bounds = getAlphaBounds(maskCanvas);
-  const bw = Math.max(8, bounds.maxX - bounds.minX + 1);
-  const bh = Math.max(8, bounds.maxY - bounds.minY + 1);
-  const bx = bounds.minX - 2;
-  const by = bounds.minY - 2;
-  const topA = getTopShadowAlpha(cfg.topShadowOpacity);
-  const bottomA = getTopShadowAlpha(cfg.bevelShadowOpacity);
-  const hiFade = 1 - Math.max(0, Math.min(1, cfg.topShadowOpacity || 0)) * 0.86;
-
-  const topLayer = createCanvas(cfg.width, cfg.height);
-  const tl = topLayer.getContext('2d');
-  tl.drawImage(maskCanvas, 0, 0);
-  tl.globalCompositeOperation = 'source-in';
-  const topGrad = tl.createLinearGradient(0, by, 0, by + bh * 0.72);
-  topGrad.addColorStop(0.0, rgba(darken(cfg.topColor, 0.22), topA * 0.82));
-  topGrad.addColorStop(0.46, rgba(darken(cfg.topColor, 0.34), topA * 0.52));
-  topGrad.addColorStop(0.76, rgba(cfg.topColor, 0.00));
-  topGrad.addColorStop(1.0, rgba(cfg.topColor, 0.00));
-  tl.fillStyle = topGrad;
-  tl.fillRect(bx, by, bw + 4, bh + 4);
-
-  const bottomLayer = createCanvas(cfg.width, cfg.height);
-  const bl = bottomLayer.getContext('2d');
-  bl.drawImage(maskCanvas, 0, 0);
-  bl.globalCompositeOperation = 'source-in';
-  const bottomGrad = bl.createLinearGradient(0, by + bh * 0.28, 0, by + bh);
-  bottomGrad.addColorStop(0.0, rgba(cfg.bottomColor, 0.00));
-  bottomGrad.addColorStop(0.54, rgba(darken(cfg.bottomColor, 0.10), bottomA * 0.64));
-  bottomGrad.addColorStop(1.0, rgba(darken(cfg.bottomColor, 0.20), bottomA * 0.92));
-  bl.fillStyle = bottomGrad;
-  bl.fillRect(bx, by, bw + 4, bh + 4);
-
-  const hiLayer = createCanvas(cfg.width, cfg.height);
-  const hl = hiLayer.getContext('2d');
-  hl.drawImage(maskCanvas, 0, 0);
-  hl.globalCompositeOperation = 'source-in';
-  const hiGrad = hl.createLinearGradient(0, by + bh * 0.08, 0, by + bh * 0.78);
-  hiGrad.addColorStop(0.00, rgba(cfg.midColor, 0.00));
-  hiGrad.addColorStop(0.30, rgba(cfg.midColor, cfg.bevelHighlightOpacity * hiFade * 0.52));
-  hiGrad.addColorStop(0.48, rgba(cfg.midColor, cfg.bevelHighlightOpacity * hiFade * 0.94));
-  hiGrad.addColorStop(0.74, rgba(cfg.midColor, 0.06 * hiFade));
-  hiGrad.addColorStop(1.00, rgba(cfg.midColor, 0.00));
-  hl.fillStyle = hiGrad;
-  hl.fillRect(bx, by, bw + 4, bh + 4);
+// Enabled effects in drawing order: UNDER_TEXT_EFFECTS first, then the stack.
+function underTextFirst(effects) {
+  const under = effects.filter((effect) => UNDER_TEXT_EFFECTS.includes(effect.type));
+  return under.concat(effects.filter((effect) => !under.includes(effect)));
+}
 
-  ctx.save();
-  ctx.globalCompositeOperation = 'multiply';
-  ctx.drawImage(topLayer, 0, 0);
-  ctx.drawImage(bottomLayer, 0, 0);
-  ctx.restore();
-  ctx.drawImage(hiLayer, 0, 0);
+function drawClassicArcStyledText(ctx, cfg, fonts) {
+  const size = cfg.size;
+  const fontOf = (face) => `900 ${size}px "${fonts.faces[face].family}"`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
 
-  // Lower rim highlight: arc for curved mode, straight for flat mode.
-  ctx.save();
-  ctx.strokeStyle = rgba(cfg.outlineColor, 0.86);
-  ctx.lineWidth = cfg.strokeSize * 0.52;
-  ctx.shadowColor = rgba(cfg.glowColor, 0.55);
-  ctx.shadowBlur = cfg.glowSize * 0.52;
-  if (!isFlat) {
+  const layout = layoutClassicGlyphs(cfg, (ch, face) => {
+    ctx.font = fontOf(face);
+    return ctx.measureText(ch).width;
+  }, fonts);
+  if (layout.glyphs.length === 0 && !layout.ring) return;
+  const shapes = layout.glyphs.map((glyph) => classicGlyphShape(glyph, layout, fontOf, size));
+  if (layout.ring) shapes.unshift(badgeRingShape(layout.ring));
+
+  // Unified shading mask of every shape.
+  const maskCanvas = createCanvas(cfg.width, cfg.height);
+  const maskCtx = maskCanvas.getContext('2d');
+  for (const shape of shapes) {
+    maskCtx.save();
+    shape.place(maskCtx);
+    maskCtx.fillStyle = '#ffffff';
+    shape.paint(maskCtx, 0, 0, 'fill');
+    maskCtx.restore();
+  }
+  const box = classicShadingBox(maskCanvas);
+
+  for (const run of classicEffectRuns(underTextFirst(enabledEffects(cfg.effects)))) {
+    if (!run.shading) {
+      for (const shape of shapes) drawClassicShape(ctx, cfg, shape, run.effects);
+      continue;
+    }
+    for (const effect of run.effects) {
+      ctx.save();
+      ctx.globalCompositeOperation = compositeOperation(effect);
+      ctx.globalAlpha = layerAlpha(effect);
+      CLASSIC_SHADING_PAINTERS[effect.type](ctx, cfg, effect, maskCanvas, box);
+      ctx.restore();
+    }
+  }
+
+  // Lower rim highlight, following the arc direction; part of the stroke.
+  const { rim } = layout;
+  const stroke = findEffect(cfg.effects, 'stroke');
+  if (rim && stroke) {
+    const glow = findEffect(cfg.effects, 'outerGlow');
+    ctx.save();
+    ctx.strokeStyle = rgba(cfg.outlineColor, 0.86);
+    ctx.lineWidth = stroke.size * 0.52;
+    ctx.shadowColor = rgba(cfg.glowColor, 0.55);
+    ctx.shadowBlur = glow ? glow.size * 0.52 : 0;
     ctx.beginPath();
-    ctx.arc(centerX, centerY, radius + size * 0.37, -totalArc * 0.49, totalArc * 0.49);
+    ctx.arc(rim.centerX, rim.centerY, rim.radius, rim.startAngle, rim.endAngle);
     ctx.stroke();
+    ctx.restore();
   }
-  ctx.restore();
 }
 
-function drawCurveArcStyledText(ctx, cfg, fontFamily) {
+function drawCurveArcStyledText(ctx, cfg, fonts) {
   const safeCurve = Math.max(-100, Math.min(100, Number(cfg.curve) || 0));
   const isBottomOnly = cfg.curveScope === 'bottomOnly';
   const curvePxRaw = (safeCurve / 100) * cfg.size * (isBottomOnly ? 0.28 : 1.4);
-  const { sideLayer, baseLayer, fxLayer } = createStyledTextLayers(cfg, fontFamily, { skipGradient: true });
-  const glyphBounds = getAlphaBounds(baseLayer);
-  const glyphHeight = Math.max(1, glyphBounds.maxY - glyphBounds.minY + 1);
-  const maxCurvePx = glyphHeight * 0.72;
-  const curvePx = Math.sign(curvePxRaw) * Math.min(Math.abs(curvePxRaw), maxCurvePx);
-
-  const bodyRaw = createCanvas(baseLayer.width, baseLayer.height);
-  const bodyCtx = bodyRaw.getContext('2d');
-  bodyCtx.drawImage(sideLayer, 0, 0);
-  bodyCtx.drawImage(baseLayer, 0, 0);
 
-  let warpedBody = bodyRaw;
-  let warpedFx = fxLayer;
-  if (Math.abs(curvePx) > 0.001) {
-    if (isBottomOnly) {
-      const bendPx = Math.sign(curvePx) * Math.min(Math.abs(curvePx), glyphHeight * 0.9);
-      warpedBody = warpParabolicBottomOnlyCanvas(bodyRaw, bendPx, baseLayer, 1.1, 0.38);
-      warpedFx = warpParabolicBottomOnlyCanvas(fxLayer, bendPx, baseLayer, 1.1, 0.38);
-    } else {
-      warpedBody = warpParabolicVerticalCanvas(bodyRaw, curvePx, baseLayer);
-      warpedFx = warpParabolicVerticalCanvas(fxLayer, curvePx, baseLayer);
-    }
-  }
+  const warped = buildWarpedLayers(cfg, fonts, {
+    includeExtrude: true,
+    makeField(glyphBounds, width, height) {
+      const glyphHeight = Math.max(1, glyphBounds.maxY - glyphBounds.minY + 1);
+      const maxCurvePx = glyphHeight * 0.72;
+      const curvePx = Math.sign(curvePxRaw) * Math.min(Math.abs(curvePxRaw), maxCurvePx);
+      if (Math.abs(curvePx) <= 0.001) return null;
+      if (isBottomOnly) {
+        const bendPx = Math.sign(curvePx) * Math.min(Math.abs(curvePx), glyphHeight * 0.9);
+        return parabolicBottomOnlyField(width, height, glyphBounds, bendPx, 1.1, 0.38);
+      }
+      return parabolicVerticalField(width, height, glyphBounds, curvePx);
+    },
+  });
 
-  // Re-apply chrome gradient on warped body to keep the highlight band clean.
-  const wbounds = getAlphaBounds(warpedBody);
-  const gradCanvas = createCanvas(warpedBody.width, warpedBody.height);
-  const gc = gradCanvas.getContext('2d');
-  const chromGrad = gc.createLinearGradient(0, wbounds.minY, 0, wbounds.maxY);
-  addChromeStops(chromGrad, cfg);
-  gc.fillStyle = chromGrad;
-  gc.fillRect(0, 0, warpedBody.width, warpedBody.height);
-  gc.globalCompositeOperation = 'destination-in';
-  gc.drawImage(warpedBody, 0, 0);
+  drawWarpedBody(ctx, cfg, warped);
+}
 
-  const bCtx = warpedBody.getContext('2d');
-  bCtx.globalAlpha = cfg.gradientOpacity;
-  bCtx.drawImage(gradCanvas, 0, 0);
-  bCtx.globalAlpha = 1;
-  bCtx.drawImage(warpedFx, 0, 0);
+function drawEnvelopeStyledText(ctx, cfg, fonts) {
+  const warped = buildWarpedLayers(cfg, fonts, {
+    includeExtrude: true,
+    makeField: (glyphBounds, width, height) => envelopeField(
+      width, height, glyphBounds, cfg.curveMode,
+      cfg.envelopeBend, cfg.envelopeHDistortion, cfg.envelopeVDistortion
+    ),
+  });
 
-  const bounds = getAlphaBounds(warpedBody);
-  const centerX = (bounds.minX + bounds.maxX) / 2;
-  const centerY = (bounds.minY + bounds.maxY) / 2;
-  const targetX = cfg.width / 2 - centerX;
-  const targetY = cfg.height * cfg.apexYRatio - centerY + cfg.verticalOffset;
-  ctx.drawImage(warpedBody, targetX, targetY);
+  drawWarpedBody(ctx, cfg, warped);
 }
 
-function drawArcStyledText(ctx, cfg, fontFamily) {
+function drawArcStyledText(ctx, cfg, fonts) {
   if (cfg.curveMode === 'arcCurve') {
-    drawCurveArcStyledText(ctx, cfg, fontFamily);
+    drawCurveArcStyledText(ctx, cfg, fonts);
     return;
   }
-  drawClassicArcStyledText(ctx, cfg, fontFamily);
+  drawClassicArcStyledText(ctx, cfg, fonts);
 }
 
-function render(inputCfg = {}, options = {}) {
-  const cfg = normalizeConfig(inputCfg);
-  const quiet = Boolean(options.quiet);
-  const fontInfo = pickFont(cfg.fontFile);
+const SVG_CURVE_MODES = ['flat', 'arc', 'path', 'badge'];
+
+function svgNum(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// `fill`/`stroke` pair with `fill-opacity`; `stop-color`/`flood-color` with `stop-opacity`/`flood-opacity`.
+function svgPaint(attr, hex, alpha = 1) {
+  const a = Math.max(0, Math.min(1, alpha));
+  const opacityAttr = `${attr.replace(/-color$/, '')}-opacity`;
+  return a >= 1 ? `${attr}="${hex}"` : `${attr}="${hex}" ${opacityAttr}="${svgNum(a)}"`;
+}
+
+function svgGradient(id, x1, y1, x2, y2, stops) {
+  const stopTags = stops.map(([offset, hex, alpha = 1]) => (
+    `<stop offset="${svgNum(offset)}" ${svgPaint('stop-color', hex, alpha)}/>`
+  ));
+  return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${svgNum(x1)}" y1="${svgNum(y1)}" x2="${svgNum(x2)}" y2="${svgNum(y2)}">${stopTags.join('')}</linearGradient>`;
+}
+
+function transformPoint(glyph, scaleX, scaleY, px, py) {
+  const k = glyph.scale || 1;
+  const sx = px * scaleX * k;
+  const sy = py * scaleY * k;
+  const cos = Math.cos(glyph.rotation);
+  const sin = Math.sin(glyph.rotation);
+  return { x: glyph.x + sx * cos - sy * sin, y: glyph.y + sx * sin + sy * cos };
+}
+
+// Wraps the parts of one effect in a group carrying its blend mode and layer
+// alpha, when those are not the defaults.
+function svgEffectGroup(effect, parts) {
+  const op = compositeOperation(effect);
+  const alpha = layerAlpha(effect);
+  const attrs = [];
+  if (op !== 'source-over') attrs.push(`style="mix-blend-mode:${op}"`);
+  if (alpha < 1) attrs.push(`opacity="${svgNum(alpha)}"`);
+  return attrs.length ? [`<g ${attrs.join(' ')}>${parts.join('')}</g>`] : parts;
+}
+
+const SVG_STROKE_ATTRS = 'fill="none" stroke-linejoin="miter" stroke-miterlimit="4.5"';
+
+// SVG counterparts of CLASSIC_SHAPE_PAINTERS for the element behind `ref`;
+// `ids` holds the chrome gradient and glow filter ids.
+const SVG_SHAPE_PARTS = {
+  extrude(cfg, effect, ref) {
+    const parts = [];
+    for (let d = effect.depth; d >= 1; d--) {
+      const a = Math.min(1, 0.10 + (1 - d / effect.depth) * effect.strength);
+      const [x, y] = lightOffset(cfg, d * 1.10, d * 0.98);
+      parts.push(`<use ${ref} x="${svgNum(x)}" y="${svgNum(y)}" ${svgPaint('fill', darken(cfg.bottomColor, 0.08, cfg.colorSpace), a)}/>`);
+    }
+    return parts;
+  },
+
+  outerGlow(cfg, effect, ref, ids) {
+    return [`<use ${ref} ${svgPaint('fill', cfg.midColor, 0.12)} filter="url(#${ids.glow.get(effect)})"/>`];
+  },
+
+  stroke(cfg, effect, ref) {
+    return [
+      `<use ${ref} ${SVG_STROKE_ATTRS} ${svgPaint('stroke', cfg.outlineColor, 0.98)} stroke-width="${svgNum(effect.size)}"/>`,
+      `<use ${ref} ${SVG_STROKE_ATTRS} ${svgPaint('stroke', darken(cfg.bottomColor, 0.10, cfg.colorSpace), 0.56)} stroke-width="${svgNum(Math.max(2, effect.size * 0.44))}"/>`,
+    ];
+  },
+
+  gradientOverlay(cfg, effect, ref, ids) {
+    return [`<use ${ref} fill="url(#${ids.gradient})" fill-opacity="${svgNum(effect.opacity)}"/>`];
+  },
+
+  edgeRims(cfg, effect, ref) {
+    const edgeK = effect.strength;
+    const w = effect.width;
+    const rims = [
+      [lighten(cfg.outlineColor, 0.14, cfg.colorSpace), 0.62 * edgeK, Math.max(1.1, w * (0.18 + edgeK * 0.12)), -w * 0.045, -w * 0.050],
+      [darken(cfg.bottomColor, 0.52, cfg.colorSpace), 0.78 * edgeK, Math.max(1.2, w * (0.20 + edgeK * 0.14)), w * 0.060, w * 0.065],
+      [mixColor(cfg.outlineColor, cfg.bottomColor, 0.58, cfg.colorSpace), 0.84 * edgeK, Math.max(1.0, w * (0.14 + edgeK * 0.08)), w * 0.010, w * 0.016],
+      [darken(cfg.bottomColor, 0.24, cfg.colorSpace), 0.42, Math.max(1.5, w * 0.30), 1.4, 1.2],
+    ];
+    return rims.map(([color, alpha, width, rimX, rimY]) => {
+      const [dx, dy] = edgeOffset(cfg, rimX, rimY);
+      return `<use ${ref} x="${svgNum(dx)}" y="${svgNum(dy)}" ${SVG_STROKE_ATTRS} ${svgPaint('stroke', color, Math.min(1, alpha))} stroke-width="${svgNum(width)}"/>`;
+    });
+  },
+};
+
+// An RGBA canvas as an <image> in SVG units; `scale` is canvas px per unit.
+function svgImage(canvas, x, y, scale, attrs = '') {
+  const data = canvas.toBuffer('image/png').toString('base64');
+  return `<image x="${svgNum(x / scale)}" y="${svgNum(y / scale)}" width="${svgNum(canvas.width / scale)}" height="${svgNum(canvas.height / scale)}"${attrs} xlink:href="data:image/png;base64,${data}"/>`;
+}
+
+// Glow or shadow of the glyphs as a filter, following softShadowLayer: the
+// mask (inverted for inner shadows) is grown by the solid share of `size`,
+// blurred over the rest, offset away from the light and cut to the letters.
+function svgSoftShadowParts(cfg, effect, box, defs, uid, rasterMask, glyphs) {
+  const id = uid(effect.type);
+  const solid = (effect.type === 'dropShadow' ? effect.spread : effect.choke) / 100 * effect.size;
+  const angle = (effect.angle * Math.PI) / 180;
+  let kind = 'inner';
+  if (effect.type === 'dropShadow') kind = 'drop';
+  else if (effect.type === 'innerGlow' && effect.source === 'center') kind = 'center';
+
+  const steps = [];
+  let shape = 'SourceAlpha';
+  if (kind === 'inner') {
+    steps.push('<feComponentTransfer in="SourceAlpha" result="inverse"><feFuncA type="table" tableValues="1 0"/></feComponentTransfer>');
+    shape = 'inverse';
+  }
+  if (solid > 0) {
+    steps.push(`<feMorphology in="${shape}" operator="${kind === 'center' ? 'erode' : 'dilate'}" radius="${svgNum(solid)}" result="solid"/>`);
+    shape = 'solid';
+  }
+  // Two box passes of radius r blur about as much as a Gaussian of r * sqrt(2/3).
+  steps.push(
+    `<feGaussianBlur in="${shape}" stdDeviation="${svgNum(((effect.size - solid) / 2) * Math.sqrt(2 / 3))}"/>`,
+    `<feOffset dx="${svgNum(-Math.cos(angle) * effect.distance)}" dy="${svgNum(Math.sin(angle) * effect.distance)}" result="soft"/>`,
+    `<feFlood ${svgPaint('flood-color', effect.color)}/>`,
+    '<feComposite in2="soft" operator="in"/>',
+    `<feComposite in2="SourceAlpha" operator="${kind === 'drop' ? 'out' : 'in'}"/>`,
+  );
+  defs.push(
+    `<filter id="${id}" filterUnits="userSpaceOnUse" x="0" y="0" width="${cfg.width}" height="${cfg.height}" color-interpolation-filters="sRGB">`
+    + `${steps.join('')}</filter>`
+  );
+  return svgEffectGroup(effect, [`<g filter="url(#${id})">${glyphs}</g>`]);
+}
+
+// Vertical gradient line over the shading box, turned like maskedShadeLayer's.
+function svgLightLine(cfg, box, y0, y1) {
+  return lightGradientLine(cfg, 0, y0, 0, y1, box.x + box.w / 2, box.y + box.h / 2);
+}
+
+// SVG counterparts of CLASSIC_SHADING_PAINTERS: gradient rects over the
+// shading box, inside the glyph clip (SVG_UNCLIPPED_SHADING excepted).
+// `uid(name)` makes unique def ids; `rasterMask()` returns the glyph mask as
+// `{ canvas, scale }` for shading SVG has no primitive for (SVG_RASTER_EFFECTS)
+// and `glyphs` is every glyph as untinted `<use>` markup, for filters.
+const SVG_SHADING_PARTS = {
+  topShade(cfg, effect, box, defs, uid) {
+    const topA = getTopShadowAlpha(effect.opacity);
+    const id = uid('topShade');
+    defs.push(svgGradient(id, ...svgLightLine(cfg, box, box.y, box.y + box.h * 0.72), [
+      [0.0, darken(cfg.topColor, 0.22, cfg.colorSpace), topA * 0.82],
+      [0.46, darken(cfg.topColor, 0.34, cfg.colorSpace), topA * 0.52],
+      [0.76, cfg.topColor, 0],
+      [1.0, cfg.topColor, 0],
+    ]));
+    const op = compositeOperation(effect);
+    const style = op === 'source-over' ? '' : ` style="mix-blend-mode:${op}"`;
+    return [`<rect ${box.rect} fill="url(#${id})"${style}/>`];
+  },
+
+  bevel(cfg, effect, box, defs, uid) {
+    const bottomA = getTopShadowAlpha(effect.shadow);
+    const hiFade = highlightFade(cfg);
+    const shadowId = uid('bottomShade');
+    const hiId = uid('bevelHi');
+    defs.push(svgGradient(shadowId, ...svgLightLine(cfg, box, box.y + box.h * 0.28, box.y + box.h), [
+      [0.0, cfg.bottomColor, 0],
+      [0.54, darken(cfg.bottomColor, 0.10, cfg.colorSpace), bottomA * 0.64],
+      [1.0, darken(cfg.bottomColor, 0.20, cfg.colorSpace), bottomA * 0.92],
+    ]));
+    defs.push(svgGradient(hiId, ...svgLightLine(cfg, box, box.y + box.h * 0.08, box.y + box.h * 0.78), [
+      [0.00, cfg.midColor, 0],
+      [0.30, cfg.midColor, effect.highlight * hiFade * 0.52],
+      [0.48, cfg.midColor, effect.highlight * hiFade * 0.94],
+      [0.74, cfg.midColor, 0.06 * hiFade],
+      [1.00, cfg.midColor, 0],
+    ]));
+    return [
+      `<rect ${box.rect} fill="url(#${shadowId})" style="mix-blend-mode:multiply"/>`,
+      ...svgEffectGroup(effect, [`<rect ${box.rect} fill="url(#${hiId})"/>`]),
+    ];
+  },
+
+  // Distance-field shading has no SVG primitive, so it is embedded as images
+  // rendered at renderScale.
+  bevelEmboss(cfg, effect, box, defs, uid, rasterMask) {
+    const { canvas, scale } = rasterMask();
+    const layers = bevelEmbossLayers(cfg, scaleEffectStack([effect], scale)[0], canvas);
+    if (!layers) return [];
+    const alpha = layerAlpha(effect);
+    const shadowAttrs = ` style="mix-blend-mode:multiply"${alpha < 1 ? ` opacity="${svgNum(alpha)}"` : ''}`;
+    return [
+      svgImage(layers.shadow, layers.x, layers.y, scale, shadowAttrs),
+      ...svgEffectGroup(effect, [svgImage(layers.highlight, layers.x, layers.y, scale)]),
+    ];
+  },
+
+  innerGlow: svgSoftShadowParts,
+  innerShadow: svgSoftShadowParts,
+  dropShadow: svgSoftShadowParts,
+};
+
+// Effects the SVG carries as embedded raster images rather than vectors.
+const SVG_RASTER_EFFECTS = ['bevelEmboss'];
+
+// Shading that reaches outside the letters (emboss styles, drop shadows) or
+// already stops at their edges, and needs no glyph clip.
+const SVG_UNCLIPPED_SHADING = ['bevelEmboss', 'innerGlow', 'innerShadow', 'dropShadow'];
+
+// Def ids: the first use of a name keeps it as is, later ones get a number.
+function createSvgIds() {
+  const used = new Map();
+  return (name) => {
+    const n = (used.get(name) || 0) + 1;
+    used.set(name, n);
+    return n === 1 ? name : `${name}${n}`;
+  };
+}
+
+// Vector counterpart of drawClassicArcStyledText: same glyph placement and
+// effect order, but every layer is a real outline so print vendors can scale it.
+function buildClassicSvg(cfg, fonts) {
+  const size = cfg.size;
+  const layout = layoutClassicGlyphs(cfg, (ch, face) => measureGlyph(fonts.outlineFont(face), ch, size), fonts);
+  const { scaleX, scaleY } = layout;
+  const effects = underTextFirst(enabledEffects(cfg.effects));
+  const uid = createSvgIds();
+  const defs = [];
+  const layers = [];
+
+  if (cfg.background === 'solid') {
+    layers.push(`<rect width="${cfg.width}" height="${cfg.height}" fill="${cfg.backgroundColor}"/>`);
+  } else if (cfg.background === 'gradient') {
+    defs.push(svgGradient('bg', 0, 0, 0, cfg.height, [[0, cfg.backgroundColor], [1, cfg.backgroundGradientColor]]));
+    layers.push(`<rect width="${cfg.width}" height="${cfg.height}" fill="url(#bg)"/>`);
+  }
+
+  // Same span as the per-glyph canvas gradient, in glyph-local coordinates.
+  defs.push(svgGradient('chrome', ...gradientLine(cfg.gradientAngle, classicGradientBox(size)), getChromeStops(cfg)));
+  const glowIds = new Map();
+  for (const glow of effects.filter((effect) => effect.type === 'outerGlow')) {
+    // Canvas draws the glow fill three times; stack the opacity the same way.
+    const glowAlpha = 1 - Math.pow(1 - Math.max(0, Math.min(1, glow.opacity)), 3);
+    const id = uid('glow');
+    glowIds.set(glow, id);
+    defs.push(
+      `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">`
+      + `<feGaussianBlur in="SourceAlpha" stdDeviation="${svgNum(glow.size / 2)}" result="blur"/>`
+      + `<feFlood ${svgPaint('flood-color', cfg.glowColor, glowAlpha)}/>`
+      + `<feComposite in2="blur" operator="in" result="glow"/>`
+      + `<feMerge><feMergeNode in="glow"/><feMergeNode in="SourceGraphic"/></feMerge>`
+      + `</filter>`
+    );
+  }
+
+  // Shapes as `{ ref, transform, gradient, fill }`; `transform` is null for
+  // the ring, `fill(ctx)` fills the shape on a canvas in SVG units.
+  const shapes = [];
+  const clipUses = [];
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  if (layout.ring) {
+    const { centerX, centerY, radii } = layout.ring;
+    const outer = radii[radii.length - 1];
+    const circles = radii.map((r) => (
+      `M${svgNum(centerX + r)} ${svgNum(centerY)}A${svgNum(r)} ${svgNum(r)} 0 1 0 ${svgNum(centerX - r)} ${svgNum(centerY)}`
+      + `A${svgNum(r)} ${svgNum(r)} 0 1 0 ${svgNum(centerX + r)} ${svgNum(centerY)}Z`
+    ));
+    defs.push(`<path id="ring" d="${circles.join('')}" fill-rule="evenodd" clip-rule="evenodd"/>`);
+    defs.push(svgGradient('ringChrome', ...gradientLine(cfg.gradientAngle, ringGradientBox(layout.ring)), getChromeStops(cfg)));
+    clipUses.push('<use xlink:href="#ring"/>');
+    shapes.push({
+      ref: 'xlink:href="#ring"',
+      transform: null,
+      gradient: 'ringChrome',
+      fill(ctx) {
+        ctx.beginPath();
+        for (const r of radii) {
+          ctx.moveTo(centerX + r, centerY);
+          ctx.arc(centerX, centerY, r, 0, Math.PI * 2);
+        }
+        ctx.fill('evenodd');
+      },
+    });
+    minX = centerX - outer;
+    minY = centerY - outer;
+    maxX = centerX + outer;
+    maxY = centerY + outer;
+  }
+
+  layout.glyphs.forEach((glyph, i) => {
+    const outline = getGlyphOutline(fonts.outlineFont(glyph.face), glyph.ch, size);
+    const id = `glyph${i}`;
+    const ref = `xlink:href="#${id}"`;
+    const transform = `translate(${svgNum(glyph.x)} ${svgNum(glyph.y)}) rotate(${svgNum((glyph.rotation * 180) / Math.PI)}) scale(${svgNum(scaleX * (glyph.scale || 1))} ${svgNum(scaleY * (glyph.scale || 1))})`;
+    defs.push(`<path id="${id}" d="${outline.pathData}"/>`);
+    clipUses.push(`<use ${ref} transform="${transform}"/>`);
+    shapes.push({
+      ref,
+      transform,
+      gradient: 'chrome',
+      fill(ctx) {
+        ctx.save();
+        ctx.translate(glyph.x, glyph.y);
+        ctx.rotate(glyph.rotation);
+        ctx.scale(scaleX * (glyph.scale || 1), scaleY * (glyph.scale || 1));
+        tracePathCommands(ctx, outline.path.commands);
+        ctx.fill();
+        ctx.restore();
+      },
+    });
+
+    const { x1, y1, x2, y2 } = outline.box;
+    for (const [px, py] of [[x1, y1], [x2, y1], [x1, y2], [x2, y2]]) {
+      const p = transformPoint(glyph, scaleX, scaleY, px, py);
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    }
+  });
+
+  if (shapes.length > 0) {
+    // Shading box mirroring the canvas mask pass.
+    const box = {
+      x: minX - 2,
+      y: minY - 2,
+      w: Math.max(8, maxX - minX + 1),
+      h: Math.max(8, maxY - minY + 1),
+    };
+    box.rect = `x="${svgNum(box.x)}" y="${svgNum(box.y)}" width="${svgNum(box.w + 4)}" height="${svgNum(box.h + 4)}"`;
+    let clipAdded = false;
+    let mask = null;
+    const rasterMask = () => {
+      if (!mask) {
+        const scale = Math.max(1, cfg.renderScale || 1);
+        const canvas = createCanvas(Math.round(cfg.width * scale), Math.round(cfg.height * scale));
+        const mc = canvas.getContext('2d');
+        mc.scale(scale, scale);
+        mc.fillStyle = '#ffffff';
+        for (const shape of shapes) shape.fill(mc);
+        mask = { canvas, scale };
+      }
+      return mask;
+    };
+
+    for (const run of classicEffectRuns(effects)) {
+      if (!run.shading) {
+        for (const shape of shapes) {
+          const ids = { gradient: shape.gradient, glow: glowIds };
+          const parts = run.effects.flatMap((effect) => (
+            svgEffectGroup(effect, SVG_SHAPE_PARTS[effect.type](cfg, effect, shape.ref, ids))
+          ));
+          layers.push(shape.transform ? `<g transform="${shape.transform}">${parts.join('')}</g>` : `<g>${parts.join('')}</g>`);
+        }
+        continue;
+      }
+      let clipped = [];
+      const flushClipped = () => {
+        if (clipped.length > 0) layers.push(`<g clip-path="url(#glyphClip)">${clipped.join('')}</g>`);
+        clipped = [];
+      };
+      for (const effect of run.effects) {
+        const unclipped = SVG_UNCLIPPED_SHADING.includes(effect.type);
+        if (!unclipped && !clipAdded) {
+          defs.push(`<clipPath id="glyphClip">${clipUses.join('')}</clipPath>`);
+          clipAdded = true;
+        }
+        const parts = SVG_SHADING_PARTS[effect.type](cfg, effect, box, defs, uid, rasterMask, clipUses.join(''));
+        if (!unclipped) {
+          clipped.push(...parts);
+          continue;
+        }
+        flushClipped();
+        layers.push(...parts);
+      }
+      flushClipped();
+    }
+  }
+
+  const stroke = findEffect(cfg.effects, 'stroke');
+  if (layout.rim && stroke) {
+    const glow = findEffect(cfg.effects, 'outerGlow');
+    const { centerX, centerY, radius, startAngle, endAngle } = layout.rim;
+    const x0 = centerX + Math.cos(startAngle) * radius;
+    const y0 = centerY + Math.sin(startAngle) * radius;
+    const x1 = centerX + Math.cos(endAngle) * radius;
+    const y1 = centerY + Math.sin(endAngle) * radius;
+    const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+    defs.push(
+      `<filter id="rimGlow" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">`
+      + `<feGaussianBlur in="SourceAlpha" stdDeviation="${svgNum(((glow ? glow.size : 0) * 0.52) / 2)}" result="blur"/>`
+      + `<feFlood ${svgPaint('flood-color', cfg.glowColor, 0.55)}/>`
+      + `<feComposite in2="blur" operator="in" result="glow"/>`
+      + `<feMerge><feMergeNode in="glow"/><feMergeNode in="SourceGraphic"/></feMerge>`
+      + `</filter>`
+    );
+    layers.push(
+      `<path d="M${svgNum(x0)} ${svgNum(y0)}A${svgNum(radius)} ${svgNum(radius)} 0 ${largeArc} 1 ${svgNum(x1)} ${svgNum(y1)}" fill="none" `
+      + `${svgPaint('stroke', cfg.outlineColor, 0.86)} stroke-width="${svgNum(stroke.size * 0.52)}" filter="url(#rimGlow)"/>`
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${cfg.width}" height="${cfg.height}" viewBox="0 0 ${cfg.width} ${cfg.height}">`,
+    `<defs>${defs.join('\n')}</defs>`,
+    ...layers,
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+// Enabled effect types buildClassicSvg has to embed as images, in stack order.
+function svgRasterizedEffects(cfg) {
+  const types = enabledEffects(cfg.effects).map((effect) => effect.type);
+  return SVG_RASTER_EFFECTS.filter((type) => types.includes(type));
+}
+
+function renderRaster(cfg, fonts) {
   const scale = Math.max(1, cfg.renderScale || 1);
   const hiCanvas = createCanvas(Math.round(cfg.width * scale), Math.round(cfg.height * scale));
   const hiCtx = hiCanvas.getContext('2d');
@@ -1069,47 +2220,85 @@ function render(inputCfg = {}, options = {}) {
     width: Math.round(cfg.width * scale),
     height: Math.round(cfg.height * scale),
     size: cfg.size * scale,
-    glowSize: cfg.glowSize * scale,
-    strokeSize: cfg.strokeSize * scale,
-    bevelSize: cfg.bevelSize * scale,
+    effects: scaleEffectStack(cfg.effects, scale),
     verticalOffset: cfg.verticalOffset * scale,
+    textPathOffset: cfg.textPathOffset * scale,
+    pathScale: scale,
+    arcRadius: cfg.arcRadius * scale,
+    badgeRadius: cfg.badgeRadius * scale,
+    badgeRingWidth: cfg.badgeRingWidth * scale,
   };
 
+  // Subpixel AA needs an opaque destination; over alpha it leaves colour fringes.
+  const antialias = cfg.background === 'transparent' ? 'gray' : 'subpixel';
   hiCtx.patternQuality = 'best';
   hiCtx.quality = 'best';
-  hiCtx.antialias = 'subpixel';
+  hiCtx.antialias = antialias;
   hiCtx.textDrawingMode = 'path';
-  drawBackground(hiCtx, hiCfg.width, hiCfg.height);
-  if (hiCfg.curveMode === 'bottomWarp') drawWarpedStyledText(hiCtx, hiCfg, fontInfo.family);
-  else drawArcStyledText(hiCtx, hiCfg, fontInfo.family);
-
-  let finalCanvas = hiCanvas;
-  if (scale > 1) {
-    finalCanvas = createCanvas(cfg.width, cfg.height);
-    const finalCtx = finalCanvas.getContext('2d');
-    finalCtx.patternQuality = 'best';
-    finalCtx.quality = 'best';
-    finalCtx.antialias = 'subpixel';
-    finalCtx.imageSmoothingEnabled = true;
-    finalCtx.imageSmoothingQuality = 'high';
-    finalCtx.drawImage(hiCanvas, 0, 0, cfg.width, cfg.height);
+  drawBackground(hiCtx, hiCfg.width, hiCfg.height, hiCfg);
+  if (hiCfg.curveMode === 'bottomWarp') drawWarpedStyledText(hiCtx, hiCfg, fonts);
+  else if (ENVELOPE_MODES.includes(hiCfg.curveMode)) drawEnvelopeStyledText(hiCtx, hiCfg, fonts);
+  else drawArcStyledText(hiCtx, hiCfg, fonts);
+
+  if (scale <= 1) return hiCanvas;
+  const finalCanvas = createCanvas(cfg.width, cfg.height);
+  const finalCtx = finalCanvas.getContext('2d');
+  finalCtx.patternQuality = 'best';
+  finalCtx.quality = 'best';
+  finalCtx.antialias = antialias;
+  finalCtx.imageSmoothingEnabled = true;
+  finalCtx.imageSmoothingQuality = 'high';
+  finalCtx.drawImage(hiCanvas, 0, 0, cfg.width, cfg.height);
+  return finalCanvas;
+}
+
+function render(inputCfg = {}, options = {}) {
+  const cfg = normalizeConfig(inputCfg);
+  const quiet = Boolean(options.quiet);
+  const wantsPng = cfg.format !== 'svg';
+  const wantsSvg = cfg.format !== 'png';
+  if (wantsSvg && !SVG_CURVE_MODES.includes(cfg.curveMode)) {
+    throw new Error(`SVG export supports curveMode ${SVG_CURVE_MODES.join('/')} only (got ${cfg.curveMode})`);
+  }
+  if (cfg.curveMode === 'path' && !cfg.textPath) {
+    throw new Error('curveMode path needs a textPath (SVG path d string)');
+  }
+  const fontInfo = pickFont(cfg.fontFile, options.fontRoots);
+  const fonts = createFontChain(
+    [fontInfo, ...pickFallbackFonts(cfg.fallbackFonts, options.fontRoots)],
+    { kerning: cfg.kerning },
+  );
+  const warnings = fonts.coverageWarnings(getLayoutTexts(cfg));
+  const rasterizedEffects = wantsSvg ? svgRasterizedEffects(cfg) : [];
+  if (rasterizedEffects.length > 0) {
+    warnings.push(`SVG embeds ${rasterizedEffects.join(', ')} as raster images at renderScale ${cfg.renderScale}`);
   }
 
   const outDir = path.join(__dirname, 'output');
   if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
 
-  const pngPath = path.join(outDir, `${cfg.out}.png`);
-  fs.writeFileSync(pngPath, finalCanvas.toBuffer('image/png'));
+  let pngPath = null;
+  let svgPath = null;
+  if (wantsPng) {
+    pngPath = path.join(outDir, `${cfg.out}.png`);
+    fs.writeFileSync(pngPath, renderRaster(cfg, fonts).toBuffer('image/png'));
+  }
+  if (wantsSvg) {
+    svgPath = path.join(outDir, `${cfg.out}.svg`);
+    fs.writeFileSync(svgPath, buildClassicSvg(cfg, fonts));
+  }
 
   if (!quiet) {
-    console.log(`✅ output/${cfg.out}.png`);
-    console.log(`   font: ${fontInfo.family} (${fontInfo.source})`);
+    if (pngPath) console.log(`✅ output/${cfg.out}.png`);
+    if (svgPath) console.log(`✅ output/${cfg.out}.svg`);
+    console.log(`   font: ${fontInfo.face.name} (${fontInfo.source})`);
     if (fontInfo.source !== 'clarendon') {
-      console.log(`   note: Clarendon Blk BT bulunamadı, "${fontInfo.family}" fallback kullanıldı.`);
+      console.log(`   note: Clarendon Blk BT bulunamadı, "${fontInfo.face.name}" fallback kullanıldı.`);
     }
+    for (const warning of warnings) console.log(`   warning: ${warning}`);
   }
 
-  return { pngPath, fontInfo, cfg };
+  return { pngPath, svgPath, fontInfo, warnings, rasterizedEffects, cfg };
 }
 
 if (require.main === module) {
@@ -0,0 +1,81 @@
+/**
+ * Kerning-aware glyph runs.
+ *
+ * Measuring characters one at a time drops the font's pair adjustments
+ * (AV, TA, LY). A run places a line glyph by glyph instead: each advance is
+ * followed by the kern/GPOS pair value to the next glyph, then by the
+ * letterSpacing gap. All renderers position their glyphs from a run.
+ *
+ * Runs step over grapheme clusters, not UTF-16 units: a base letter with its
+ * combining marks or an astral character stays one glyph.
+ */
+
+function noKerning() {
+  return 0;
+}
+
+const kerningCache = new WeakMap();
+const graphemeSegmenter = typeof Intl.Segmenter === 'function'
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+function splitGraphemes(text) {
+  const value = String(text);
+  if (!graphemeSegmenter) return Array.from(value);
+  return Array.from(graphemeSegmenter.segment(value), (part) => part.segment);
+}
+
+/**
+ * Pair kerning of a parsed opentype.js font as `(left, right, size) => px`.
+ * GPOS pair adjustments win over the legacy `kern` table (opentype.js picks
+ * the source); values are cached per pair in font units.
+ */
+function fontKerning(font) {
+  const cached = kerningCache.get(font);
+  if (cached) return cached;
+
+  const pairs = new Map();
+  const scale = 1 / (font.unitsPerEm || 1000);
+  const kern = (left, right, size) => {
+    const key = `${left}\u0000${right}`;
+    let units = pairs.get(key);
+    if (units === undefined) {
+      units = font.getKerningValue(font.charToGlyph(left), font.charToGlyph(right)) || 0;
+      pairs.set(key, units);
+    }
+    return units * scale * size;
+  };
+  kerningCache.set(font, kern);
+  return kern;
+}
+
+/**
+ * One line of glyphs. `advance(ch, face)` and `kern(left, right, face)` are
+ * in the caller's units; `spacing` is added between glyphs. `faceOf(ch)`
+ * picks the font face of each glyph (see font_fallback.js); pairs drawn from
+ * different faces are not kerned. Each glyph gets its `face` and its left
+ * edge `x` from the start of the run, `width` is the full run.
+ */
+function layoutGlyphRun(text, advance, kern, spacing, faceOf = () => 0) {
+  const chars = splitGraphemes(text);
+  const faces = chars.map((ch) => faceOf(ch));
+  const glyphs = [];
+  let cursor = 0;
+  chars.forEach((ch, i) => {
+    const width = advance(ch, faces[i]);
+    glyphs.push({ ch, face: faces[i], width, x: cursor });
+    cursor += width;
+    if (i < chars.length - 1) {
+      if (faces[i + 1] === faces[i]) cursor += kern(ch, chars[i + 1], faces[i]);
+      cursor += spacing;
+    }
+  });
+  return { glyphs, width: cursor };
+}
+
+module.exports = {
+  fontKerning,
+  layoutGlyphRun,
+  noKerning,
+  splitGraphemes,
+};
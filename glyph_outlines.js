@@ -0,0 +1,206 @@
+/**
+ * Glyph outline access for vector output.
+ *
+ * node-canvas can only rasterize text, so anything that needs the real
+ * outlines (SVG export) parses the font file with opentype.js instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const opentype = require('opentype.js');
+const { layoutGlyphRun } = require('./glyph_layout');
+
+const fontCache = new Map();
+
+// `code` of the errors loadOutlineFont throws for files it cannot read as a
+// font, so callers can tell them from bugs.
+const FONT_READ_ERROR = 'EFONTREAD';
+
+function fontReadError(message) {
+  const error = new Error(message);
+  error.code = FONT_READ_ERROR;
+  return error;
+}
+
+function isFontCollection(fontFile) {
+  return /\.ttc$/i.test(String(fontFile || ''));
+}
+
+/**
+ * opentype.js font of font file bytes. Throws a FONT_READ_ERROR error with
+ * the parser's reason when they are not a font.
+ */
+function parseOutlineFont(data) {
+  let font;
+  try {
+    font = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  } catch (error) {
+    throw fontReadError(error.message);
+  }
+  if (!font || typeof font.getAdvanceWidth !== 'function') throw fontReadError('no font in file');
+  return font;
+}
+
+function loadOutlineFont(fontFile) {
+  const file = path.resolve(String(fontFile || ''));
+  if (isFontCollection(file)) {
+    throw fontReadError(`Font collections (.ttc) do not expose outlines, pick a .ttf/.otf file: ${fontFile}`);
+  }
+  const stat = fs.statSync(file);
+  const cached = fontCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.font;
+
+  let font;
+  try {
+    font = parseOutlineFont(fs.readFileSync(file));
+  } catch (error) {
+    if (error.code !== FONT_READ_ERROR) throw error;
+    throw fontReadError(`Could not read glyph outlines: ${fontFile} (${error.message})`);
+  }
+  fontCache.set(file, { font, mtimeMs: stat.mtimeMs });
+  return font;
+}
+
+function measureGlyph(font, ch, size) {
+  return font.getAdvanceWidth(ch, size, { kerning: false });
+}
+
+// Outline of a single character centered on x=0 with its baseline on y=0,
+// matching canvas `textAlign = 'center'` + `textBaseline = 'alphabetic'`.
+function getGlyphOutline(font, ch, size) {
+  const advance = measureGlyph(font, ch, size);
+  const outline = font.getPath(ch, -advance / 2, 0, size, { kerning: false });
+  return {
+    advance,
+    path: outline,
+    pathData: outline.toPathData(2),
+    box: outline.getBoundingBox(),
+  };
+}
+
+// Canvas text is always requested at weight 900. For regular-weight faces
+// fontconfig then asks FreeType to embolden the glyphs (outline grown by
+// em/48 per side), so vector paths need the same extra thickness to line up
+// with rasterized text. Returns the stroke width that reproduces it.
+function syntheticBoldWidth(font, size) {
+  const os2 = font.tables.os2;
+  const weight = os2 ? os2.usWeightClass : 400;
+  return weight <= 500 ? size / 24 : 0;
+}
+
+function contourPoints(commands) {
+  const contours = [];
+  let current = [];
+  for (const cmd of commands) {
+    if (cmd.type === 'M' && current.length) {
+      contours.push(current);
+      current = [];
+    }
+    if (cmd.type === 'Z') {
+      if (current.length) contours.push(current);
+      current = [];
+      continue;
+    }
+    if (cmd.type === 'C') current.push([cmd, 'x1', 'y1'], [cmd, 'x2', 'y2']);
+    if (cmd.type === 'Q') current.push([cmd, 'x1', 'y1']);
+    current.push([cmd, 'x', 'y']);
+  }
+  if (current.length) contours.push(current);
+  return contours;
+}
+
+function unitVector(x, y) {
+  const len = Math.hypot(x, y);
+  return len > 1e-9 ? { x: x / len, y: y / len } : null;
+}
+
+/**
+ * Grow an outline by `width / 2` on every side, the way FreeType's
+ * FT_Outline_EmboldenXY does: each on/off-curve point moves along the bisector
+ * of its neighbouring edges so both edges shift by the same distance. Holes
+ * shrink because the direction comes from the orientation of the whole glyph.
+ */
+function emboldenCommands(commands, width) {
+  const copy = commands.map((cmd) => ({ ...cmd }));
+  const radius = width / 2;
+  if (!(radius > 0)) return copy;
+
+  const contours = contourPoints(copy).map((points) => points.map(([cmd, kx, ky]) => ({ cmd, kx, ky, x: cmd[kx], y: cmd[ky] })));
+  let area = 0;
+  for (const pts of contours) {
+    for (let i = 0; i < pts.length; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+  }
+  const side = area >= 0 ? 1 : -1;
+
+  for (const pts of contours) {
+    const n = pts.length;
+    if (n < 3) continue;
+    for (let i = 0; i < n; i++) {
+      const p = pts[i];
+      // Neighbours skip duplicated points (contours often end on their start).
+      let prev = null;
+      for (let k = 1; k < n && !prev; k++) {
+        const q = pts[(i - k + n) % n];
+        prev = unitVector(p.x - q.x, p.y - q.y);
+      }
+      let next = null;
+      for (let k = 1; k < n && !next; k++) {
+        const q = pts[(i + k) % n];
+        next = unitVector(q.x - p.x, q.y - p.y);
+      }
+      if (!prev || !next) continue;
+      const d = prev.x * next.x + prev.y * next.y;
+      // Near-reversals would shoot the point far away; FreeType leaves them.
+      if (d <= -0.9375) continue;
+      const nx = side * (prev.y + next.y);
+      const ny = -side * (prev.x + next.x);
+      p.cmd[p.kx] = p.x + (nx * radius) / (1 + d);
+      p.cmd[p.ky] = p.y + (ny * radius) / (1 + d);
+    }
+  }
+  return copy;
+}
+
+// Outline commands for a whole line laid out like the raster glyph runs:
+// advances plus pair kerning plus `spacing`, the line centered on originX
+// with its baseline on baselineY. `fonts` is a font chain (font_fallback.js)
+// that picks the face, outline font and kerning of every glyph.
+function layoutTextOutline(fonts, text, size, spacing, originX, baselineY) {
+  const run = layoutGlyphRun(
+    text,
+    (ch, face) => measureGlyph(fonts.outlineFont(face), ch, size),
+    (left, right, face) => fonts.kern(left, right, size, face),
+    spacing,
+    fonts.faceOf
+  );
+  const combined = new opentype.Path();
+  const left = originX - run.width / 2;
+  const glyphs = run.glyphs.map((glyph) => {
+    const font = fonts.outlineFont(glyph.face);
+    const glyphPath = font.getPath(glyph.ch, left + glyph.x, baselineY, size, { kerning: false });
+    combined.extend(glyphPath);
+    return { face: glyph.face, commands: glyphPath.commands };
+  });
+  return {
+    width: run.width,
+    glyphs,
+    commands: combined.commands,
+    box: combined.getBoundingBox(),
+  };
+}
+
+module.exports = {
+  FONT_READ_ERROR,
+  emboldenCommands,
+  getGlyphOutline,
+  isFontCollection,
+  layoutTextOutline,
+  loadOutlineFont,
+  measureGlyph,
+  parseOutlineFont,
+  syntheticBoldWidth,
+};
@@ -0,0 +1,95 @@
+/**
+ * Import Photoshop layer styles (.asl) as renderer configs.
+ *
+ * Prints every style of the file with the config its effects map onto and
+ * the effects or settings that could not be mapped. With `--save true` each
+ * style is also stored as a user preset (presets/user/), ready for
+ * `--preset user/<name>` and the designer's preset list.
+ *
+ * Usage:
+ *   node import_asl.js --in styles.asl
+ *   node import_asl.js --in styles.asl --save true
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importAslStyles } = require('./asl_styles');
+const { normalizeConfig } = require('./generate_clarendon_arc');
+const { PRESETS_DIR, saveUserPreset } = require('./preset_registry');
+
+// Style files carry their patterns, so they run larger than fonts.
+const MAX_ASL_UPLOAD_BYTES = 20 * 1024 * 1024;
+// Longest preset name preset_registry accepts.
+const MAX_STYLE_NAME_LENGTH = 80;
+
+/**
+ * Stores every style of an .asl file as a user preset. Returns one entry per
+ * style: `{ name, preset, unmapped }`, or `{ name, error }` for a style that
+ * could not be read or saved. Throws when `buffer` is not an .asl file.
+ */
+function importAslPresets(buffer, fileName, dir = PRESETS_DIR) {
+  const source = path.basename(String(fileName || 'styles.asl'));
+  return importAslStyles(buffer).map((style) => {
+    if (style.error) return style;
+    try {
+      // Only the mapped keys are stored; checking them against the full
+      // config catches values the renderer would reject.
+      normalizeConfig(style.config);
+      const preset = saveUserPreset({
+        label: style.name.slice(0, MAX_STYLE_NAME_LENGTH),
+        description: `${source} dosyasindan alinan Photoshop stili`,
+        config: style.config,
+      }, dir);
+      return { name: style.name, preset, unmapped: style.unmapped };
+    } catch (error) {
+      return { name: style.name, error: error.message };
+    }
+  });
+}
+
+function parseArgs(args = process.argv.slice(2)) {
+  const raw = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i] ? args[i].replace(/^--/, '') : '';
+    const value = args[i + 1];
+    if (!key || typeof value === 'undefined') continue;
+    raw[key] = value;
+  }
+  return {
+    in: String(raw.in || '').trim(),
+    save: String(raw.save || 'false').toLowerCase() === 'true',
+  };
+}
+
+function main(options) {
+  if (!options.in) {
+    console.error('Usage: node import_asl.js --in styles.asl [--save true]');
+    process.exitCode = 1;
+    return;
+  }
+  const buffer = fs.readFileSync(path.resolve(options.in));
+  const results = options.save ? importAslPresets(buffer, options.in) : importAslStyles(buffer);
+  for (const result of results) {
+    if (result.error) {
+      console.log(`❌ ${result.name}: ${result.error}`);
+      continue;
+    }
+    if (result.preset) {
+      console.log(`✅ ${result.name} -> --preset ${result.preset.id}`);
+    } else {
+      console.log(`✅ ${result.name}`);
+      console.log(JSON.stringify(result.config, null, 2).replace(/^/gm, '   '));
+    }
+    for (const note of result.unmapped) console.log(`   unmapped: ${note}`);
+  }
+  if (!results.length) console.log('   note: dosyada stil yok.');
+}
+
+if (require.main === module) {
+  main(parseArgs());
+}
+
+module.exports = {
+  MAX_ASL_UPLOAD_BYTES,
+  importAslPresets,
+};
@@ -0,0 +1,340 @@
+/**
+ * Layer effects stack for the chrome style.
+ *
+ * The look is an ordered list of effects, bottom to top like a Photoshop
+ * layer style:
+ *
+ *   [{ type: 'extrude', enabled: true, blend: 'normal', opacity: 1, depth: 12, strength: 0.32 }, ...]
+ *
+ * Every effect has `enabled`, `blend` and `opacity` plus the parameters of
+ * its type. The renderers draw the enabled effects in stack order, each with
+ * its own recipe per pipeline (classic glyphs, SVG, warped layers).
+ *
+ * Configs without an `effects` stack get the default one, whose parameters
+ * come from the flat keys (glowSize, strokeSize, bevelHighlightOpacity, ...),
+ * so presets and CLI flags written before the stack keep their look.
+ */
+
+const { BEVEL_STYLES, GLOSS_CONTOURS } = require('./distance_field');
+
+// `opacity` is either a fixed default or the flat config key it comes from.
+// Params: `from` is the flat config key of the default (else `default`),
+// `px` params scale with renderScale, `values` makes a choice param, `color`
+// a hex color param and `flag` an on/off param. Effects with a `globalLight`
+// flag take angle and altitude from lightAngle / lightAltitude while it is on.
+const EFFECT_TYPES = {
+  extrude: {
+    label: 'Extrude',
+    opacity: 1,
+    params: {
+      depth: { from: 'extrudeDepth', min: 0, max: 60, integer: true },
+      strength: { from: 'extrudeOpacity', min: 0, max: 1 },
+    },
+  },
+  outerGlow: {
+    label: 'Outer Glow',
+    opacity: 'glowOpacity',
+    params: {
+      size: { from: 'glowSize', min: 0, max: 300, px: true },
+    },
+  },
+  stroke: {
+    label: 'Stroke',
+    opacity: 1,
+    params: {
+      size: { from: 'strokeSize', min: 0, max: 80, px: true },
+    },
+  },
+  gradientOverlay: {
+    label: 'Gradient Overlay',
+    opacity: 'gradientOpacity',
+    params: {},
+  },
+  edgeRims: {
+    label: 'Edge Rims',
+    opacity: 1,
+    params: {
+      strength: { from: 'edge3dStrength', min: 0, max: 1.5 },
+      width: { from: 'strokeSize', min: 0, max: 80, px: true },
+    },
+  },
+  topShade: {
+    label: 'Top Shade',
+    opacity: 'topShadowOpacity',
+    blend: 'multiply',
+    params: {},
+  },
+  bevel: {
+    label: 'Bevel',
+    opacity: 1,
+    params: {
+      size: { from: 'bevelSize', min: 0, max: 120, px: true },
+      highlight: { from: 'bevelHighlightOpacity', min: 0, max: 1 },
+      shadow: { from: 'bevelShadowOpacity', min: 0, max: 1 },
+    },
+  },
+  // Distance-field bevel lit by a real light direction, see distance_field.js.
+  bevelEmboss: {
+    label: 'Bevel & Emboss',
+    opacity: 1,
+    blend: 'screen',
+    params: {
+      style: { values: BEVEL_STYLES, default: 'innerBevel' },
+      direction: { values: ['up', 'down'], default: 'up' },
+      depth: { default: 100, min: 1, max: 1000, integer: true },
+      size: { from: 'bevelSize', min: 0, max: 250, px: true },
+      soften: { default: 0, min: 0, max: 16, px: true },
+      angle: { from: 'lightAngle', min: -180, max: 180 },
+      altitude: { from: 'lightAltitude', min: 0, max: 90 },
+      globalLight: { flag: true, default: true },
+      contour: { values: Object.keys(GLOSS_CONTOURS), default: 'linear' },
+      highlight: { from: 'bevelHighlightOpacity', min: 0, max: 1 },
+      shadow: { from: 'bevelShadowOpacity', min: 0, max: 1 },
+    },
+  },
+  // Soft shadows and glows from the glyph distance field. `angle` is the light
+  // direction, so shadows fall `distance` px away from it; spread and choke
+  // are the percentage of `size` that stays solid.
+  innerGlow: {
+    label: 'Inner Glow',
+    opacity: 0.75,
+    blend: 'screen',
+    params: {
+      color: { color: true, from: 'glowColor' },
+      source: { values: ['edge', 'center'], default: 'edge' },
+      angle: { from: 'lightAngle', min: -180, max: 180 },
+      globalLight: { flag: true, default: true },
+      distance: { default: 0, min: 0, max: 200, px: true },
+      choke: { default: 0, min: 0, max: 100, integer: true },
+      size: { default: 14, min: 0, max: 250, px: true },
+    },
+  },
+  innerShadow: {
+    label: 'Inner Shadow',
+    opacity: 0.75,
+    blend: 'multiply',
+    params: {
+      color: { color: true, default: '#000000' },
+      angle: { from: 'lightAngle', min: -180, max: 180 },
+      globalLight: { flag: true, default: true },
+      distance: { default: 5, min: 0, max: 200, px: true },
+      choke: { default: 0, min: 0, max: 100, integer: true },
+      size: { default: 10, min: 0, max: 250, px: true },
+    },
+  },
+  // Always drawn beneath the text, wherever it sits in the stack (as in Photoshop).
+  dropShadow: {
+    label: 'Drop Shadow',
+    opacity: 0.75,
+    blend: 'multiply',
+    params: {
+      color: { color: true, default: '#000000' },
+      angle: { from: 'lightAngle', min: -180, max: 180 },
+      globalLight: { flag: true, default: true },
+      distance: { default: 10, min: 0, max: 200, px: true },
+      spread: { default: 0, min: 0, max: 100, integer: true },
+      size: { default: 12, min: 0, max: 250, px: true },
+    },
+  },
+};
+
+const DEFAULT_EFFECT_ORDER = ['extrude', 'outerGlow', 'stroke', 'gradientOverlay', 'edgeRims', 'topShade', 'bevel'];
+
+const BLEND_MODES = [
+  'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge',
+  'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion',
+];
+
+function clampNumber(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function defaultOpacity(spec, cfg) {
+  return typeof spec.opacity === 'string' ? Number(cfg[spec.opacity]) : spec.opacity;
+}
+
+function paramValue(param, value) {
+  return clampNumber(param.integer ? Math.round(value) : value, param.min, param.max);
+}
+
+// `#rrggbb` (or `#rgb`, expanded) in lower case; null for anything else.
+function hexColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (/^#[0-9a-f]{6}$/.test(text)) return text;
+  if (/^#[0-9a-f]{3}$/.test(text)) return `#${text[1]}${text[1]}${text[2]}${text[2]}${text[3]}${text[3]}`;
+  return null;
+}
+
+function createEffect(type, cfg = {}) {
+  const spec = EFFECT_TYPES[type];
+  const effect = {
+    type,
+    enabled: true,
+    blend: spec.blend || 'normal',
+    opacity: clampNumber(defaultOpacity(spec, cfg), 0, 1),
+  };
+  for (const [key, param] of Object.entries(spec.params)) {
+    if (param.values || param.flag) effect[key] = param.default;
+    else if (param.color) effect[key] = hexColor(param.from ? cfg[param.from] : param.default) || '#000000';
+    else effect[key] = paramValue(param, param.from ? Number(cfg[param.from]) : param.default);
+  }
+  return effect;
+}
+
+// The stack a config gets when it has none: every effect, in the order the
+// chrome recipe has always used, with parameters from the flat keys.
+function defaultEffectStack(cfg) {
+  return DEFAULT_EFFECT_ORDER.map((type) => createEffect(type, cfg));
+}
+
+function toBoolean(value, fallback) {
+  if (typeof value === 'undefined' || value === null || value === '') return fallback;
+  if (typeof value === 'string') return value.toLowerCase() !== 'false';
+  return Boolean(value);
+}
+
+function normalizeEffect(entry, cfg, index) {
+  if (!entry || typeof entry !== 'object') throw new Error(`Effect ${index + 1} is not an object`);
+  const type = String(entry.type || '');
+  if (!EFFECT_TYPES[type]) throw new Error(`Unknown effect type: ${type || '(empty)'}`);
+
+  const defaults = createEffect(type, cfg);
+  const effect = { ...defaults };
+  effect.enabled = toBoolean(entry.enabled, true);
+  if (BLEND_MODES.includes(entry.blend)) effect.blend = entry.blend;
+  const opacity = Number(entry.opacity);
+  if (entry.opacity !== '' && entry.opacity !== null && Number.isFinite(opacity)) {
+    effect.opacity = clampNumber(opacity, 0, 1);
+  }
+  for (const [key, param] of Object.entries(EFFECT_TYPES[type].params)) {
+    if (param.values) {
+      if (param.values.includes(entry[key])) effect[key] = entry[key];
+      continue;
+    }
+    if (param.color) {
+      effect[key] = hexColor(entry[key]) || effect[key];
+      continue;
+    }
+    if (param.flag) {
+      effect[key] = toBoolean(entry[key], effect[key]);
+      continue;
+    }
+    const value = Number(entry[key]);
+    if (entry[key] === '' || entry[key] === null || !Number.isFinite(value)) continue;
+    effect[key] = paramValue(param, value);
+  }
+  if (effect.globalLight) {
+    effect.angle = defaults.angle;
+    if ('altitude' in defaults) effect.altitude = defaults.altitude;
+  }
+  return effect;
+}
+
+/**
+ * The effect stack of a config: `value` is an array or its JSON string; empty
+ * means the default stack built from the flat keys of `cfg`. Throws on
+ * malformed JSON and unknown effect types.
+ */
+function normalizeEffectStack(value, cfg) {
+  if (typeof value === 'undefined' || value === null || value === '') return defaultEffectStack(cfg);
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid effects JSON: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(list)) throw new Error('effects must be a JSON array of layer effects');
+  return list.map((entry, index) => normalizeEffect(entry, cfg, index));
+}
+
+// Pixel parameters scaled for supersampled rendering.
+function scaleEffectStack(stack, scale) {
+  return stack.map((effect) => {
+    const scaled = { ...effect };
+    for (const [key, param] of Object.entries(EFFECT_TYPES[effect.type].params)) {
+      if (param.px) scaled[key] = effect[key] * scale;
+    }
+    return scaled;
+  });
+}
+
+function enabledEffects(stack, type) {
+  return stack.filter((effect) => effect.enabled && (!type || effect.type === type));
+}
+
+function findEffect(stack, type) {
+  return enabledEffects(stack, type)[0] || null;
+}
+
+// Alpha the renderers apply to the whole effect. Glow, gradient overlay and
+// top shade use their opacity as their own strength instead.
+function layerAlpha(effect) {
+  return typeof EFFECT_TYPES[effect.type].opacity === 'number' ? effect.opacity : 1;
+}
+
+// Canvas globalCompositeOperation for an effect's blend mode.
+function compositeOperation(effect) {
+  return !effect.blend || effect.blend === 'normal' ? 'source-over' : effect.blend;
+}
+
+// How far an effect draws outside the glyphs, in px. The glow radiates from
+// the stroke, so the two add up (see effectPadding); inner effects stay inside.
+function effectReach(effect) {
+  switch (effect.type) {
+    case 'outerGlow':
+    case 'stroke':
+      return effect.size;
+    case 'extrude':
+      return effect.depth * 1.10;
+    case 'dropShadow':
+      return effect.distance + effect.size;
+    case 'bevelEmboss':
+      // Emboss styles raise the edge half outside the glyph; soften blurs on both sides.
+      return (effect.style === 'innerBevel' ? 0 : effect.size / 2) + effect.soften;
+    default:
+      return 0;
+  }
+}
+
+// Room the effects need around the glyphs: the widest stroke plus the widest
+// glow, or the farthest reaching other effect when that is more.
+function effectPadding(stack) {
+  const widest = (type) => Math.max(0, ...enabledEffects(stack, type).map(effectReach));
+  const others = enabledEffects(stack).filter((effect) => effect.type !== 'outerGlow' && effect.type !== 'stroke');
+  return Math.max(widest('outerGlow') + widest('stroke'), ...others.map(effectReach));
+}
+
+/**
+ * Effect types with their defaults for `cfg` and parameter ranges, for
+ * editors that build effects from scratch.
+ */
+function describeEffectTypes(cfg) {
+  const types = {};
+  for (const [type, spec] of Object.entries(EFFECT_TYPES)) {
+    const params = {};
+    for (const [key, param] of Object.entries(spec.params)) {
+      if (param.values) params[key] = { values: param.values };
+      else if (param.color) params[key] = { color: true };
+      else if (param.flag) params[key] = { flag: true };
+      else params[key] = { min: param.min, max: param.max, integer: Boolean(param.integer) };
+    }
+    types[type] = { label: spec.label, defaults: createEffect(type, cfg), params };
+  }
+  return types;
+}
+
+module.exports = {
+  BLEND_MODES,
+  EFFECT_TYPES,
+  compositeOperation,
+  defaultEffectStack,
+  describeEffectTypes,
+  effectPadding,
+  enabledEffects,
+  findEffect,
+  layerAlpha,
+  normalizeEffectStack,
+  scaleEffectStack,
+};
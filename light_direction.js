@@ -0,0 +1,91 @@
+/**
+ * Global light direction.
+ *
+ * `lightAngle` (degrees counter-clockwise from the right, Photoshop
+ * convention) and `lightAltitude` (degrees above the surface) light the whole
+ * design. The directional parts of the chrome recipes (extrude offset, rim
+ * and bevel edge offsets, top-shade and bevel gradients) are drawn for the
+ * default light, upper left. Any other angle turns all of them together by
+ * the difference, around each letter, so highlights, shadows and extrude
+ * keep agreeing; a lower light pushes the edge offsets further out. At the
+ * default light nothing moves and the output is unchanged.
+ *
+ * Layer effects with a light of their own (Bevel & Emboss, glows and
+ * shadows) follow the global light while their `globalLight` flag is set.
+ */
+
+const DEFAULT_LIGHT_ANGLE = 120;
+const DEFAULT_LIGHT_ALTITUDE = 30;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Angle in (-180, 180].
+function normalizeLightAngle(value) {
+  const angle = Number(value);
+  if (!Number.isFinite(angle)) return DEFAULT_LIGHT_ANGLE;
+  const wrapped = ((angle % 360) + 360) % 360;
+  return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+function normalizeLightAltitude(value) {
+  const altitude = Number(value);
+  return Number.isFinite(altitude) ? Math.max(0, Math.min(90, altitude)) : DEFAULT_LIGHT_ALTITUDE;
+}
+
+// Turn from the default light to the light of `cfg` (canvas axes, y down),
+// with the edge offset scale of its altitude; null for the default light.
+function lightTurn(cfg) {
+  if (cfg.lightAngle === DEFAULT_LIGHT_ANGLE && cfg.lightAltitude === DEFAULT_LIGHT_ALTITUDE) return null;
+  const turn = toRadians(DEFAULT_LIGHT_ANGLE - cfg.lightAngle);
+  return {
+    cos: Math.cos(turn),
+    sin: Math.sin(turn),
+    reach: Math.cos(toRadians(cfg.lightAltitude)) / Math.cos(toRadians(DEFAULT_LIGHT_ALTITUDE)),
+  };
+}
+
+function turnVector(turn, dx, dy, scale = 1) {
+  return [
+    (dx * turn.cos - dy * turn.sin) * scale,
+    (dx * turn.sin + dy * turn.cos) * scale,
+  ];
+}
+
+/** Offset drawn for the default light, turned to the light of `cfg`. */
+function lightOffset(cfg, dx, dy) {
+  const turn = lightTurn(cfg);
+  return turn ? turnVector(turn, dx, dy) : [dx, dy];
+}
+
+/**
+ * Highlight or shadow edge offset drawn for the default light: turned like
+ * lightOffset, and longer the lower the light (none with the light overhead).
+ */
+function edgeOffset(cfg, dx, dy) {
+  const turn = lightTurn(cfg);
+  return turn ? turnVector(turn, dx, dy, turn.reach) : [dx, dy];
+}
+
+/**
+ * Gradient line (x0, y0) -> (x1, y1) drawn for the default light, turned to
+ * the light of `cfg` around (cx, cy). Returns [x0, y0, x1, y1].
+ */
+function lightGradientLine(cfg, x0, y0, x1, y1, cx, cy) {
+  const turn = lightTurn(cfg);
+  if (!turn) return [x0, y0, x1, y1];
+  const [ax, ay] = turnVector(turn, x0 - cx, y0 - cy);
+  const [bx, by] = turnVector(turn, x1 - cx, y1 - cy);
+  return [cx + ax, cy + ay, cx + bx, cy + by];
+}
+
+module.exports = {
+  DEFAULT_LIGHT_ALTITUDE,
+  DEFAULT_LIGHT_ANGLE,
+  edgeOffset,
+  lightGradientLine,
+  lightOffset,
+  normalizeLightAltitude,
+  normalizeLightAngle,
+};
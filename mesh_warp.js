@@ -0,0 +1,244 @@
+/**
+ * Mesh (NxM grid) warp backend.
+ *
+ * A warp is described by a field object (see warp_fields.js):
+ *   { width, height, map(x, y) -> { x, y } }
+ * where `map` sends a source pixel coordinate to its destination. The source
+ * rectangle is split into a cols x rows grid, each grid vertex is pushed through
+ * `map`, and every grid cell is rasterized as two triangles in destination
+ * space. Each destination pixel is traced back to a continuous source position
+ * and sampled there, so neighbouring columns share one smooth mapping instead
+ * of being remapped independently (the cause of seams in 1px column warps).
+ */
+
+const { createCanvas } = require('canvas');
+
+const DEFAULT_OPTIONS = {
+  cols: 96,
+  rows: 48,
+  sampling: 'bicubic',
+};
+
+// Samples never read further than 2px away (bicubic support), so a grid cell
+// only needs rasterizing when it has visible pixels within that margin.
+const SAMPLE_MARGIN = 2;
+
+function clampInt(value, min, max, fallback) {
+  const num = Math.round(Number(value));
+  if (!Number.isFinite(num)) return fallback;
+  return Math.max(min, Math.min(max, num));
+}
+
+function normalizeMeshOptions(options = {}) {
+  return {
+    cols: clampInt(options.cols, 2, 512, DEFAULT_OPTIONS.cols),
+    rows: clampInt(options.rows, 2, 512, DEFAULT_OPTIONS.rows),
+    sampling: options.sampling === 'bilinear' ? 'bilinear' : 'bicubic',
+  };
+}
+
+// Catmull-Rom weights for the four taps around a sample position.
+function cubicWeights(t, out) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  out[0] = -0.5 * t3 + t2 - 0.5 * t;
+  out[1] = 1.5 * t3 - 2.5 * t2 + 1;
+  out[2] = -1.5 * t3 + 2 * t2 + 0.5 * t;
+  out[3] = 0.5 * t3 - 0.5 * t2;
+}
+
+// All sampling happens on premultiplied colour so transparent neighbours
+// (stored as black) do not darken glow and stroke tails.
+function createSampler(src, w, h, sampling) {
+  const rgba = [0, 0, 0, 0];
+
+  if (sampling === 'bilinear') {
+    return (sx, sy) => {
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let j = 0; j < 2; j++) {
+        const yy = Math.min(h - 1, Math.max(0, y0 + j));
+        const wy = j === 0 ? 1 - fy : fy;
+        for (let i = 0; i < 2; i++) {
+          const xx = Math.min(w - 1, Math.max(0, x0 + i));
+          const idx = (yy * w + xx) * 4;
+          const wgt = wy * (i === 0 ? 1 - fx : fx) * src[idx + 3];
+          r += src[idx] * wgt;
+          g += src[idx + 1] * wgt;
+          b += src[idx + 2] * wgt;
+          a += wgt;
+        }
+      }
+      rgba[0] = r;
+      rgba[1] = g;
+      rgba[2] = b;
+      rgba[3] = a;
+      return rgba;
+    };
+  }
+
+  const wx = new Float64Array(4);
+  const wy = new Float64Array(4);
+  return (sx, sy) => {
+    const x0 = Math.floor(sx);
+    const y0 = Math.floor(sy);
+    cubicWeights(sx - x0, wx);
+    cubicWeights(sy - y0, wy);
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let a = 0;
+    for (let j = 0; j < 4; j++) {
+      const yy = Math.min(h - 1, Math.max(0, y0 + j - 1));
+      for (let i = 0; i < 4; i++) {
+        const xx = Math.min(w - 1, Math.max(0, x0 + i - 1));
+        const idx = (yy * w + xx) * 4;
+        const wgt = wy[j] * wx[i] * src[idx + 3];
+        r += src[idx] * wgt;
+        g += src[idx + 1] * wgt;
+        b += src[idx + 2] * wgt;
+        a += wgt;
+      }
+    }
+    rgba[0] = r;
+    rgba[1] = g;
+    rgba[2] = b;
+    rgba[3] = a;
+    return rgba;
+  };
+}
+
+function markOccupiedCells(src, w, h, cols, rows) {
+  const occupied = new Uint8Array(cols * rows);
+  const cellW = Math.max(1, w - 1) / cols;
+  const cellH = Math.max(1, h - 1) / rows;
+  for (let y = 0; y < h; y++) {
+    const cy0 = Math.max(0, Math.floor((y - SAMPLE_MARGIN) / cellH));
+    const cy1 = Math.min(rows - 1, Math.floor((y + SAMPLE_MARGIN) / cellH));
+    for (let x = 0; x < w; x++) {
+      if (src[(y * w + x) * 4 + 3] === 0) continue;
+      const cx0 = Math.max(0, Math.floor((x - SAMPLE_MARGIN) / cellW));
+      const cx1 = Math.min(cols - 1, Math.floor((x + SAMPLE_MARGIN) / cellW));
+      for (let cy = cy0; cy <= cy1; cy++) {
+        for (let cx = cx0; cx <= cx1; cx++) occupied[cy * cols + cx] = 1;
+      }
+    }
+  }
+  return occupied;
+}
+
+/**
+ * Warp raw RGBA pixels through `field`. Returns a Uint8ClampedArray sized
+ * field.width x field.height.
+ */
+function meshWarpPixels(src, w, h, field, options = {}) {
+  const { cols, rows, sampling } = normalizeMeshOptions(options);
+  const outW = Math.max(1, Math.round(field.width));
+  const outH = Math.max(1, Math.round(field.height));
+  const out = new Uint8ClampedArray(outW * outH * 4);
+  const sample = createSampler(src, w, h, sampling);
+  const occupied = markOccupiedCells(src, w, h, cols, rows);
+
+  // Grid vertices in source space and their mapped destination positions.
+  const vx = cols + 1;
+  const vy = rows + 1;
+  const srcX = new Float64Array(vx * vy);
+  const srcY = new Float64Array(vx * vy);
+  const dstX = new Float64Array(vx * vy);
+  const dstY = new Float64Array(vx * vy);
+  for (let j = 0; j < vy; j++) {
+    const sy = (j / rows) * Math.max(1, h - 1);
+    for (let i = 0; i < vx; i++) {
+      const sx = (i / cols) * Math.max(1, w - 1);
+      const k = j * vx + i;
+      const p = field.map(sx, sy);
+      srcX[k] = sx;
+      srcY[k] = sy;
+      dstX[k] = p.x;
+      dstY[k] = p.y;
+    }
+  }
+
+  const drawTriangle = (a, b, c) => {
+    const ax = dstX[a];
+    const ay = dstY[a];
+    const bx = dstX[b];
+    const by = dstY[b];
+    const cx = dstX[c];
+    const cy = dstY[c];
+    const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+    if (Math.abs(det) < 1e-9) return;
+    const minX = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+    const maxX = Math.min(outW - 1, Math.ceil(Math.max(ax, bx, cx)));
+    const minY = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+    const maxY = Math.min(outH - 1, Math.ceil(Math.max(ay, by, cy)));
+    const eps = -1e-6;
+
+    for (let py = minY; py <= maxY; py++) {
+      for (let px = minX; px <= maxX; px++) {
+        const l1 = ((by - cy) * (px - cx) + (cx - bx) * (py - cy)) / det;
+        if (l1 < eps) continue;
+        const l2 = ((cy - ay) * (px - cx) + (ax - cx) * (py - cy)) / det;
+        if (l2 < eps) continue;
+        const l3 = 1 - l1 - l2;
+        if (l3 < eps) continue;
+
+        const sx = l1 * srcX[a] + l2 * srcX[b] + l3 * srcX[c];
+        const sy = l1 * srcY[a] + l2 * srcY[b] + l3 * srcY[c];
+        const s = sample(sx, sy);
+        const idx = (py * outW + px) * 4;
+        // Alpha that rounds to zero stays transparent black; dividing by a
+        // near-zero alpha would invent a colour from rounding noise.
+        if (s[3] < 0.5) {
+          out[idx] = out[idx + 1] = out[idx + 2] = out[idx + 3] = 0;
+          continue;
+        }
+        out[idx] = s[0] / s[3];
+        out[idx + 1] = s[1] / s[3];
+        out[idx + 2] = s[2] / s[3];
+        out[idx + 3] = s[3];
+      }
+    }
+  };
+
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      if (!occupied[j * cols + i]) continue;
+      const k00 = j * vx + i;
+      const k10 = k00 + 1;
+      const k01 = k00 + vx;
+      const k11 = k01 + 1;
+      drawTriangle(k00, k10, k11);
+      drawTriangle(k00, k11, k01);
+    }
+  }
+
+  return out;
+}
+
+function meshWarpCanvas(srcCanvas, field, options = {}) {
+  const w = srcCanvas.width;
+  const h = srcCanvas.height;
+  const srcData = srcCanvas.getContext('2d').getImageData(0, 0, w, h).data;
+  const pixels = meshWarpPixels(srcData, w, h, field, options);
+
+  const out = createCanvas(Math.max(1, Math.round(field.width)), Math.max(1, Math.round(field.height)));
+  const outCtx = out.getContext('2d');
+  const outImage = outCtx.createImageData(out.width, out.height);
+  outImage.data.set(pixels);
+  outCtx.putImageData(outImage, 0, 0);
+  return out;
+}
+
+module.exports = {
+  DEFAULT_MESH_OPTIONS: DEFAULT_OPTIONS,
+  meshWarpCanvas,
+  meshWarpPixels,
+  normalizeMeshOptions,
+};
@@ -0,0 +1,195 @@
+/**
+ * Material preset library.
+ *
+ * Every `presets/<id>.json` file is one preset, the id being its file name:
+ *
+ *   { "label": "Gold", "description": "...", "config": { "topColor": "#fff0a0", ... } }
+ *
+ * `config` holds generate_clarendon_arc.js config keys (`gradientStops` and
+ * `effects` may be arrays). Applying a preset lays them over the defaults;
+ * values the caller passes still win.
+ *
+ * Presets saved from the designer live in `presets/user/` with ids
+ * `user/<name>`, so they never shadow the built-in ones, and are the only
+ * presets that can be changed or deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PRESETS_DIR = path.join(__dirname, 'presets');
+const USER_SUBDIR = 'user';
+const PRESET_ID_PATTERN = /^(user\/)?[a-z0-9][a-z0-9-]*$/;
+const MAX_LABEL_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 400;
+
+// Content and font choices stay with the design being edited, not the look:
+// switching presets keeps them, so saved snapshots leave them out.
+const SNAPSHOT_EXCLUDED_KEYS = ['text', 'topText', 'bottomText', 'out', 'fontFile', 'fallbackFonts', 'preset'];
+
+function presetError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isUserPresetId(id) {
+  return id.startsWith(`${USER_SUBDIR}/`);
+}
+
+function presetPath(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+function readPresetFile(filePath, id) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid preset ${id}: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || !data.config || typeof data.config !== 'object' || Array.isArray(data.config)) {
+    throw new Error(`Invalid preset ${id}: config must be an object`);
+  }
+  return {
+    id,
+    label: String(data.label || id),
+    description: String(data.description || ''),
+    source: isUserPresetId(id) ? 'user' : 'builtin',
+    config: data.config,
+  };
+}
+
+function presetIdsIn(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.json'))
+    .map((entry) => `${prefix}${path.basename(entry.name, '.json')}`)
+    .filter((id) => PRESET_ID_PATTERN.test(id));
+}
+
+/**
+ * All presets in `dir`, built-in ones first, each group sorted by label. A
+ * preset file that cannot be read is listed with an `error` and no config.
+ */
+function listPresets(dir = PRESETS_DIR) {
+  const read = (id) => {
+    try {
+      return readPresetFile(presetPath(dir, id), id);
+    } catch (error) {
+      return { id, label: id, description: '', source: isUserPresetId(id) ? 'user' : 'builtin', config: null, error: error.message };
+    }
+  };
+  const byLabel = (a, b) => a.label.localeCompare(b.label, 'tr');
+  return [
+    ...presetIdsIn(dir).map(read).sort(byLabel),
+    ...presetIdsIn(path.join(dir, USER_SUBDIR), `${USER_SUBDIR}/`).map(read).sort(byLabel),
+  ];
+}
+
+/** The preset with `id`, or null when there is none. */
+function findPreset(id, dir = PRESETS_DIR) {
+  const name = String(id || '');
+  if (!PRESET_ID_PATTERN.test(name)) return null;
+  const filePath = presetPath(dir, name);
+  if (!fs.existsSync(filePath)) return null;
+  return readPresetFile(filePath, name);
+}
+
+function presetLabel(value) {
+  const label = String(value || '').trim().replace(/\s+/g, ' ');
+  if (!label) throw presetError('Preset needs a name');
+  if (label.length > MAX_LABEL_LENGTH) throw presetError(`Preset name is longer than ${MAX_LABEL_LENGTH} characters`);
+  return label;
+}
+
+function presetDescription(value) {
+  return String(value || '').trim().slice(0, MAX_DESCRIPTION_LENGTH);
+}
+
+function presetSlug(label) {
+  const slug = label
+    .toLocaleLowerCase('tr')
+    .replace(/ı/g, 'i')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return slug || 'preset';
+}
+
+/** The look of a normalized config, without its text, output name and fonts. */
+function presetSnapshot(config) {
+  const snapshot = { ...config };
+  for (const key of SNAPSHOT_EXCLUDED_KEYS) delete snapshot[key];
+  return snapshot;
+}
+
+function writePresetFile(filePath, preset, flag) {
+  const data = { label: preset.label, description: preset.description, config: preset.config };
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`, { flag });
+}
+
+function userPresetPath(dir, id) {
+  const name = String(id || '');
+  if (!PRESET_ID_PATTERN.test(name) || !isUserPresetId(name)) {
+    const builtin = PRESET_ID_PATTERN.test(name) && fs.existsSync(presetPath(dir, name));
+    throw builtin ? presetError('Built-in presets are read-only', 403) : presetError('Preset not found', 404);
+  }
+  const filePath = presetPath(dir, name);
+  if (!fs.existsSync(filePath)) throw presetError('Preset not found', 404);
+  return filePath;
+}
+
+/**
+ * Stores `config` (already normalized) as a new user preset named `label`.
+ * The id comes from the name; a taken id gets a numeric suffix. Returns the
+ * preset. Errors carry an HTTP `statusCode`.
+ */
+function saveUserPreset({ label, description, config }, dir = PRESETS_DIR) {
+  const preset = { label: presetLabel(label), description: presetDescription(description), config: presetSnapshot(config) };
+  const userDir = path.join(dir, USER_SUBDIR);
+  fs.mkdirSync(userDir, { recursive: true });
+  const slug = presetSlug(preset.label);
+  for (let n = 1; ; n += 1) {
+    const id = `${USER_SUBDIR}/${n === 1 ? slug : `${slug}-${n}`}`;
+    try {
+      // 'wx' fails when the name is taken, so concurrent saves never overwrite.
+      writePresetFile(presetPath(dir, id), preset, 'wx');
+      return readPresetFile(presetPath(dir, id), id);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+/**
+ * Renames a user preset and/or replaces its description or config snapshot;
+ * fields left undefined keep their value. The id stays the same.
+ */
+function updateUserPreset(id, { label, description, config }, dir = PRESETS_DIR) {
+  const filePath = userPresetPath(dir, id);
+  const current = readPresetFile(filePath, id);
+  const preset = {
+    label: typeof label === 'undefined' ? current.label : presetLabel(label),
+    description: typeof description === 'undefined' ? current.description : presetDescription(description),
+    config: typeof config === 'undefined' ? current.config : presetSnapshot(config),
+  };
+  writePresetFile(filePath, preset, 'w');
+  return readPresetFile(filePath, id);
+}
+
+function deleteUserPreset(id, dir = PRESETS_DIR) {
+  fs.unlinkSync(userPresetPath(dir, id));
+}
+
+module.exports = {
+  PRESETS_DIR,
+  deleteUserPreset,
+  findPreset,
+  listPresets,
+  saveUserPreset,
+  updateUserPreset,
+};
@@ -0,0 +1,306 @@
+/**
+ * SVG path `d` strings as text baselines.
+ *
+ * parsePathData turns a path string into absolute M/L/C/Q/A/Z commands
+ * (relative forms, H/V and the smooth S/T shorthands are resolved on the way).
+ * createPathSampler flattens those commands into a polyline and answers
+ * arc-length queries, so glyphs can be spaced by distance along the curve and
+ * rotated to its direction.
+ */
+
+const ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+function tokenizePath(d) {
+  const tokens = [];
+  const re = /([MLHVCSQTAZmlhvcsqtaz])|([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|([\s,]+)|(.)/g;
+  let match;
+  while ((match = re.exec(d)) !== null) {
+    if (match[1]) tokens.push({ cmd: match[1], index: match.index });
+    else if (match[2]) tokens.push({ num: match[2], index: match.index });
+    else if (match[4]) throw new Error(`Invalid character "${match[4]}" in path at ${match.index}`);
+  }
+  return tokens;
+}
+
+// Arc flags may be written without separators ("a1 1 0 011 1"), so a flag
+// only ever consumes its first digit and leaves the rest as the next number.
+function takeFlag(tokens, pos) {
+  const tok = tokens[pos];
+  if (!tok || typeof tok.num === 'undefined' || (tok.num[0] !== '0' && tok.num[0] !== '1')) {
+    throw new Error(`Invalid arc flag in path at ${tok ? tok.index : 'end'}`);
+  }
+  if (tok.num.length > 1) {
+    tokens.splice(pos + 1, 0, { num: tok.num.slice(1), index: tok.index + 1 });
+  }
+  return tok.num[0] === '1';
+}
+
+function parsePathData(d) {
+  const tokens = tokenizePath(String(d || ''));
+  const commands = [];
+  let pos = 0;
+  let cmd = null;
+  let curX = 0;
+  let curY = 0;
+  let startX = 0;
+  let startY = 0;
+  // Last control point, for the S/T reflections.
+  let ctrlX = 0;
+  let ctrlY = 0;
+  let prevType = null;
+
+  while (pos < tokens.length) {
+    if (tokens[pos].cmd) {
+      cmd = tokens[pos].cmd;
+      pos += 1;
+    } else if (!cmd) {
+      throw new Error('Path must start with a moveto (M) command');
+    }
+
+    const type = cmd.toUpperCase();
+    const rel = cmd !== type;
+    const count = ARG_COUNTS[type];
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      if (type === 'A' && (i === 3 || i === 4)) {
+        args.push(takeFlag(tokens, pos) ? 1 : 0);
+        pos += 1;
+        continue;
+      }
+      const tok = tokens[pos];
+      if (!tok || typeof tok.num === 'undefined') {
+        throw new Error(`Missing number for "${cmd}" in path at ${tok ? tok.index : 'end'}`);
+      }
+      args.push(Number(tok.num));
+      pos += 1;
+    }
+
+    const ox = rel ? curX : 0;
+    const oy = rel ? curY : 0;
+    if (type === 'M') {
+      curX = startX = ox + args[0];
+      curY = startY = oy + args[1];
+      commands.push({ type: 'M', x: curX, y: curY });
+      // Extra coordinate pairs after a moveto are implicit linetos.
+      cmd = rel ? 'l' : 'L';
+    } else if (type === 'L' || type === 'H' || type === 'V') {
+      if (type === 'L') {
+        curX = ox + args[0];
+        curY = oy + args[1];
+      } else if (type === 'H') {
+        curX = ox + args[0];
+      } else {
+        curY = oy + args[0];
+      }
+      commands.push({ type: 'L', x: curX, y: curY });
+    } else if (type === 'C' || type === 'S') {
+      let x1;
+      let y1;
+      let rest = args;
+      if (type === 'C') {
+        x1 = ox + args[0];
+        y1 = oy + args[1];
+        rest = args.slice(2);
+      } else {
+        const smooth = prevType === 'C';
+        x1 = smooth ? 2 * curX - ctrlX : curX;
+        y1 = smooth ? 2 * curY - ctrlY : curY;
+      }
+      const x2 = ox + rest[0];
+      const y2 = oy + rest[1];
+      curX = ox + rest[2];
+      curY = oy + rest[3];
+      ctrlX = x2;
+      ctrlY = y2;
+      commands.push({ type: 'C', x1, y1, x2, y2, x: curX, y: curY });
+    } else if (type === 'Q' || type === 'T') {
+      let x1;
+      let y1;
+      let rest = args;
+      if (type === 'Q') {
+        x1 = ox + args[0];
+        y1 = oy + args[1];
+        rest = args.slice(2);
+      } else {
+        const smooth = prevType === 'Q';
+        x1 = smooth ? 2 * curX - ctrlX : curX;
+        y1 = smooth ? 2 * curY - ctrlY : curY;
+      }
+      curX = ox + rest[0];
+      curY = oy + rest[1];
+      ctrlX = x1;
+      ctrlY = y1;
+      commands.push({ type: 'Q', x1, y1, x: curX, y: curY });
+    } else if (type === 'A') {
+      const x = ox + args[5];
+      const y = oy + args[6];
+      commands.push({
+        type: 'A', x0: curX, y0: curY, rx: args[0], ry: args[1], angle: args[2],
+        largeArc: args[3], sweep: args[4], x, y,
+      });
+      curX = x;
+      curY = y;
+    } else {
+      commands.push({ type: 'Z' });
+      curX = startX;
+      curY = startY;
+    }
+    prevType = type === 'S' ? 'C' : type === 'T' ? 'Q' : type;
+  }
+
+  if (commands.length > 0 && commands[0].type !== 'M') {
+    throw new Error('Path must start with a moveto (M) command');
+  }
+  return commands;
+}
+
+function pieceCount(length, maxSegment) {
+  return Math.max(1, Math.min(512, Math.ceil(length / maxSegment)));
+}
+
+// Endpoint arc parameters to centre form (SVG 1.1 implementation notes, F.6.5),
+// emitted as points along the ellipse.
+function flattenArc(cmd, scale, maxSegment, push) {
+  const { x0, y0, x, y } = cmd;
+  let rx = Math.abs(cmd.rx);
+  let ry = Math.abs(cmd.ry);
+  if (rx === 0 || ry === 0 || (x0 === x && y0 === y)) {
+    push(x, y);
+    return;
+  }
+  const phi = (cmd.angle * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x0 - x) / 2;
+  const dy = (y0 - y) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (cmd.largeArc === cmd.sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+  const cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+
+  const angleOf = (ux, uy) => Math.atan2(uy, ux);
+  const theta1 = angleOf((x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angleOf((-x1p - cxp) / rx, (-y1p - cyp) / ry) - theta1;
+  if (cmd.sweep && delta < 0) delta += Math.PI * 2;
+  else if (!cmd.sweep && delta > 0) delta -= Math.PI * 2;
+
+  const n = pieceCount((Math.abs(delta) * Math.max(rx, ry) * scale), maxSegment);
+  for (let i = 1; i <= n; i++) {
+    const t = theta1 + (delta * i) / n;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    push(cos * ex - sin * ey + cx, sin * ex + cos * ey + cy);
+  }
+}
+
+/**
+ * Polyline approximation of parsed commands. Each point carries `move: true`
+ * when it starts a new subpath; the jump to it adds no arc length, as in SVG
+ * textPath. Coordinates are multiplied by `scale`.
+ */
+function flattenPath(commands, scale = 1, maxSegment = 2) {
+  const points = [];
+  let curX = 0;
+  let curY = 0;
+  let startX = 0;
+  let startY = 0;
+  const push = (x, y, move = false) => {
+    points.push({ x: x * scale, y: y * scale, move });
+    curX = x;
+    curY = y;
+  };
+
+  for (const cmd of commands) {
+    if (cmd.type === 'M') {
+      push(cmd.x, cmd.y, true);
+      startX = cmd.x;
+      startY = cmd.y;
+    } else if (cmd.type === 'L') {
+      push(cmd.x, cmd.y);
+    } else if (cmd.type === 'Q' || cmd.type === 'C') {
+      const x0 = curX;
+      const y0 = curY;
+      const cubic = cmd.type === 'C';
+      const hull = cubic
+        ? Math.hypot(cmd.x1 - x0, cmd.y1 - y0) + Math.hypot(cmd.x2 - cmd.x1, cmd.y2 - cmd.y1) + Math.hypot(cmd.x - cmd.x2, cmd.y - cmd.y2)
+        : Math.hypot(cmd.x1 - x0, cmd.y1 - y0) + Math.hypot(cmd.x - cmd.x1, cmd.y - cmd.y1);
+      const n = pieceCount(hull * scale, maxSegment);
+      for (let i = 1; i <= n; i++) {
+        const t = i / n;
+        const mt = 1 - t;
+        if (cubic) {
+          push(
+            mt * mt * mt * x0 + 3 * mt * mt * t * cmd.x1 + 3 * mt * t * t * cmd.x2 + t * t * t * cmd.x,
+            mt * mt * mt * y0 + 3 * mt * mt * t * cmd.y1 + 3 * mt * t * t * cmd.y2 + t * t * t * cmd.y
+          );
+        } else {
+          push(mt * mt * x0 + 2 * mt * t * cmd.x1 + t * t * cmd.x, mt * mt * y0 + 2 * mt * t * cmd.y1 + t * t * cmd.y);
+        }
+      }
+    } else if (cmd.type === 'A') {
+      flattenArc(cmd, scale, maxSegment, push);
+    } else if (cmd.type === 'Z') {
+      push(startX, startY);
+    }
+  }
+  return points;
+}
+
+/**
+ * Arc-length sampler over a path string. `pointAt(s)` returns the position
+ * and tangent angle (radians, canvas y-down) at distance `s` from the start;
+ * distances outside [0, length] continue straight along the end tangents.
+ */
+function createPathSampler(d, scale = 1) {
+  const points = flattenPath(parsePathData(d), scale);
+  // Drawable segments only: moveto jumps and zero-length steps are dropped.
+  const segments = [];
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (b.move || len < 1e-9) continue;
+    segments.push({ x: a.x, y: a.y, dx: (b.x - a.x) / len, dy: (b.y - a.y) / len, start: length, len });
+    length += len;
+  }
+  if (segments.length === 0) {
+    throw new Error('Path has no drawable length');
+  }
+
+  const findSegment = (s) => {
+    let lo = 0;
+    let hi = segments.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (segments[mid].start <= s) lo = mid;
+      else hi = mid - 1;
+    }
+    return segments[lo];
+  };
+
+  return {
+    length,
+    pointAt(s) {
+      const seg = s <= 0 ? segments[0] : findSegment(Math.min(s, length));
+      const t = s - seg.start;
+      return { x: seg.x + seg.dx * t, y: seg.y + seg.dy * t, angle: Math.atan2(seg.dy, seg.dx) };
+    },
+  };
+}
+
+module.exports = {
+  createPathSampler,
+  flattenPath,
+  parsePathData,
+};
@@ -0,0 +1,154 @@
+/**
+ * Tests for importing Photoshop layer styles (.asl).
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { importAslStyles } = require('../asl_styles');
+
+// A minimal .asl writer: values are [type, ...args] tuples, descriptors
+// plain objects keyed by their four-character item codes.
+const u16 = (n) => Buffer.from([n >> 8, n & 0xff]);
+const u32 = (n) => {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(n);
+  return b;
+};
+const code = (s) => Buffer.from(s.padEnd(4, ' '), 'latin1');
+const id = (s) => (s.length <= 4 ? Buffer.concat([u32(0), code(s)]) : Buffer.concat([u32(s.length), Buffer.from(s, 'latin1')]));
+function unicode(s) {
+  const text = Buffer.from(`${s}\u0000`, 'utf16le').swap16();
+  return Buffer.concat([u32(text.length / 2), text]);
+}
+
+function value([type, ...args]) {
+  switch (type) {
+    case 'Objc': return Buffer.concat([code('Objc'), descriptor(args[0], args[1])]);
+    case 'doub': {
+      const b = Buffer.alloc(8);
+      b.writeDoubleBE(args[0]);
+      return Buffer.concat([code('doub'), b]);
+    }
+    case 'UntF': {
+      const b = Buffer.alloc(8);
+      b.writeDoubleBE(args[1]);
+      return Buffer.concat([code('UntF'), code(args[0]), b]);
+    }
+    case 'enum': return Buffer.concat([code('enum'), id(args[0]), id(args[1])]);
+    case 'long': return Buffer.concat([code('long'), u32(args[0])]);
+    case 'bool': return Buffer.concat([code('bool'), Buffer.from([args[0] ? 1 : 0])]);
+    case 'TEXT': return Buffer.concat([code('TEXT'), unicode(args[0])]);
+    case 'VlLs': return Buffer.concat([code('VlLs'), u32(args[0].length), ...args[0].map(value)]);
+    default: throw new Error(`Unknown value type ${type}`);
+  }
+}
+
+function descriptor(classId, items) {
+  const keys = Object.keys(items);
+  return Buffer.concat([unicode(''), id(classId), u32(keys.length), ...keys.map((key) => Buffer.concat([id(key), value(items[key])]))]);
+}
+
+function styleRecord(name, lefx) {
+  const body = Buffer.concat([
+    u32(16), descriptor('null', { 'Nm  ': ['TEXT', name], Idnt: ['TEXT', 'id-1'] }),
+    u32(16), descriptor('Styl', { Lefx: ['Objc', 'Lefx', lefx] }),
+  ]);
+  return Buffer.concat([u32(body.length), body]);
+}
+
+function aslFile(records) {
+  return Buffer.concat([u16(2), Buffer.from('8BSL'), u16(3), u32(0), u32(records.length), ...records]);
+}
+
+const rgb = (r, g, b) => ['Objc', 'RGBC', { 'Rd  ': ['doub', r], 'Grn ': ['doub', g], 'Bl  ': ['doub', b] }];
+const px = (n) => ['UntF', '#Pxl', n];
+const pct = (n) => ['UntF', '#Prc', n];
+const angle = (n) => ['UntF', '#Ang', n];
+const blend = (mode) => ['enum', 'BlnM', mode];
+const colorStop = (location, color) => ['Objc', 'Clrt', { 'Clr ': color, Type: ['enum', 'Clry', 'UsrS'], Lctn: ['long', location], Mdpn: ['long', 50] }];
+const alphaStop = (location, opacity) => ['Objc', 'TrnS', { Opct: pct(opacity), Lctn: ['long', location], Mdpn: ['long', 50] }];
+
+const CHROME = {
+  'Scl ': pct(100),
+  DrSh: ['Objc', 'DrSh', {
+    enab: ['bool', true], 'Md  ': blend('Mltp'), 'Clr ': rgb(40, 0, 60), Opct: pct(60),
+    uglg: ['bool', true], lagl: angle(135), Dstn: px(8), Ckmt: px(10), blur: px(14),
+  }],
+  FrFX: ['Objc', 'FrFX', {
+    enab: ['bool', true], Styl: ['enum', 'FStl', 'OutF'], PntT: ['enum', 'FrFl', 'SClr'],
+    'Md  ': blend('Nrml'), Opct: pct(100), 'Sz  ': px(4), 'Clr ': rgb(242, 235, 255),
+  }],
+  GrFl: ['Objc', 'GrFl', {
+    enab: ['bool', true], 'Md  ': blend('Nrml'), Opct: pct(92), Angl: angle(90), Type: ['enum', 'GrdT', 'Lnr '],
+    Grad: ['Objc', 'Grdn', {
+      GrdF: ['enum', 'GrdF', 'CstS'],
+      Clrs: ['VlLs', [colorStop(0, rgb(74, 15, 89)), colorStop(4096, rgb(182, 110, 184))]],
+      Trns: ['VlLs', [alphaStop(0, 100), alphaStop(4096, 80)]],
+    }],
+  }],
+  ChFX: ['Objc', 'ChFX', { enab: ['bool', true], 'Md  ': blend('Mltp') }],
+};
+
+const INNER = {
+  'Scl ': pct(200),
+  IrGl: ['Objc', 'IrGl', {
+    enab: ['bool', true], 'Md  ': blend('linearDodge'), 'Clr ': rgb(255, 128, 255), Opct: pct(70),
+    glwS: ['enum', 'IGSr', 'SrcC'], Ckmt: px(5), blur: px(9),
+  }],
+  ebbl: ['Objc', 'ebbl', {
+    enab: ['bool', true], bvlS: ['enum', 'BESl', 'OtrB'], uglg: ['bool', false], lagl: angle(-45), Lald: angle(60),
+    blur: px(6), bvlD: ['enum', 'BESs', 'Out '],
+  }],
+  patternFill: ['Objc', 'patternFill', { enab: ['bool', true] }],
+};
+
+test('importAslStyles maps Photoshop effects onto the effect stack', () => {
+  const [style] = importAslStyles(aslFile([styleRecord('Mor Krom', CHROME)]));
+  assert.strictEqual(style.name, 'Mor Krom');
+  assert.deepStrictEqual(style.config.effects.map((effect) => effect.type), ['dropShadow', 'stroke', 'gradientOverlay']);
+  const [shadow, stroke, gradient] = style.config.effects;
+  assert.deepStrictEqual(shadow, {
+    type: 'dropShadow', enabled: true, blend: 'multiply', opacity: 0.6, color: '#28003c',
+    globalLight: true, distance: 8, spread: 10, size: 14,
+  });
+  assert.strictEqual(stroke.size, 8);
+  assert.strictEqual(style.config.outlineColor, '#f2ebff');
+  assert.strictEqual(gradient.opacity, 0.92);
+  assert.deepStrictEqual(style.config.gradientStops, [
+    { position: 0, color: '#4a0f59', alpha: 1 },
+    { position: 1, color: '#b66eb8', alpha: 0.8 },
+  ]);
+  assert.strictEqual(style.config.gradientAngle, -90);
+  assert.strictEqual(style.config.lightAngle, 135);
+  assert.deepStrictEqual(style.unmapped, ['Satin is not supported']);
+});
+
+test('importAslStyles scales sizes and reports what it had to approximate', () => {
+  const [style] = importAslStyles(aslFile([styleRecord('İç Işık', INNER)]));
+  assert.strictEqual(style.name, 'İç Işık');
+  const [glow, bevel] = style.config.effects;
+  assert.deepStrictEqual(glow, {
+    type: 'innerGlow', enabled: true, opacity: 0.7, color: '#ff80ff', source: 'center', choke: 5, size: 18,
+  });
+  assert.strictEqual(bevel.type, 'bevelEmboss');
+  assert.strictEqual(bevel.direction, 'down');
+  assert.strictEqual(bevel.size, 12);
+  assert.deepStrictEqual([bevel.globalLight, bevel.angle, bevel.altitude], [false, -45, 60]);
+  assert.deepStrictEqual(style.unmapped, [
+    'Pattern Overlay is not supported',
+    'Inner Glow: blend mode linearDodge is not supported, drawn as screen',
+    'Bevel & Emboss: outer bevel style is drawn as inner bevel',
+  ]);
+});
+
+test('importAslStyles keeps reading after a broken style', () => {
+  const broken = Buffer.concat([u32(8), u32(16), u32(0)]);
+  const styles = importAslStyles(aslFile([styleRecord('A', CHROME), broken, styleRecord('C', INNER)]));
+  assert.deepStrictEqual(styles.map((style) => style.name), ['A', 'Style 2', 'C']);
+  assert.match(styles[1].error, /^Not a readable \.asl file/);
+  assert.ok(styles[2].config.effects.length > 0);
+});
+
+test('importAslStyles rejects files that are not .asl', () => {
+  assert.throws(() => importAslStyles(Buffer.from('<html></html>')), /Not a readable \.asl file/);
+});
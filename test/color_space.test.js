@@ -0,0 +1,56 @@
+/**
+ * Tests for color mixing in sRGB, linear light and OKLab.
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { expandStops, mixColor, normalizeColorSpace } = require('../color_space');
+
+const SAMPLES = ['#000000', '#ffffff', '#ff0000', '#00ff00', '#0000ff', '#4a0f59', '#cc1066', '#f2ebff', '#7f7f7f', '#010203'];
+
+test('colors survive the trip through linear light and OKLab', () => {
+  for (const space of ['linear', 'oklab', 'oklch']) {
+    for (const hex of SAMPLES) {
+      assert.strictEqual(mixColor(hex, hex, 0.5, space), hex, `${hex} in ${space}`);
+    }
+  }
+  for (let i = 0; i < 4096; i += 37) {
+    const hex = `#${(i * 4099).toString(16).padStart(6, '0').slice(-6)}`;
+    assert.strictEqual(mixColor(hex, hex, 0.5, 'oklab'), hex, hex);
+  }
+});
+
+test('mixColor blends in the chosen space', () => {
+  assert.strictEqual(mixColor('#000000', '#ffffff', 0.5), '#808080');
+  assert.strictEqual(mixColor('#000000', '#ffffff', 0.5, 'linear'), '#bcbcbc');
+  // OKLab lightness 0.5 is perceptual mid-gray.
+  assert.strictEqual(mixColor('#000000', '#ffffff', 0.5, 'oklab'), '#636363');
+  // OKLCh keeps the chroma up where OKLab cuts straight through.
+  assert.strictEqual(mixColor('#ff0000', '#0000ff', 0.5, 'oklab'), '#8c53a2');
+  assert.strictEqual(mixColor('#ff0000', '#0000ff', 0.5, 'oklch'), '#ba00c2');
+  assert.strictEqual(mixColor('#4a0f59', '#ffffff', 0, 'oklab'), '#4a0f59');
+  assert.strictEqual(mixColor('#4a0f59', '#ffffff', 2, 'oklab'), '#ffffff');
+});
+
+test('normalizeColorSpace falls back to sRGB', () => {
+  assert.strictEqual(normalizeColorSpace(' OKLab '), 'oklab');
+  assert.strictEqual(normalizeColorSpace('hsl'), 'srgb');
+  assert.strictEqual(normalizeColorSpace(undefined), 'srgb');
+});
+
+test('expandStops adds evenly spaced stops mixed in the chosen space', () => {
+  const stops = [[0, '#4a0f59', 1], [1, '#ffffff', 0]];
+  assert.strictEqual(expandStops(stops, 'srgb'), stops);
+  const expanded = expandStops(stops, 'oklab');
+  assert.strictEqual(expanded.length, 9);
+  expanded.forEach(([offset, color, alpha], i) => {
+    assert.strictEqual(offset, i / 8);
+    assert.strictEqual(alpha, 1 - i / 8);
+    assert.strictEqual(color, mixColor('#4a0f59', '#ffffff', i / 8, 'oklab'));
+  });
+});
+
+test('expandStops keeps hard edges and flat segments as they are', () => {
+  const stops = [[0, '#000000'], [0.5, '#000000', 0.5], [0.5, '#ffffff'], [1, '#ffffff']];
+  assert.deepStrictEqual(expandStops(stops, 'oklab'), stops);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the font root sandbox.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { parseFontRoots, resolveInFontRoots } = require('../font_roots');
+
+// A root with one font and a sibling directory outside it.
+function sandbox(t) {
+  const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'font-roots-')));
+  t.after(() => fs.rmSync(base, { recursive: true, force: true }));
+  const root = path.join(base, 'fonts');
+  const outside = path.join(base, 'private');
+  fs.mkdirSync(root);
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, 'ok.ttf'), 'font');
+  fs.writeFileSync(path.join(outside, 'secret.ttf'), 'secret');
+  return { base, root, outside, roots: parseFontRoots('fonts', base) };
+}
+
+test('parseFontRoots resolves relative roots and drops missing ones', (t) => {
+  const { base, root } = sandbox(t);
+  assert.deepStrictEqual(parseFontRoots(['fonts', 'missing', path.join(base, 'private', 'secret.ttf')], base), [root]);
+});
+
+test('resolveInFontRoots returns files inside a root', (t) => {
+  const { root, roots } = sandbox(t);
+  assert.strictEqual(resolveInFontRoots(path.join(root, 'ok.ttf'), roots), path.join(root, 'ok.ttf'));
+});
+
+test('resolveInFontRoots refuses ../ traversal and absolute paths outside the roots', (t) => {
+  const { root, outside, roots } = sandbox(t);
+  assert.throws(() => resolveInFontRoots(path.join(root, '..', 'private', 'secret.ttf'), roots), { statusCode: 403 });
+  assert.throws(() => resolveInFontRoots(path.join(outside, 'secret.ttf'), roots), { statusCode: 403 });
+  assert.throws(() => resolveInFontRoots('/etc/passwd', roots), { statusCode: 403 });
+  // A sibling directory sharing the root's name as a prefix is still outside.
+  fs.mkdirSync(`${root}-extra`);
+  fs.writeFileSync(`${root}-extra/x.ttf`, 'font');
+  assert.throws(() => resolveInFontRoots(`${root}-extra/x.ttf`, roots), { statusCode: 403 });
+});
+
+test('resolveInFontRoots refuses symlinks that escape a root', (t) => {
+  const { root, outside, roots } = sandbox(t);
+  fs.symlinkSync(path.join(outside, 'secret.ttf'), path.join(root, 'link.ttf'));
+  fs.symlinkSync(outside, path.join(root, 'linked-dir'));
+  assert.throws(() => resolveInFontRoots(path.join(root, 'link.ttf'), roots), { statusCode: 403 });
+  assert.throws(() => resolveInFontRoots(path.join(root, 'linked-dir', 'secret.ttf'), roots), { statusCode: 403 });
+});
+
+test('resolveInFontRoots reports missing files and directories as not found', (t) => {
+  const { root, roots } = sandbox(t);
+  assert.throws(() => resolveInFontRoots(path.join(root, 'missing.ttf'), roots), { statusCode: 404 });
+  fs.mkdirSync(path.join(root, 'dir.ttf'));
+  assert.throws(() => resolveInFontRoots(path.join(root, 'dir.ttf'), roots), { statusCode: 404 });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for storing uploaded fonts.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { MAX_FONT_UPLOAD_BYTES, saveUploadedFont, sanitizeFontName } = require('../font_upload');
+
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+const ULTRA = fs.readFileSync(path.join(FONTS_DIR, 'Ultra.ttf'));
+const ANTON = fs.readFileSync(path.join(FONTS_DIR, 'Anton-Regular.ttf'));
+
+function tempFontsDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-upload-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('sanitizeFontName keeps a safe basename', () => {
+  assert.strictEqual(sanitizeFontName('../../etc/My Font.TTF', '.ttf'), 'My_Font.ttf');
+  assert.strictEqual(sanitizeFontName('C:\\fonts\\evil.otf', '.otf'), 'evil.otf');
+  assert.strictEqual(sanitizeFontName('Çizgi Ğ.ttf', '.ttf'), 'Cizgi_G.ttf');
+  assert.strictEqual(sanitizeFontName('../..', '.ttf'), 'font.ttf');
+  assert.strictEqual(sanitizeFontName(undefined, '.otf'), 'font.otf');
+});
+
+test('saveUploadedFont writes path-like names into the upload directory', (t) => {
+  const dir = tempFontsDir(t);
+  const saved = saveUploadedFont(dir, { name: '../../../outside.ttf', data: ULTRA });
+  assert.deepStrictEqual(saved, { file: 'uploads/outside.ttf', duplicate: false });
+  assert.ok(fs.readFileSync(path.join(dir, saved.file)).equals(ULTRA));
+  assert.deepStrictEqual(fs.readdirSync(dir), ['uploads']);
+});
+
+test('saveUploadedFont rejects files that are not fonts', (t) => {
+  const dir = tempFontsDir(t);
+  assert.throws(() => saveUploadedFont(dir, { name: 'a.ttf', data: Buffer.alloc(0) }), { statusCode: 400 });
+  assert.throws(() => saveUploadedFont(dir, { name: 'a.ttf', data: Buffer.from('<html></html>') }), { statusCode: 415 });
+  assert.throws(
+    () => saveUploadedFont(dir, { name: 'a.ttf', data: Buffer.concat([Buffer.from([0, 1, 0, 0]), Buffer.alloc(64)]) }),
+    { statusCode: 422 },
+  );
+  assert.throws(
+    () => saveUploadedFont(dir, { name: 'a.ttf', data: Buffer.alloc(MAX_FONT_UPLOAD_BYTES + 1) }),
+    { statusCode: 413 },
+  );
+  assert.strictEqual(fs.existsSync(path.join(dir, 'uploads')), false);
+});
+
+test('saveUploadedFont returns the existing file for a re-upload', (t) => {
+  const dir = tempFontsDir(t);
+  const first = saveUploadedFont(dir, { name: 'Ultra.ttf', data: ULTRA });
+  const again = saveUploadedFont(dir, { name: 'Other name.ttf', data: ULTRA }, [first.file]);
+  assert.deepStrictEqual(again, { file: first.file, duplicate: true });
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'uploads')), ['Ultra.ttf']);
+});
+
+test('saveUploadedFont numbers different fonts uploaded under one name', (t) => {
+  const dir = tempFontsDir(t);
+  assert.strictEqual(saveUploadedFont(dir, { name: 'Logo.ttf', data: ULTRA }).file, 'uploads/Logo.ttf');
+  const second = saveUploadedFont(dir, { name: 'Logo.ttf', data: ANTON }, ['uploads/Logo.ttf']);
+  assert.deepStrictEqual(second, { file: 'uploads/Logo-2.ttf', duplicate: false });
+  assert.ok(fs.readFileSync(path.join(dir, second.file)).equals(ANTON));
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for reading multi-stop gradients.
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { gradientLine, normalizeGradientAngle, normalizeGradientStops } = require('../gradient_stops');
+
+test('normalizeGradientStops sorts stops and fills in defaults', () => {
+  const stops = normalizeGradientStops(JSON.stringify([
+    { position: 1, color: '#FFF' },
+    { position: '0.32', color: ' #CC1066 ', alpha: 0.5 },
+    { position: -0.2, color: '#000000', alpha: 3 },
+  ]));
+  assert.deepStrictEqual(stops, [
+    { position: 0, color: '#000000', alpha: 1 },
+    { position: 0.32, color: '#cc1066', alpha: 0.5 },
+    { position: 1, color: '#ffffff', alpha: 1 },
+  ]);
+});
+
+test('normalizeGradientStops keeps the order of stops at one position', () => {
+  const stops = normalizeGradientStops([
+    { position: 1, color: '#000000' },
+    { position: 0.5, color: '#ff0000' },
+    { position: 0.5, color: '#0000ff' },
+    { position: 0, color: '#ffffff' },
+  ]);
+  assert.deepStrictEqual(stops.map((stop) => stop.color), ['#ffffff', '#ff0000', '#0000ff', '#000000']);
+});
+
+test('normalizeGradientStops treats an empty value as the three-color ramp', () => {
+  for (const value of [undefined, null, '', '[]', []]) {
+    assert.deepStrictEqual(normalizeGradientStops(value), []);
+  }
+});
+
+test('normalizeGradientStops rejects malformed lists', () => {
+  assert.throws(() => normalizeGradientStops('[{'), /Invalid gradientStops JSON/);
+  assert.throws(() => normalizeGradientStops('{}'), /must be a JSON array/);
+  assert.throws(() => normalizeGradientStops([{ position: 0, color: '#000000' }]), /at least two stops/);
+  assert.throws(() => normalizeGradientStops([{ position: 0, color: 'red' }, { position: 1, color: '#fff' }]), /Gradient stop 1 needs a #rrggbb color/);
+  assert.throws(() => normalizeGradientStops([{ position: 0, color: '#000' }, { position: '', color: '#fff' }]), /Gradient stop 2 needs a position/);
+});
+
+test('normalizeGradientAngle wraps into (-180, 180]', () => {
+  assert.deepStrictEqual([90, 180, 270, -180, 540, 'x'].map(normalizeGradientAngle), [90, 180, -90, 180, 180, 90]);
+});
+
+test('gradientLine spans the box along the angle', () => {
+  const box = { x1: 0, y1: 0, x2: 200, y2: 100 };
+  assert.deepStrictEqual(gradientLine(0, box), [200, 50, 0, 50]);
+  gradientLine(90, box).forEach((v, i) => assert.ok(Math.abs(v - [100, 0, 100, 100][i]) < 1e-9, `${i}: ${v}`));
+});
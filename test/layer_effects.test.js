@@ -0,0 +1,28 @@
+/**
+ * Tests for the layer effects stack helpers.
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { defaultEffectStack, effectPadding, normalizeEffectStack } = require('../layer_effects');
+
+// The flat keys the default stack reads its parameters from.
+const CFG = {
+  glowSize: 24, strokeSize: 10, bevelSize: 20, extrudeDepth: 12, extrudeOpacity: 0.32,
+  glowOpacity: 0.8, gradientOpacity: 1, edge3dStrength: 0.8, topShadowOpacity: 0.5,
+  bevelHighlightOpacity: 0.6, bevelShadowOpacity: 0.4, lightAngle: 120, lightAltitude: 30,
+  glowColor: '#ffffff',
+};
+
+test('effect padding covers the stroke and glow of the default stack', () => {
+  assert.strictEqual(effectPadding(defaultEffectStack(CFG)), CFG.glowSize + CFG.strokeSize);
+});
+
+test('effect padding covers drop shadows and embossed bevels', () => {
+  const padding = (effects) => effectPadding(normalizeEffectStack(effects, CFG));
+  assert.strictEqual(padding([{ type: 'dropShadow', distance: 80, size: 20 }]), 100);
+  assert.strictEqual(padding([{ type: 'stroke', size: 10 }, { type: 'dropShadow', distance: 2, size: 4 }]), 10);
+  assert.strictEqual(padding([{ type: 'bevelEmboss', style: 'emboss', size: 40, soften: 2 }]), 22);
+  assert.strictEqual(padding([{ type: 'bevelEmboss', style: 'innerBevel', size: 40 }]), 0);
+  assert.strictEqual(padding([{ type: 'dropShadow', enabled: false, distance: 80, size: 20 }]), 0);
+});
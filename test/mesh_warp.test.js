@@ -0,0 +1,63 @@
+/**
+ * Tests for the mesh warp backend on small RGBA buffers.
+ *
+ * mesh_warp.js loads node-canvas; without the native build these are skipped.
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { envelopeField, identityField } = require('../warp_fields');
+
+function canvasMissing() {
+  try {
+    require('canvas');
+    return false;
+  } catch {
+    return 'node-canvas is not built';
+  }
+}
+
+// A w x h layer with an opaque, varied block in the middle and a clear border.
+function testLayer(w, h) {
+  const pixels = new Uint8ClampedArray(w * h * 4);
+  for (let y = 3; y < h - 3; y++) {
+    for (let x = 3; x < w - 3; x++) {
+      const i = (y * w + x) * 4;
+      pixels.set([(x * 37) % 256, (y * 53) % 256, ((x + y) * 11) % 256, x % 2 ? 255 : 128], i);
+    }
+  }
+  return pixels;
+}
+
+function maxDifference(a, b) {
+  let max = 0;
+  for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]));
+  return max;
+}
+
+test('meshWarpPixels reproduces the input through an identity field', { skip: canvasMissing() }, () => {
+  const { meshWarpPixels } = require('../mesh_warp');
+  const src = testLayer(24, 16);
+  for (const sampling of ['bicubic', 'bilinear']) {
+    for (const [cols, rows] of [[2, 2], [8, 4], [96, 48]]) {
+      const out = meshWarpPixels(src, 24, 16, identityField(24, 16), { cols, rows, sampling });
+      assert.strictEqual(out.length, src.length);
+      assert.ok(maxDifference(out, src) <= 1, `${sampling} ${cols}x${rows}: ${maxDifference(out, src)}`);
+    }
+  }
+});
+
+test('meshWarpPixels sizes its output from the field', { skip: canvasMissing() }, () => {
+  const { meshWarpPixels } = require('../mesh_warp');
+  const src = testLayer(24, 16);
+  const shifted = { width: 30.4, height: 21.6, map: (x, y) => ({ x: x + 5, y: y + 4 }) };
+  const out = meshWarpPixels(src, 24, 16, shifted, { cols: 8, rows: 4 });
+  assert.strictEqual(out.length, 30 * 22 * 4);
+  // The block lands moved by the field's offset.
+  const at = (x, y) => Array.from(out.subarray((y * 30 + x) * 4, (y * 30 + x) * 4 + 4));
+  assert.deepStrictEqual(at(10, 9), Array.from(src.subarray((5 * 24 + 5) * 4, (5 * 24 + 5) * 4 + 4)));
+  assert.deepStrictEqual(at(2, 2), [0, 0, 0, 0]);
+
+  const field = envelopeField(24, 16, { minX: 3, minY: 3, maxX: 20, maxY: 12 }, 'arch', 60);
+  assert.strictEqual(meshWarpPixels(src, 24, 16, field).length, field.width * field.height * 4);
+});
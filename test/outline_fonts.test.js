@@ -0,0 +1,106 @@
+/**
+ * Smoke tests for the outline font path: opentype.js loading and SVG export.
+ *
+ * Renders need the native node-canvas build; without it they are skipped.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const { readFontMetadata } = require('../font_catalog');
+const { createFontChain } = require('../font_fallback');
+const { FONT_READ_ERROR, loadOutlineFont } = require('../glyph_outlines');
+
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+const ULTRA = path.join(FONTS_DIR, 'Ultra.ttf');
+const ANTON = path.join(FONTS_DIR, 'Anton-Regular.ttf');
+
+function canvasMissing() {
+  try {
+    require('canvas');
+    return false;
+  } catch {
+    return 'node-canvas is not built';
+  }
+}
+
+// Renders into output/ under a test name and removes what it wrote.
+function renderOnce(cfg) {
+  const { render } = require('../generate_clarendon_arc');
+  const out = `test_${process.pid}_${Date.now()}`;
+  const result = render({ ...cfg, out }, { quiet: true });
+  try {
+    return {
+      rasterizedEffects: result.rasterizedEffects,
+      warnings: result.warnings,
+      png: result.pngPath ? fs.readFileSync(result.pngPath) : null,
+      svg: result.svgPath ? fs.readFileSync(result.svgPath, 'utf8') : null,
+    };
+  } finally {
+    for (const file of [result.pngPath, result.svgPath]) if (file) fs.rmSync(file, { force: true });
+  }
+}
+
+test('loadOutlineFont parses a bundled font', () => {
+  const font = loadOutlineFont(ULTRA);
+  assert.ok(font.numGlyphs > 0);
+  assert.ok(font.getAdvanceWidth('A', 100) > 0);
+  assert.strictEqual(loadOutlineFont(ULTRA), font);
+});
+
+test('loadOutlineFont reports files that are not fonts', () => {
+  assert.throws(() => loadOutlineFont(path.join(__dirname, '..', 'package.json')), { code: FONT_READ_ERROR });
+  assert.throws(() => loadOutlineFont(path.join(FONTS_DIR, 'collection.ttc')), { code: FONT_READ_ERROR });
+});
+
+test('font chain falls back per glyph and reports unreadable faces', () => {
+  const chain = createFontChain([{ file: ULTRA }, { file: ANTON }]);
+  assert.strictEqual(chain.faceOf('A'), 0);
+  assert.strictEqual(chain.faceOf('Ω'), 1);
+  assert.deepStrictEqual(chain.coverageWarnings(['AΩ']), ['Glyph "Ω" not in Ultra.ttf, drawn with Anton-Regular.ttf']);
+
+  const broken = createFontChain([{ file: path.join(__dirname, '..', 'package.json') }, { file: ULTRA }]);
+  assert.strictEqual(broken.faceOf('A'), 1);
+  assert.match(broken.coverageWarnings(['A'])[0], /^Could not read package\.json/);
+});
+
+test('font chain kerns with the font pairs unless kerning is off', () => {
+  assert.ok(createFontChain([{ file: ANTON }]).kern('A', 'V', 100) < 0);
+  assert.strictEqual(createFontChain([{ file: ANTON }], { kerning: false }).kern('A', 'V', 100), 0);
+});
+
+test('font catalog reads readable fonts and flags broken files', () => {
+  const ultra = readFontMetadata(ULTRA);
+  assert.strictEqual(ultra.error, undefined);
+  assert.ok(ultra.glyphCount > 0);
+  assert.deepStrictEqual([ultra.name, ultra.family, ultra.subfamily, ultra.weight], ['Ultra Regular', 'Ultra', 'Regular', 400]);
+  const broken = readFontMetadata(path.join(__dirname, '..', 'package.json'));
+  assert.match(broken.error, /^Could not read glyph outlines/);
+});
+
+test('SVG export draws glyph outlines', { skip: canvasMissing() }, () => {
+  const { svg } = renderOnce({ text: 'SVG', fontFile: 'Ultra.ttf', format: 'svg' });
+  assert.match(svg, /<svg[\s>]/);
+  assert.match(svg, /<path [^>]*d="M/);
+});
+
+test('SVG export writes soft shadows as filters and reports rasterized effects', { skip: canvasMissing() }, () => {
+  const effects = JSON.stringify([{ type: 'dropShadow' }, { type: 'innerShadow' }, { type: 'innerGlow' }]);
+  const { svg, rasterizedEffects, warnings } = renderOnce({ text: 'SVG', fontFile: 'Ultra.ttf', format: 'svg', effects });
+  assert.doesNotMatch(svg, /<image/);
+  assert.match(svg, /<filter id="dropShadow"/);
+  assert.deepStrictEqual(rasterizedEffects, []);
+  assert.deepStrictEqual(warnings, []);
+
+  const embossed = renderOnce({ text: 'SVG', fontFile: 'Ultra.ttf', format: 'svg', effects: '[{"type":"bevelEmboss"}]' });
+  assert.match(embossed.svg, /<image/);
+  assert.deepStrictEqual(embossed.rasterizedEffects, ['bevelEmboss']);
+  assert.match(embossed.warnings[0], /^SVG embeds bevelEmboss as raster images/);
+});
+
+test('vector warp pipeline renders a warped layer', { skip: canvasMissing() }, () => {
+  const { png } = renderOnce({ text: 'WARP', fontFile: 'Ultra.ttf', curveMode: 'bottomWarp', warpPipeline: 'vector' });
+  assert.ok(png.length > 0);
+  assert.ok(png.subarray(1, 4).equals(Buffer.from('PNG')));
+});
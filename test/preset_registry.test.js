@@ -0,0 +1,85 @@
+/**
+ * Tests for saving, renaming and deleting user presets.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { deleteUserPreset, findPreset, listPresets, saveUserPreset, updateUserPreset } = require('../preset_registry');
+
+// A preset library with one built-in preset.
+function tempPresetsDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'gold.json'), JSON.stringify({ label: 'Gold', config: { topColor: '#fff0a0' } }));
+  return dir;
+}
+
+test('saveUserPreset stores the look without text, output name or fonts', (t) => {
+  const dir = tempPresetsDir(t);
+  const config = {
+    text: 'KEREM', topText: 'UST', bottomText: 'ALT', out: 'x', fontFile: 'Ultra.ttf', fallbackFonts: 'Anton-Regular.ttf',
+    preset: 'gold', topColor: '#112233', glowSize: 30,
+  };
+  const preset = saveUserPreset({ label: '  Gece   Mavisi ', description: 'koyu', config }, dir);
+  assert.deepStrictEqual(preset, {
+    id: 'user/gece-mavisi',
+    label: 'Gece Mavisi',
+    description: 'koyu',
+    source: 'user',
+    config: { topColor: '#112233', glowSize: 30 },
+  });
+  assert.deepStrictEqual(findPreset('user/gece-mavisi', dir), preset);
+  assert.deepStrictEqual(listPresets(dir).map((entry) => entry.id), ['gold', 'user/gece-mavisi']);
+});
+
+test('saveUserPreset numbers ids that are already taken', (t) => {
+  const dir = tempPresetsDir(t);
+  const ids = ['Işıltı', 'ışıltı', 'IŞILTI!'].map((label) => saveUserPreset({ label, config: {} }, dir).id);
+  assert.deepStrictEqual(ids, ['user/isilti', 'user/isilti-2', 'user/isilti-3']);
+  // A user preset named like a built-in one never shadows it.
+  assert.strictEqual(saveUserPreset({ label: 'Gold', config: {} }, dir).id, 'user/gold');
+  assert.strictEqual(findPreset('gold', dir).source, 'builtin');
+});
+
+test('saveUserPreset rejects empty and overlong names', (t) => {
+  const dir = tempPresetsDir(t);
+  assert.throws(() => saveUserPreset({ label: '   ', config: {} }, dir), { statusCode: 400 });
+  assert.throws(() => saveUserPreset({ label: 'x'.repeat(81), config: {} }, dir), { statusCode: 400 });
+});
+
+test('updateUserPreset renames in place and keeps fields left out', (t) => {
+  const dir = tempPresetsDir(t);
+  const { id } = saveUserPreset({ label: 'Bakir', description: 'sicak', config: { topColor: '#aa5500' } }, dir);
+  const renamed = updateUserPreset(id, { label: 'Eski Bakir' }, dir);
+  assert.deepStrictEqual(renamed, { id, label: 'Eski Bakir', description: 'sicak', source: 'user', config: { topColor: '#aa5500' } });
+  const restyled = updateUserPreset(id, { config: { text: 'YOK', glowSize: 12 } }, dir);
+  assert.deepStrictEqual(restyled.config, { glowSize: 12 });
+  assert.strictEqual(restyled.label, 'Eski Bakir');
+});
+
+test('built-in presets cannot be changed or deleted', (t) => {
+  const dir = tempPresetsDir(t);
+  assert.throws(() => updateUserPreset('gold', { label: 'Mine' }, dir), { statusCode: 403 });
+  assert.throws(() => deleteUserPreset('gold', dir), { statusCode: 403 });
+  assert.ok(fs.existsSync(path.join(dir, 'gold.json')));
+});
+
+test('path-like and unknown preset ids are not found', (t) => {
+  const dir = tempPresetsDir(t);
+  for (const id of ['user/../gold', '../gold', 'user/missing', 'user/', '']) {
+    assert.throws(() => updateUserPreset(id, { label: 'x' }, dir), { statusCode: 404 }, id);
+    assert.throws(() => deleteUserPreset(id, dir), { statusCode: 404 }, id);
+  }
+  assert.ok(fs.existsSync(path.join(dir, 'gold.json')));
+});
+
+test('deleteUserPreset removes the preset', (t) => {
+  const dir = tempPresetsDir(t);
+  const { id } = saveUserPreset({ label: 'Gecici', config: {} }, dir);
+  deleteUserPreset(id, dir);
+  assert.strictEqual(findPreset(id, dir), null);
+  assert.throws(() => deleteUserPreset(id, dir), { statusCode: 404 });
+});
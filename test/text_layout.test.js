@@ -0,0 +1,23 @@
+/**
+ * Tests for text casing and multi-line layout helpers.
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { applyTextCase } = require('../text_layout');
+
+test('upper-tr maps dotted and dotless i the Turkish way', () => {
+  assert.strictEqual(applyTextCase('kerim', 'upper-tr'), 'KERİM');
+  assert.strictEqual(applyTextCase('ılgaz', 'upper-tr'), 'ILGAZ');
+  assert.strictEqual(applyTextCase('İLKAY IŞIK', 'lower-tr'), 'ilkay ışık');
+});
+
+test('text is upper-cased without a locale by default', () => {
+  assert.strictEqual(applyTextCase('Kerim'), 'KERIM');
+  assert.strictEqual(applyTextCase('Kerim', 'upper'), 'KERIM');
+  assert.strictEqual(applyTextCase('Kerim', 'preserve'), 'Kerim');
+});
+
+test('text is normalized to NFC before casing', () => {
+  assert.strictEqual(applyTextCase('S\u0327ukru', 'preserve'), '\u015eukru');
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for the warp displacement fields.
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { ENVELOPE_MODES, envelopeField, identityField, scaleField } = require('../warp_fields');
+
+const BOUNDS = { minX: 10, minY: 5, maxX: 90, maxY: 35 };
+
+test('envelopeField returns null when bend and distortions are all zero', () => {
+  for (const style of ENVELOPE_MODES) {
+    assert.strictEqual(envelopeField(100, 40, BOUNDS, style, 0, 0, 0), null, style);
+  }
+  assert.notStrictEqual(envelopeField(100, 40, BOUNDS, 'arch', 0, 30, 0), null);
+  assert.notStrictEqual(envelopeField(100, 40, BOUNDS, 'arch', 0, 0, -30), null);
+  assert.throws(() => envelopeField(100, 40, BOUNDS, 'spiral', 50), /Unknown envelope style: spiral/);
+});
+
+test('envelopeField output holds every mapped pixel of the layer', () => {
+  for (const style of ENVELOPE_MODES) {
+    for (const bend of [-100, 50, 100]) {
+      const field = envelopeField(100, 40, BOUNDS, style, bend, 20, -20);
+      for (let y = 0; y < 40; y += 3) {
+        for (let x = 0; x < 100; x += 3) {
+          const p = field.map(x, y);
+          assert.ok(p.x >= 0 && p.x <= field.width && p.y >= 0 && p.y <= field.height, `${style} ${bend} (${x}, ${y})`);
+        }
+      }
+    }
+  }
+});
+
+test('an arch bend lifts the middle of the glyph box', () => {
+  const field = envelopeField(100, 40, BOUNDS, 'arch', 50);
+  const centre = field.map(50, 20);
+  const edge = field.map(10, 20);
+  assert.ok(centre.y < edge.y - 5, `${centre.y} vs ${edge.y}`);
+});
+
+test('scaleField maps the same points on a resized layer', () => {
+  const field = envelopeField(100, 40, BOUNDS, 'flag', 40);
+  const scaled = scaleField(field, 2);
+  assert.strictEqual(scaled.width, field.width * 2);
+  assert.strictEqual(scaled.height, field.height * 2);
+  const p = field.map(30, 12);
+  const q = scaled.map(60, 24);
+  assert.ok(Math.abs(q.x - p.x * 2) < 1e-9 && Math.abs(q.y - p.y * 2) < 1e-9);
+  assert.deepStrictEqual(identityField(7, 5).map(3, 4), { x: 3, y: 4 });
+});
@@ -0,0 +1,102 @@
+/**
+ * Multi-line text blocks.
+ *
+ * `text` is split on newlines. Every line gets its own size (`lineScale`),
+ * its alignment inside the block (`lineAlign`) and a baseline `lineHeight`
+ * times its own size below the previous one. Positions are block-relative:
+ * `x` from the block's left edge, `baselineY` from the first baseline.
+ *
+ * Casing follows `textCase`; the Turkish modes map i/I to İ/ı correctly
+ * (plain toUpperCase turns "i" into "I").
+ */
+
+const LINE_ALIGNS = ['left', 'center', 'right'];
+const ALIGN_FACTOR = { left: 0, center: 0.5, right: 1 };
+const TEXT_CASES = ['upper', 'upper-tr', 'lower-tr', 'preserve'];
+
+// NFC first, so decomposed input ("S" + combining cedilla) reaches the font
+// as the precomposed glyph ("Ş") the layout can measure and kern.
+function applyTextCase(text, textCase) {
+  const value = String(text).normalize('NFC');
+  if (textCase === 'preserve') return value;
+  if (textCase === 'upper-tr') return value.toLocaleUpperCase('tr-TR');
+  if (textCase === 'lower-tr') return value.toLocaleLowerCase('tr-TR');
+  return value.toUpperCase();
+}
+
+function splitLines(text) {
+  return String(text).split(/\r\n|\r|\n/);
+}
+
+function parseLineAlign(item) {
+  return LINE_ALIGNS.includes(item) ? item : null;
+}
+
+function parseLineScale(item) {
+  const num = Number(item);
+  if (item === '' || !Number.isFinite(num) || num <= 0) return null;
+  return Math.max(0.1, Math.min(4, num));
+}
+
+// "left, right" -> one entry per line; lines past the end of the list reuse
+// its last entry, invalid entries are ignored.
+function expandLineList(value, count, parseItem, fallback) {
+  const items = String(value === undefined || value === null ? '' : value)
+    .split(',')
+    .map((item) => parseItem(item.trim()))
+    .filter((item) => item !== null);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    out.push(items.length > 0 ? items[Math.min(i, items.length - 1)] : fallback);
+  }
+  return out;
+}
+
+/**
+ * Lay out cfg.text as a block. `measureLine(text, size, spacing)` returns the
+ * advance width of one line; `scaleY` stretches the line steps for renderers
+ * that draw glyphs taller than their font size.
+ */
+function layoutTextBlock(cfg, measureLine, scaleY = 1) {
+  const texts = splitLines(applyTextCase(cfg.text, cfg.textCase));
+  const aligns = expandLineList(cfg.lineAlign, texts.length, parseLineAlign, 'center');
+  const scales = expandLineList(cfg.lineScale, texts.length, parseLineScale, 1);
+
+  const lines = texts.map((text, i) => {
+    const size = cfg.size * scales[i];
+    const spacing = size * cfg.letterSpacing;
+    return {
+      text,
+      align: aligns[i],
+      scale: scales[i],
+      size,
+      spacing,
+      width: text ? measureLine(text, size, spacing) : 0,
+      x: 0,
+      baselineY: 0,
+    };
+  });
+
+  const width = lines.reduce((max, line) => Math.max(max, line.width), 0);
+  let baselineY = 0;
+  lines.forEach((line, i) => {
+    if (i > 0) baselineY += cfg.lineHeight * line.size * scaleY;
+    line.baselineY = baselineY;
+    line.x = (width - line.width) * ALIGN_FACTOR[line.align];
+  });
+
+  return {
+    lines,
+    width,
+    // First to last baseline.
+    height: baselineY,
+    maxSize: lines.reduce((max, line) => Math.max(max, line.size), 0),
+  };
+}
+
+module.exports = {
+  TEXT_CASES,
+  applyTextCase,
+  layoutTextBlock,
+  splitLines,
+};
@@ -9,7 +9,19 @@ const presetBtn = document.getElementById('presetBtn');
 const resetBtn = document.getElementById('resetBtn');
 const autoRenderEl = document.getElementById('autoRender');
 const presetSelectEl = document.getElementById('presetSelect');
+const presetNameInputEl = document.getElementById('presetNameInput');
+const presetDescriptionInputEl = document.getElementById('presetDescriptionInput');
+const presetSaveBtn = document.getElementById('presetSaveBtn');
+const presetUpdateBtn = document.getElementById('presetUpdateBtn');
+const presetRenameBtn = document.getElementById('presetRenameBtn');
+const presetDeleteBtn = document.getElementById('presetDeleteBtn');
+const presetManagerInfoEl = document.getElementById('presetManagerInfo');
+const presetAslBtn = document.getElementById('presetAslBtn');
+const presetAslInputEl = document.getElementById('presetAslInput');
 const curveModeEl = form.querySelector('[data-key="curveMode"]');
+const warpBackendEl = form.querySelector('[data-key="warpBackend"]');
+const warpPipelineEl = form.querySelector('[data-key="warpPipeline"]');
+const backgroundEl = document.getElementById('backgroundSelect');
 const curveEl = form.querySelector('[data-key="curve"]');
 const curveDownBtn = document.getElementById('curveDownBtn');
 const curveResetBtn = document.getElementById('curveResetBtn');
@@ -20,8 +32,19 @@ const compareFontListEl = document.getElementById('compareFontList');
 const compareSelectAllBtn = document.getElementById('compareSelectAllBtn');
 const compareSelectNoneBtn = document.getElementById('compareSelectNoneBtn');
 const compareRefreshBtn = document.getElementById('compareRefreshBtn');
+const fontUploadBtn = document.getElementById('fontUploadBtn');
+const fontUploadInputEl = document.getElementById('fontUploadInput');
 const compareIncludeAutoEl = document.getElementById('compareIncludeAuto');
 const compareSelectionInfoEl = document.getElementById('compareSelectionInfo');
+const effectsInputEl = form.querySelector('[data-key="effects"]');
+const effectListEl = document.getElementById('effectList');
+const effectAddSelectEl = document.getElementById('effectAddSelect');
+const effectAddBtn = document.getElementById('effectAddBtn');
+const gradientStopsInputEl = form.querySelector('[data-key="gradientStops"]');
+const gradientPreviewEl = document.getElementById('gradientPreview');
+const gradientStopListEl = document.getElementById('gradientStopList');
+const gradientStopAddBtn = document.getElementById('gradientStopAddBtn');
+const gradientResetBtn = document.getElementById('gradientResetBtn');
 
 const fieldNodes = Array.from(form.querySelectorAll('[data-key]'));
 let renderTimer = null;
@@ -29,17 +52,55 @@ let stampTimer = null;
 let isRendering = false;
 let renderCount = 0;
 let availableCompareFonts = [];
+let presetCatalog = [];
+// Layer effects, bottom to top; the hidden `effects` field carries them as JSON.
+let effectStack = [];
+let effectTypes = {};
+let blendModes = ['normal'];
+// Chrome gradient stops; empty means the ramp from the three colors. The
+// hidden `gradientStops` field carries them as JSON.
+let gradientStops = [];
+let draggedStopIndex = -1;
 const MAX_COMPARE_FONTS = 12;
 const CURVE_STEP = 8;
 
-const intKeys = new Set(['width', 'height', 'size', 'curve', 'glowSize', 'strokeSize', 'bevelSize', 'extrudeDepth']);
+const intKeys = new Set([
+  'width', 'height', 'size', 'curve',
+  'meshCols', 'meshRows', 'envelopeBend', 'envelopeHDistortion', 'envelopeVDistortion',
+  'badgeRadius', 'badgeRingWidth', 'arcRadius',
+]);
 const floatKeys = new Set([
-  'bend', 'letterSpacing', 'glowOpacity', 'apexYRatio', 'verticalOffset',
-  'gradientOpacity', 'bevelHighlightOpacity', 'bevelShadowOpacity', 'topShadowOpacity',
-  'extrudeOpacity', 'renderScale', 'rotateFactor', 'edge3dStrength',
-  'warpStartRatio', 'warpPower',
+  'bend', 'letterSpacing', 'lineHeight', 'apexYRatio', 'verticalOffset',
+  'renderScale', 'rotateFactor',
+  'warpStartRatio', 'warpPower', 'textPathOffset', 'badgeStartAngle', 'badgeEndAngle',
+  'lightAngle', 'lightAltitude', 'gradientAngle',
 ]);
 const numericKeys = new Set([...intKeys, ...floatKeys]);
+const envelopeModes = new Set([
+  'arch', 'arcLower', 'arcUpper', 'bulge', 'shellLower', 'shellUpper', 'flag',
+  'wave', 'fish', 'rise', 'fisheye', 'inflate', 'squeeze', 'twist',
+]);
+const EFFECT_PARAM_LABELS = {
+  opacity: 'Opacity',
+  depth: 'Depth',
+  strength: 'Strength',
+  size: 'Size',
+  width: 'Width',
+  highlight: 'Highlight',
+  shadow: 'Shadow',
+  style: 'Style',
+  direction: 'Direction',
+  soften: 'Soften',
+  angle: 'Angle',
+  altitude: 'Altitude',
+  contour: 'Gloss Contour',
+  color: 'Color',
+  source: 'Source',
+  distance: 'Distance',
+  choke: 'Choke',
+  spread: 'Spread',
+  globalLight: 'Global Light',
+};
 
 const fieldByKey = {};
 fieldNodes.forEach((node) => {
@@ -58,7 +119,8 @@ function buildCommandPreview(payload) {
   const parts = ['node generate_clarendon_arc.js'];
   for (const [key, value] of Object.entries(payload)) {
     if (value === '' || value === null || typeof value === 'undefined') continue;
-    parts.push(`--${key} ${shellQuote(value)}`);
+    const text = typeof value === 'object' ? JSON.stringify(value) : value;
+    parts.push(`--${key} ${shellQuote(text)}`);
   }
   return parts.join(' ');
 }
@@ -98,24 +160,54 @@ function renderStampRows(config, items) {
   }).join('');
 }
 
+// The server registers every font under an internal family; show the face
+// it actually drew with.
+function fontLabel(font) {
+  return font.face && font.face.name ? font.face.name : font.family;
+}
+
+function effectLabel(type) {
+  return effectTypes[type] ? effectTypes[type].label : type;
+}
+
+function renderStampEffects(effects) {
+  if (!Array.isArray(effects)) return '';
+  const names = effects.filter((effect) => effect.enabled).map((effect) => effectLabel(effect.type));
+  return `<div class="stamp-meta">efektler: ${escapeHtml(names.join(' > ') || '-')}</div>`;
+}
+
+function renderStampWarnings(warnings) {
+  if (!Array.isArray(warnings) || warnings.length === 0) return '';
+  const items = warnings.map((warning) => `<li>${escapeHtml(warning)}</li>`).join('');
+  return `<ul class="stamp-warnings">${items}</ul>`;
+}
+
+function warningNote(data) {
+  const count = data && Array.isArray(data.warnings) ? data.warnings.length : 0;
+  return count > 0 ? ` | Uyari: ${count} glif` : '';
+}
+
 function showRenderStamp(data) {
   if (!renderStampEl) return;
   renderCount += 1;
   const now = new Date();
   const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}`;
   const cfg = data && data.config ? data.config : {};
-  const fontFamily = data && data.font ? data.font.family : '-';
+  const fontFamily = data && data.font ? fontLabel(data.font) : '-';
   renderStampEl.innerHTML = `
 <div class="stamp-head">Render #${renderCount} <span class="stamp-time">${time}</span></div>
 <div class="stamp-meta">out: ${escapeHtml(formatValue(cfg.out || '-'))} | font: ${escapeHtml(fontFamily)}</div>
+${renderStampEffects(cfg.effects)}
+${renderStampWarnings(data && data.warnings)}
 <div class="stamp-grid">
   ${renderStampRows(cfg, [
-    ['Curve', 'curveMode'], ['Curve Scope', 'curveScope'], ['Curve Amt', 'curve'], ['Preset', 'preset'], ['Size', 'size'], ['Scale', 'renderScale'],
-    ['Top', 'topColor'], ['Mid', 'midColor'], ['Bottom', 'bottomColor'], ['Outline', 'outlineColor'], ['Glow', 'glowColor'],
-    ['Gradient', 'gradientOpacity'], ['BevelHi', 'bevelHighlightOpacity'], ['BevelLow', 'bevelShadowOpacity'], ['TopLow', 'topShadowOpacity'],
-    ['Glow Op', 'glowOpacity'], ['Glow Size', 'glowSize'], ['Stroke', 'strokeSize'], ['Letter Spacing', 'letterSpacing'],
-    ['Extrude D', 'extrudeDepth'], ['Extrude Op', 'extrudeOpacity'], ['Edge3D', 'edge3dStrength'], ['Bend', 'bend'], ['Rotate', 'rotateFactor'],
+    ['Curve', 'curveMode'], ['Curve Scope', 'curveScope'], ['Curve Amt', 'curve'], ['Env Bend', 'envelopeBend'], ['Env H', 'envelopeHDistortion'], ['Env V', 'envelopeVDistortion'], ['Path Align', 'textPathAlign'], ['Path Offset', 'textPathOffset'], ['Badge R', 'badgeRadius'], ['Badge Start', 'badgeStartAngle'], ['Badge End', 'badgeEndAngle'], ['Ring', 'badgeRingWidth'], ['Preset', 'preset'], ['Size', 'size'], ['Scale', 'renderScale'],
+    ['Top', 'topColor'], ['Mid', 'midColor'], ['Bottom', 'bottomColor'], ['Outline', 'outlineColor'], ['Glow', 'glowColor'], ['Grad Angle', 'gradientAngle'], ['Space', 'colorSpace'], ['Light', 'lightAngle'], ['Altitude', 'lightAltitude'],
+    ['Letter Spacing', 'letterSpacing'], ['Kerning', 'kerning'], ['Fallback', 'fallbackFonts'], ['Case', 'textCase'], ['Line H', 'lineHeight'], ['Line Align', 'lineAlign'], ['Line Scale', 'lineScale'],
+    ['Bend', 'bend'], ['Arc R', 'arcRadius'], ['Arc Dir', 'arcDirection'], ['Rotate', 'rotateFactor'],
     ['Warp Start', 'warpStartRatio'], ['Warp Power', 'warpPower'], ['Warp Dir', 'warpDirection'],
+    ['Pipeline', 'warpPipeline'], ['Backend', 'warpBackend'], ['Mesh Cols', 'meshCols'], ['Mesh Rows', 'meshRows'], ['Sampling', 'meshSampling'],
+    ['Background', 'background'], ['Format', 'format'],
   ])}
 </div>
 `;
@@ -145,9 +237,11 @@ function appendCompareCard(data, index) {
   const card = document.createElement('article');
   card.className = 'compare-card';
   const title = data.requestFont || '(auto fallback)';
-  const sub = `${data.font.family} (${data.font.source})`;
+  const licenseWarning = fontLicenseWarning(findCatalogFont(data.requestFont));
+  const sub = `${fontLabel(data.font)} (${data.font.source})${warningNote(data)}${licenseWarning ? ` | ${licenseWarning}` : ''}`;
+  const imgClass = data.config && data.config.background === 'transparent' ? ' class="is-transparent"' : '';
   card.innerHTML = `
-<img src="${escapeHtml(data.imageUrl)}" alt="font compare ${index + 1}">
+<img src="${escapeHtml(data.imageUrl)}"${imgClass} alt="font compare ${index + 1}">
 <div class="compare-meta">
   <div class="compare-title">${escapeHtml(title)}</div>
   <div class="compare-sub">${escapeHtml(sub)}</div>
@@ -184,6 +278,29 @@ function updateCompareSelectionInfo() {
   compareSelectionInfoEl.textContent = `${count} secili${autoTxt}`;
 }
 
+function findCatalogFont(file) {
+  const wanted = String(file || '').toLowerCase();
+  return availableCompareFonts.find((font) => font.file.toLowerCase() === wanted) || null;
+}
+
+function fontLicenseWarning(font) {
+  return font && font.commercialUse === 'restricted' ? 'Lisans ticari kullanima izin vermiyor' : '';
+}
+
+function fontMetaLine(font) {
+  if (font.error) return `Okunamadi: ${font.error}`;
+  const parts = [];
+  if (font.weight) parts.push(`w${font.weight}`);
+  if (font.glyphCount) parts.push(`${font.glyphCount} glif`);
+  if (font.version) parts.push(font.version.replace(/^Version\s*/i, 'v'));
+  parts.push(`lisans: ${font.commercialUse === 'allowed' ? 'acik' : font.commercialUse === 'restricted' ? 'kisitli' : 'bilinmiyor'}`);
+  return parts.join(' | ');
+}
+
+function fontPreviewUrl(font) {
+  return `/api/fonts/${encodeURIComponent(font.file)}/preview`;
+}
+
 function renderCompareFontPicker(fonts = [], selected = []) {
   if (!compareFontListEl) return;
   const selectedSet = new Set(selected.map((f) => String(f).toLowerCase()));
@@ -194,11 +311,19 @@ function renderCompareFontPicker(fonts = [], selected = []) {
   }
 
   const html = fonts.map((font) => {
-    const checked = selectedSet.has(String(font).toLowerCase()) ? ' checked' : '';
+    const checked = selectedSet.has(font.file.toLowerCase()) && !font.error ? ' checked' : '';
+    const disabled = font.error ? ' disabled' : '';
+    const warning = fontLicenseWarning(font);
+    const title = [font.copyright, font.license].filter(Boolean).join('\n');
     return `
-<label class="compare-font-item">
-  <input type="checkbox" data-font="${escapeHtml(font)}"${checked}>
-  <span>${escapeHtml(font)}</span>
+<label class="compare-font-item${warning ? ' is-restricted' : ''}${font.error ? ' is-broken' : ''}" title="${escapeHtml(title)}">
+  <input type="checkbox" data-font="${escapeHtml(font.file)}"${checked}${disabled}>
+  <span class="compare-font-info">
+    <span class="compare-font-name">${escapeHtml(font.name)} <span class="compare-font-file">${escapeHtml(font.file)}</span></span>
+    ${font.error ? '' : `<img class="compare-font-preview" src="${escapeHtml(fontPreviewUrl(font))}" alt="" loading="lazy">`}
+    <span class="compare-font-meta">${escapeHtml(fontMetaLine(font))}</span>
+    ${warning ? `<span class="compare-font-warning">${escapeHtml(warning)}</span>` : ''}
+  </span>
 </label>`;
   }).join('');
   compareFontListEl.innerHTML = html;
@@ -213,15 +338,57 @@ function renderMainFontSelect(fonts = [], selected = '') {
   const wanted = String(selected || '').trim();
   const options = ['<option value="">(auto fallback)</option>'];
   for (const font of fonts) {
-    const sel = wanted === font ? ' selected' : '';
-    options.push(`<option value="${escapeHtml(font)}"${sel}>${escapeHtml(font)}</option>`);
+    const sel = wanted === font.file ? ' selected' : '';
+    let label = `${font.name} (${font.file})`;
+    if (font.error) label += ' - okunamadi';
+    else if (fontLicenseWarning(font)) label += ' - ticari kullanim yok';
+    options.push(`<option value="${escapeHtml(font.file)}"${sel}>${escapeHtml(label)}</option>`);
   }
-  if (wanted && !fonts.includes(wanted)) {
+  if (wanted && !fonts.some((font) => font.file === wanted)) {
     options.push(`<option value="${escapeHtml(wanted)}" selected>${escapeHtml(wanted)} (bulunamadi)</option>`);
   }
   mainFontSelectEl.innerHTML = options.join('');
 }
 
+function presetOption(preset, wanted) {
+  const sel = wanted === preset.id ? ' selected' : '';
+  if (preset.error) {
+    return `<option value="${escapeHtml(preset.id)}" title="${escapeHtml(preset.error)}" disabled${sel}>${escapeHtml(preset.label)} - okunamadi</option>`;
+  }
+  return `<option value="${escapeHtml(preset.id)}" title="${escapeHtml(preset.description)}"${sel}>${escapeHtml(preset.label)}</option>`;
+}
+
+function renderPresetSelect(presets = [], selected = '') {
+  if (!presetSelectEl) return;
+  const wanted = String(selected || '');
+  const options = ['<option value="">custom</option>'];
+  options.push(...presets.filter((preset) => preset.source !== 'user').map((preset) => presetOption(preset, wanted)));
+  const userPresets = presets.filter((preset) => preset.source === 'user');
+  if (userPresets.length > 0) {
+    options.push(`<optgroup label="Kullanici">${userPresets.map((preset) => presetOption(preset, wanted)).join('')}</optgroup>`);
+  }
+  presetSelectEl.innerHTML = options.join('');
+}
+
+function selectedUserPreset() {
+  if (!presetSelectEl) return null;
+  return presetCatalog.find((preset) => preset.id === presetSelectEl.value && preset.source === 'user' && !preset.error) || null;
+}
+
+// Changing, renaming and deleting only apply to presets saved from here.
+function updatePresetManagerState() {
+  const preset = selectedUserPreset();
+  [presetUpdateBtn, presetRenameBtn, presetDeleteBtn].forEach((button) => {
+    if (button) button.disabled = !preset;
+  });
+  if (presetNameInputEl) presetNameInputEl.value = preset ? preset.label : '';
+  if (presetDescriptionInputEl) presetDescriptionInputEl.value = preset ? preset.description : '';
+  if (!presetManagerInfoEl) return;
+  presetManagerInfoEl.textContent = preset
+    ? `Secili kullanici preset'i: ${preset.label}`
+    : "Yerlesik preset'ler salt okunur; ayarlari 'Yeni Kaydet' ile kendi preset'in olarak kaydet.";
+}
+
 function setNodeInvalid(node, invalid, message = '') {
   if (!node) return;
   node.classList.toggle('is-invalid', invalid);
@@ -238,23 +405,21 @@ function validateNumericNode(node) {
     return true;
   }
 
-  const value = parseLocaleNumber(node.value);
-  if (!Number.isFinite(value)) {
-    setNodeInvalid(node, true, 'Gecerli bir sayi girin.');
-    return false;
-  }
+  const error = numericRangeError(node);
+  setNodeInvalid(node, Boolean(error), error);
+  return !error;
+}
 
+function numericRangeError(node) {
+  const value = parseLocaleNumber(node.value);
+  if (!Number.isFinite(value)) return 'Gecerli bir sayi girin.';
   if (node.min !== '' && Number.isFinite(parseLocaleNumber(node.min)) && value < parseLocaleNumber(node.min)) {
-    setNodeInvalid(node, true, `Min: ${node.min}`);
-    return false;
+    return `Min: ${node.min}`;
   }
   if (node.max !== '' && Number.isFinite(parseLocaleNumber(node.max)) && value > parseLocaleNumber(node.max)) {
-    setNodeInvalid(node, true, `Max: ${node.max}`);
-    return false;
+    return `Max: ${node.max}`;
   }
-
-  setNodeInvalid(node, false);
-  return true;
+  return '';
 }
 
 function validateAllFields(silent = false) {
@@ -262,6 +427,8 @@ function validateAllFields(silent = false) {
   fieldNodes.forEach((node) => {
     if (!validateNumericNode(node)) ok = false;
   });
+  if (effectListEl && effectListEl.querySelector('.is-invalid')) ok = false;
+  if (gradientStopListEl && gradientStopListEl.querySelector('.is-invalid')) ok = false;
   if (!ok && !silent) setStatus('Hata: Kirmizi alanlarda gecersiz deger var.');
   return ok;
 }
@@ -291,14 +458,295 @@ function setFormFromConfig(config) {
   for (const node of fieldNodes) {
     const key = node.dataset.key;
     if (!key) continue;
+    if (key === 'effects') {
+      setEffectStack(Array.isArray(config.effects) ? config.effects : []);
+      continue;
+    }
+    if (key === 'gradientStops') {
+      setGradientStops(Array.isArray(config.gradientStops) ? config.gradientStops : []);
+      continue;
+    }
     if (typeof config[key] !== 'undefined' && config[key] !== null) {
       node.value = config[key];
     }
   }
   updateCurveFieldState();
+  updateBackgroundFieldState();
   validateAllFields(true);
 }
 
+function setEffectStack(effects) {
+  effectStack = effects.map((effect) => ({ ...effect }));
+  renderEffectCards();
+}
+
+function syncEffectsField() {
+  if (effectsInputEl) effectsInputEl.value = JSON.stringify(effectStack);
+}
+
+function effectParamField(effect, index, key, range) {
+  const label = escapeHtml(EFFECT_PARAM_LABELS[key] || key);
+  if (range.values) {
+    const options = range.values
+      .map((value) => `<option value="${escapeHtml(value)}"${value === effect[key] ? ' selected' : ''}>${escapeHtml(value)}</option>`)
+      .join('');
+    return `
+<label>${label}
+  <select data-effect-index="${index}" data-effect-param="${key}">${options}</select>
+</label>`;
+  }
+  if (range.flag) {
+    return `
+<label class="compare-inline">
+  <input type="checkbox" data-effect-index="${index}" data-effect-param="${key}"${effect[key] ? ' checked' : ''}>
+  ${label}
+</label>`;
+  }
+  if (range.color) {
+    return `
+<label>${label}
+  <input type="color" data-effect-index="${index}" data-effect-param="${key}" value="${escapeHtml(effect[key])}">
+</label>`;
+  }
+  const step = range.integer || range.max > 2 ? 1 : 0.01;
+  // The global light overrides the effect's own angle and altitude.
+  const disabled = effect.globalLight && (key === 'angle' || key === 'altitude') ? ' disabled' : '';
+  return `
+<label>${label}
+  <input type="number" data-effect-index="${index}" data-effect-param="${key}" min="${range.min}" max="${range.max}" step="${step}" value="${escapeHtml(formatValue(effect[key]))}"${disabled}>
+</label>`;
+}
+
+function renderEffectCards() {
+  syncEffectsField();
+  if (!effectListEl) return;
+  if (effectStack.length === 0) {
+    effectListEl.innerHTML = '<div class="compare-selection-info">Efekt yok; yazi duz dolgu ile cizilir.</div>';
+    return;
+  }
+  effectListEl.innerHTML = effectStack.map((effect, index) => {
+    const spec = effectTypes[effect.type] || { params: {} };
+    const blendOptions = blendModes
+      .map((mode) => `<option value="${escapeHtml(mode)}"${mode === effect.blend ? ' selected' : ''}>${escapeHtml(mode)}</option>`)
+      .join('');
+    const params = Object.entries(spec.params)
+      .map(([key, range]) => effectParamField(effect, index, key, range))
+      .join('');
+    return `
+<article class="effect-card${effect.enabled ? '' : ' is-disabled'}">
+  <div class="effect-card-head">
+    <label class="compare-inline">
+      <input type="checkbox" data-effect-index="${index}" data-effect-param="enabled"${effect.enabled ? ' checked' : ''}>
+      ${escapeHtml(effectLabel(effect.type))}
+    </label>
+    <div class="effect-card-actions">
+      <button type="button" data-effect-index="${index}" data-effect-action="up" title="Yukari tasi"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+      <button type="button" data-effect-index="${index}" data-effect-action="down" title="Asagi tasi"${index === effectStack.length - 1 ? ' disabled' : ''}>&darr;</button>
+      <button type="button" data-effect-index="${index}" data-effect-action="remove" title="Kaldir">&times;</button>
+    </div>
+  </div>
+  <div class="effect-card-params">
+    <label>Blend
+      <select data-effect-index="${index}" data-effect-param="blend">${blendOptions}</select>
+    </label>
+    ${effectParamField(effect, index, 'opacity', { min: 0, max: 1 })}
+    ${params}
+  </div>
+</article>`;
+  }).join('');
+}
+
+function renderEffectAddOptions() {
+  if (!effectAddSelectEl) return;
+  effectAddSelectEl.innerHTML = Object.entries(effectTypes)
+    .map(([type, spec]) => `<option value="${escapeHtml(type)}">${escapeHtml(spec.label)}</option>`)
+    .join('');
+}
+
+function updateEffectFromNode(node) {
+  const effect = effectStack[Number(node.dataset.effectIndex)];
+  const key = node.dataset.effectParam;
+  if (!effect || !key) return false;
+  if (key === 'enabled') {
+    effect.enabled = node.checked;
+    node.closest('.effect-card').classList.toggle('is-disabled', !node.checked);
+  } else if (node.type === 'checkbox') {
+    effect[key] = node.checked;
+    if (key === 'globalLight') renderEffectCards();
+  } else if (node.tagName === 'SELECT' || node.type === 'color') {
+    effect[key] = node.value;
+  } else {
+    const error = numericRangeError(node);
+    setNodeInvalid(node, Boolean(error), error);
+    if (error) return false;
+    effect[key] = parseLocaleNumber(node.value);
+  }
+  syncEffectsField();
+  return true;
+}
+
+function moveEffect(index, action) {
+  if (action === 'remove') {
+    effectStack.splice(index, 1);
+  } else {
+    const target = action === 'up' ? index - 1 : index + 1;
+    if (target < 0 || target >= effectStack.length) return;
+    [effectStack[index], effectStack[target]] = [effectStack[target], effectStack[index]];
+  }
+  renderEffectCards();
+}
+
+function mixHexColor(a, b, t) {
+  const from = a.match(/[0-9a-f]{2}/gi).map((part) => parseInt(part, 16));
+  const to = b.match(/[0-9a-f]{2}/gi).map((part) => parseInt(part, 16));
+  return `#${from.map((value, i) => Math.round(value + (to[i] - value) * t).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// The default ramp from the three colors, as getChromeStops in
+// generate_clarendon_arc.js builds it (mixed in sRGB here; the preview
+// interpolates between the stops in the selected color space).
+function colorRampStops() {
+  const top = fieldByKey.topColor.value;
+  const mid = fieldByKey.midColor.value;
+  const bottom = fieldByKey.bottomColor.value;
+  return [
+    [0.00, top],
+    [0.14, mixHexColor(top, mid, 0.35)],
+    [0.28, mixHexColor(top, mid, 0.58)],
+    [0.42, mid],
+    [0.54, mixHexColor(mid, top, 0.12)],
+    [0.68, mixHexColor(mid, bottom, 0.42)],
+    [0.82, mixHexColor(bottom, top, 0.15)],
+    [0.92, mixHexColor(bottom, '#000000', 0.12)],
+    [1.00, mixHexColor(bottom, '#000000', 0.22)],
+  ].map(([position, color]) => ({ position, color, alpha: 1 }));
+}
+
+function shownGradientStops() {
+  return gradientStops.length > 0 ? gradientStops : colorRampStops();
+}
+
+// Editing the ramp turns it into explicit stops.
+function ensureExplicitStops() {
+  if (gradientStops.length === 0) gradientStops = colorRampStops();
+}
+
+function sortGradientStops() {
+  gradientStops.sort((a, b) => a.position - b.position);
+}
+
+function stopCssColor(stop) {
+  const [r, g, b] = stop.color.match(/[0-9a-f]{2}/gi).map((part) => parseInt(part, 16));
+  return `rgba(${r}, ${g}, ${b}, ${stop.alpha})`;
+}
+
+// Color and alpha of the ramp at `position`, for stops added in between.
+function sampleGradient(stops, position) {
+  const sorted = [...stops].sort((a, b) => a.position - b.position);
+  const after = sorted.findIndex((stop) => stop.position >= position);
+  if (after <= 0) return { ...sorted[after === 0 ? 0 : sorted.length - 1], position };
+  const a = sorted[after - 1];
+  const b = sorted[after];
+  const t = b.position > a.position ? (position - a.position) / (b.position - a.position) : 0;
+  return { position, color: mixHexColor(a.color, b.color, t), alpha: a.alpha + (b.alpha - a.alpha) * t };
+}
+
+function setGradientStops(stops) {
+  gradientStops = stops.map((stop) => ({
+    position: Number(stop.position),
+    color: stop.color,
+    alpha: typeof stop.alpha === 'undefined' ? 1 : Number(stop.alpha),
+  }));
+  sortGradientStops();
+  renderGradientEditor();
+}
+
+// Always JSON (`[]` for the ramp), so the ramp also replaces the stops of a preset.
+function syncGradientStopsField() {
+  if (gradientStopsInputEl) gradientStopsInputEl.value = JSON.stringify(gradientStops);
+}
+
+// CSS gradient interpolation for the colorSpace option.
+const CSS_COLOR_SPACES = { srgb: 'srgb', linear: 'srgb-linear', oklab: 'oklab', oklch: 'oklch' };
+
+function renderGradientPreview() {
+  if (!gradientPreviewEl) return;
+  const space = CSS_COLOR_SPACES[fieldByKey.colorSpace ? fieldByKey.colorSpace.value : 'srgb'] || 'srgb';
+  const stops = shownGradientStops();
+  const ramp = [...stops]
+    .sort((a, b) => a.position - b.position)
+    .map((stop) => `${stopCssColor(stop)} ${(stop.position * 100).toFixed(2)}%`);
+  const markers = stops.map((stop, index) => (
+    `<span class="gradient-marker" data-stop-index="${index}" style="left: ${(stop.position * 100).toFixed(2)}%; background: ${escapeHtml(stop.color)}"></span>`
+  ));
+  gradientPreviewEl.innerHTML = `<div class="gradient-preview-fill" style="background: linear-gradient(90deg in ${space}, ${ramp.join(', ')})"></div>${markers.join('')}`;
+}
+
+function renderGradientEditor() {
+  syncGradientStopsField();
+  renderGradientPreview();
+  if (!gradientStopListEl) return;
+  const stops = shownGradientStops();
+  const rows = stops.map((stop, index) => `
+<div class="gradient-stop-row">
+  <input type="number" data-stop-index="${index}" data-stop-param="position" min="0" max="100" step="1" value="${escapeHtml(formatValue(Math.round(stop.position * 1000) / 10))}" title="Konum %">
+  <input type="color" data-stop-index="${index}" data-stop-param="color" value="${escapeHtml(stop.color)}">
+  <input type="number" data-stop-index="${index}" data-stop-param="alpha" min="0" max="1" step="0.05" value="${escapeHtml(formatValue(stop.alpha))}" title="Alpha">
+  <button type="button" data-stop-index="${index}" title="Kaldir"${stops.length <= 2 ? ' disabled' : ''}>&times;</button>
+</div>`);
+  gradientStopListEl.innerHTML = `
+<div class="gradient-stop-row"><span>Position %</span><span>Color</span><span>Alpha</span><span></span></div>
+${rows.join('')}`;
+}
+
+function updateGradientStopFromNode(node) {
+  const key = node.dataset.stopParam;
+  if (!key) return false;
+  ensureExplicitStops();
+  const stop = gradientStops[Number(node.dataset.stopIndex)];
+  if (!stop) return false;
+  if (key === 'color') {
+    stop.color = node.value;
+  } else {
+    const error = numericRangeError(node);
+    setNodeInvalid(node, Boolean(error), error);
+    if (error) return false;
+    const value = parseLocaleNumber(node.value);
+    stop[key] = key === 'position' ? value / 100 : value;
+  }
+  syncGradientStopsField();
+  renderGradientPreview();
+  return true;
+}
+
+function addGradientStop(position) {
+  ensureExplicitStops();
+  const stop = sampleGradient(gradientStops, position);
+  gradientStops.push(stop);
+  sortGradientStops();
+  renderGradientEditor();
+  return stop;
+}
+
+// New stop in the middle of the widest gap.
+function addGradientStopInGap() {
+  const positions = shownGradientStops().map((stop) => stop.position).sort((a, b) => a - b);
+  let best = 0.5;
+  let widest = -1;
+  for (let i = 1; i < positions.length; i += 1) {
+    if (positions[i] - positions[i - 1] > widest) {
+      widest = positions[i] - positions[i - 1];
+      best = (positions[i] + positions[i - 1]) / 2;
+    }
+  }
+  addGradientStop(best);
+}
+
+function gradientPointerPosition(event) {
+  const rect = gradientPreviewEl.getBoundingClientRect();
+  return clamp((event.clientX - rect.left) / rect.width, 0, 1);
+}
+
 function setFieldDisabled(key, disabled) {
   const node = fieldByKey[key];
   if (!node) return;
@@ -308,22 +756,55 @@ function setFieldDisabled(key, disabled) {
 function updateCurveFieldState() {
   const mode = curveModeEl ? curveModeEl.value : 'flat';
   const isClassicArc = mode === 'arc';
+  const isPath = mode === 'path';
+  const isBadge = mode === 'badge';
   const isCurveArc = mode === 'arcCurve';
   const isWarp = mode === 'bottomWarp';
+  const isEnvelope = envelopeModes.has(mode);
+  const isVector = warpPipelineEl && warpPipelineEl.value === 'vector';
+  const usesBackend = (isWarp || isCurveArc) && !isVector;
+  // Envelopes move pixels sideways, which only the mesh backend can do.
+  const usesMesh = (isEnvelope && !isVector) || (usesBackend && warpBackendEl && warpBackendEl.value === 'mesh');
 
   setFieldDisabled('warpStartRatio', !isWarp);
   setFieldDisabled('warpPower', !isWarp);
   setFieldDisabled('warpDirection', !isWarp);
-  setFieldDisabled('bend', !isWarp);
+  setFieldDisabled('bend', !isWarp && !isClassicArc);
   setFieldDisabled('curve', !isCurveArc);
   setFieldDisabled('curveScope', !isCurveArc);
   setFieldDisabled('rotateFactor', !isClassicArc);
+  setFieldDisabled('arcRadius', !isClassicArc);
+  setFieldDisabled('arcDirection', !isClassicArc);
+  setFieldDisabled('textPath', !isPath);
+  setFieldDisabled('textPathAlign', !isPath);
+  setFieldDisabled('textPathOffset', !isPath);
+  setFieldDisabled('topText', !isBadge);
+  setFieldDisabled('bottomText', !isBadge);
+  setFieldDisabled('badgeRadius', !isBadge);
+  setFieldDisabled('badgeRingWidth', !isBadge);
+  setFieldDisabled('badgeStartAngle', !isBadge);
+  setFieldDisabled('badgeEndAngle', !isBadge);
+  setFieldDisabled('warpPipeline', !isWarp && !isCurveArc && !isEnvelope);
+  setFieldDisabled('envelopeBend', !isEnvelope);
+  setFieldDisabled('envelopeHDistortion', !isEnvelope);
+  setFieldDisabled('envelopeVDistortion', !isEnvelope);
+  setFieldDisabled('warpBackend', !usesBackend);
+  setFieldDisabled('meshCols', !usesMesh);
+  setFieldDisabled('meshRows', !usesMesh);
+  setFieldDisabled('meshSampling', !usesMesh);
   if (curveDownBtn) curveDownBtn.disabled = !isCurveArc;
   if (curveResetBtn) curveResetBtn.disabled = !isCurveArc;
   if (curveUpBtn) curveUpBtn.disabled = !isCurveArc;
   validateAllFields(true);
 }
 
+function updateBackgroundFieldState() {
+  const mode = backgroundEl ? backgroundEl.value : 'solid';
+  setFieldDisabled('backgroundColor', mode === 'transparent');
+  setFieldDisabled('backgroundGradientColor', mode !== 'gradient');
+  if (previewEl) previewEl.classList.toggle('is-transparent', mode === 'transparent');
+}
+
 function readCurveValue() {
   if (!curveEl) return 0;
   const value = parseLocaleNumber(curveEl.value);
@@ -343,6 +824,11 @@ async function loadDefaults(presetName = '') {
   const res = await fetch(`/api/defaults${qs}`);
   const data = await res.json();
   if (!data.ok) throw new Error(data.error || 'Default config okunamadi');
+  if (data.effectTypes) {
+    effectTypes = data.effectTypes;
+    renderEffectAddOptions();
+  }
+  if (Array.isArray(data.blendModes)) blendModes = data.blendModes;
   setFormFromConfig(data.config);
 }
 
@@ -366,6 +852,112 @@ async function fetchAvailableFonts() {
   return data.fonts;
 }
 
+async function fetchPresets() {
+  const res = await fetch('/api/presets');
+  const data = await res.json();
+  if (!res.ok || !data.ok || !Array.isArray(data.presets)) {
+    throw new Error(data.error || 'Preset listesi alinamadi');
+  }
+  return data.presets;
+}
+
+async function refreshPresetSelect(selected = presetSelectEl ? presetSelectEl.value : '') {
+  presetCatalog = await fetchPresets();
+  renderPresetSelect(presetCatalog, selected);
+  updatePresetManagerState();
+}
+
+async function requestPresetChange(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json();
+  if (!res.ok || !data.ok) throw new Error(data.error || 'Preset kaydedilemedi');
+  return data;
+}
+
+function presetUrl(id) {
+  return `/api/presets/${id.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function presetFormFields() {
+  return {
+    label: presetNameInputEl ? presetNameInputEl.value : '',
+    description: presetDescriptionInputEl ? presetDescriptionInputEl.value : '',
+  };
+}
+
+async function saveNewPreset() {
+  if (!validateAllFields()) return;
+  const data = await requestPresetChange('POST', '/api/presets', { ...presetFormFields(), config: getPayloadFromForm() });
+  await refreshPresetSelect(data.preset.id);
+  setStatus(`Preset kaydedildi: ${data.preset.label}`);
+}
+
+async function overwriteSelectedPreset() {
+  const preset = selectedUserPreset();
+  if (!preset || !validateAllFields()) return;
+  const data = await requestPresetChange('PUT', presetUrl(preset.id), { config: getPayloadFromForm() });
+  await refreshPresetSelect(data.preset.id);
+  setStatus(`Preset guncellendi: ${data.preset.label}`);
+}
+
+async function renameSelectedPreset() {
+  const preset = selectedUserPreset();
+  if (!preset) return;
+  const data = await requestPresetChange('PUT', presetUrl(preset.id), presetFormFields());
+  await refreshPresetSelect(data.preset.id);
+  setStatus(`Preset yeniden adlandirildi: ${data.preset.label}`);
+}
+
+async function deleteSelectedPreset() {
+  const preset = selectedUserPreset();
+  if (!preset || !window.confirm(`"${preset.label}" preset'i silinsin mi?`)) return;
+  await requestPresetChange('DELETE', presetUrl(preset.id));
+  await refreshPresetSelect('');
+  setStatus(`Preset silindi: ${preset.label}`);
+}
+
+async function uploadAsl(file) {
+  const body = new FormData();
+  body.append('style', file, file.name);
+  const res = await fetch('/api/asl', { method: 'POST', body });
+  const data = await res.json();
+  if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+// Every style becomes a user preset; the first one is loaded and what could
+// not be mapped is listed per style under the preset buttons.
+async function importAslFile(file) {
+  setStatus(`ASL ice aktariliyor: ${file.name}`);
+  const data = await uploadAsl(file);
+  const imported = data.styles.filter((style) => style.preset);
+  await refreshPresetSelect(imported[0].preset.id);
+  await applySelectedPreset();
+  const lines = data.styles.map((style) => {
+    if (style.error) return `${style.name}: alinamadi (${style.error})`;
+    return style.unmapped.length
+      ? `${style.preset.label}: eslenemeyen - ${style.unmapped.join('; ')}`
+      : `${style.preset.label}: tum efektler eslendi`;
+  });
+  if (presetManagerInfoEl) presetManagerInfoEl.textContent = lines.join('\n');
+  const skipped = data.styles.length - imported.length;
+  const skippedNote = skipped ? `, ${skipped} stil alinamadi` : '';
+  setStatus(`ASL ice aktarildi: ${imported.length} preset (${file.name})${skippedNote}`);
+}
+
+async function uploadFont(file) {
+  const body = new FormData();
+  body.append('font', file, file.name);
+  const res = await fetch('/api/fonts', { method: 'POST', body });
+  const data = await res.json();
+  if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
 async function refreshCompareFontsPicker(keepSelection = true) {
   const prev = keepSelection ? getSelectedCompareFonts() : [];
   const prevMain = mainFontSelectEl ? mainFontSelectEl.value : '';
@@ -373,9 +965,10 @@ async function refreshCompareFontsPicker(keepSelection = true) {
   availableCompareFonts = fonts;
   renderMainFontSelect(fonts, prevMain);
 
-  let selected = prev.filter((f) => fonts.some((x) => x.toLowerCase() === f.toLowerCase()));
+  const readable = fonts.filter((font) => !font.error).map((font) => font.file);
+  let selected = prev.filter((f) => readable.some((x) => x.toLowerCase() === f.toLowerCase()));
   if (selected.length === 0) {
-    selected = chooseCompareFonts(fonts, Math.min(8, fonts.length));
+    selected = chooseCompareFonts(readable, Math.min(8, readable.length));
   }
   renderCompareFontPicker(fonts, selected);
 }
@@ -398,7 +991,10 @@ async function renderNow() {
     }
     clearCompareResults();
     showRenderStamp(data);
-    setStatus(`Tamam: ${data.font.family} (${data.font.source})`);
+    const svgNote = data.svgUrl ? ` | SVG: ${data.svgUrl.split('?')[0]}` : '';
+    const licenseWarning = fontLicenseWarning(findCatalogFont(payload.fontFile));
+    const licenseNote = licenseWarning ? ` | ${licenseWarning}` : '';
+    setStatus(`Tamam: ${fontLabel(data.font)} (${data.font.source})${svgNote}${warningNote(data)}${licenseNote}`);
   } catch (error) {
     setStatus(`Hata: ${error.message}`);
   } finally {
@@ -511,6 +1107,106 @@ fieldNodes.forEach((node) => {
   });
 });
 
+if (effectListEl) {
+  effectListEl.addEventListener('input', (event) => {
+    if (updateEffectFromNode(event.target)) queueAutoRender();
+  });
+  effectListEl.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-effect-action]');
+    if (!button) return;
+    moveEffect(Number(button.dataset.effectIndex), button.dataset.effectAction);
+    queueAutoRender();
+  });
+}
+
+if (effectAddBtn && effectAddSelectEl) {
+  effectAddBtn.addEventListener('click', () => {
+    const spec = effectTypes[effectAddSelectEl.value];
+    if (!spec) return;
+    effectStack.push({ ...spec.defaults });
+    renderEffectCards();
+    queueAutoRender();
+  });
+}
+
+if (gradientPreviewEl) {
+  gradientPreviewEl.addEventListener('pointerdown', (event) => {
+    const marker = event.target.closest('[data-stop-index]');
+    if (marker) {
+      ensureExplicitStops();
+      draggedStopIndex = Number(marker.dataset.stopIndex);
+    } else {
+      // A click on the bar adds a stop there and keeps dragging it.
+      draggedStopIndex = gradientStops.indexOf(addGradientStop(gradientPointerPosition(event)));
+    }
+    gradientPreviewEl.setPointerCapture(event.pointerId);
+    event.preventDefault();
+  });
+  gradientPreviewEl.addEventListener('pointermove', (event) => {
+    const stop = gradientStops[draggedStopIndex];
+    if (!stop) return;
+    stop.position = Math.round(gradientPointerPosition(event) * 1000) / 1000;
+    renderGradientEditor();
+  });
+  const endDrag = () => {
+    if (draggedStopIndex < 0) return;
+    draggedStopIndex = -1;
+    sortGradientStops();
+    renderGradientEditor();
+    queueAutoRender();
+  };
+  gradientPreviewEl.addEventListener('pointerup', endDrag);
+  gradientPreviewEl.addEventListener('pointercancel', endDrag);
+}
+
+if (gradientStopListEl) {
+  gradientStopListEl.addEventListener('input', (event) => {
+    if (updateGradientStopFromNode(event.target)) queueAutoRender();
+  });
+  // Positions settle into order once an edit is done, not while typing.
+  gradientStopListEl.addEventListener('change', (event) => {
+    if (event.target.dataset.stopParam !== 'position' || event.target.classList.contains('is-invalid')) return;
+    sortGradientStops();
+    renderGradientEditor();
+  });
+  gradientStopListEl.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-stop-index]');
+    if (!button) return;
+    ensureExplicitStops();
+    if (gradientStops.length <= 2) return;
+    gradientStops.splice(Number(button.dataset.stopIndex), 1);
+    renderGradientEditor();
+    queueAutoRender();
+  });
+}
+
+if (gradientStopAddBtn) {
+  gradientStopAddBtn.addEventListener('click', () => {
+    addGradientStopInGap();
+    queueAutoRender();
+  });
+}
+
+if (gradientResetBtn) {
+  gradientResetBtn.addEventListener('click', () => {
+    gradientStops = [];
+    renderGradientEditor();
+    queueAutoRender();
+  });
+}
+
+// The ramp preview follows the three colors while no stops are set.
+['topColor', 'midColor', 'bottomColor'].forEach((key) => {
+  if (!fieldByKey[key]) return;
+  fieldByKey[key].addEventListener('input', () => {
+    if (gradientStops.length === 0) renderGradientEditor();
+  });
+});
+
+if (fieldByKey.colorSpace) {
+  fieldByKey.colorSpace.addEventListener('change', renderGradientPreview);
+}
+
 if (curveModeEl) {
   curveModeEl.addEventListener('change', () => {
     updateCurveFieldState();
@@ -518,6 +1214,19 @@ if (curveModeEl) {
   });
 }
 
+[warpPipelineEl, warpBackendEl].forEach((node) => {
+  if (!node) return;
+  node.addEventListener('change', () => {
+    updateCurveFieldState();
+  });
+});
+
+if (backgroundEl) {
+  backgroundEl.addEventListener('change', () => {
+    updateBackgroundFieldState();
+  });
+}
+
 if (curveDownBtn) {
   curveDownBtn.addEventListener('click', () => {
     setCurveValue(readCurveValue() - CURVE_STEP);
@@ -577,12 +1286,77 @@ if (compareRefreshBtn) {
   });
 }
 
+if (fontUploadBtn && fontUploadInputEl) {
+  fontUploadBtn.addEventListener('click', () => {
+    fontUploadInputEl.click();
+  });
+  fontUploadInputEl.addEventListener('change', async () => {
+    const file = fontUploadInputEl.files && fontUploadInputEl.files[0];
+    fontUploadInputEl.value = '';
+    if (!file) return;
+    setStatus(`Font yukleniyor: ${file.name}`);
+    try {
+      const data = await uploadFont(file);
+      await refreshCompareFontsPicker(true);
+      const node = compareFontListEl
+        && Array.from(compareFontListEl.querySelectorAll('input[type="checkbox"][data-font]'))
+          .find((item) => item.dataset.font === data.font.file);
+      if (node && !node.disabled) {
+        node.checked = true;
+        updateCompareSelectionInfo();
+      }
+      const licenseWarning = fontLicenseWarning(data.font);
+      const licenseNote = licenseWarning ? ` | ${licenseWarning}` : '';
+      const verb = data.duplicate ? 'Font zaten vardi' : 'Font yuklendi';
+      setStatus(`${verb}: ${data.font.name} (${data.font.file})${licenseNote}`);
+    } catch (error) {
+      setStatus(`Hata: ${error.message}`);
+    }
+  });
+}
+
 if (compareIncludeAutoEl) {
   compareIncludeAutoEl.addEventListener('change', () => {
     updateCompareSelectionInfo();
   });
 }
 
+if (presetSelectEl) {
+  presetSelectEl.addEventListener('change', updatePresetManagerState);
+}
+
+[
+  [presetSaveBtn, saveNewPreset],
+  [presetUpdateBtn, overwriteSelectedPreset],
+  [presetRenameBtn, renameSelectedPreset],
+  [presetDeleteBtn, deleteSelectedPreset],
+].forEach(([button, action]) => {
+  if (!button) return;
+  button.addEventListener('click', async () => {
+    try {
+      await action();
+    } catch (error) {
+      setStatus(`Hata: ${error.message}`);
+    }
+  });
+});
+
+if (presetAslBtn && presetAslInputEl) {
+  presetAslBtn.addEventListener('click', () => {
+    presetAslInputEl.click();
+  });
+  presetAslInputEl.addEventListener('change', async () => {
+    const file = presetAslInputEl.files && presetAslInputEl.files[0];
+    presetAslInputEl.value = '';
+    if (!file) return;
+    try {
+      await importAslFile(file);
+    } catch (error) {
+      setStatus(`Hata: ${error.message}`);
+    }
+  });
+}
+
 presetBtn.addEventListener('click', async () => {
   try {
     await applySelectedPreset();
@@ -608,6 +1382,7 @@ window.addEventListener('DOMContentLoaded', async () => {
   try {
     await Promise.all([
       loadDefaults(''),
+      refreshPresetSelect(),
       refreshCompareFontsPicker(false),
     ]);
     updateCurveFieldState();
@@ -0,0 +1,110 @@
+/**
+ * Path-based (vector) deformation of glyph outlines.
+ *
+ * Instead of warping rasterized layers, outline commands are pushed through a
+ * warp field before anything is drawn. Segments are first split into short
+ * pieces so the (non-linear) field is followed closely, then every piece's
+ * control points are mapped. Edges are rasterized once, after the warp, so
+ * they stay sharp at any bend.
+ */
+
+// Cubic bezier point and derivative at t.
+function cubicPoint(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  return mt * mt * mt * p0 + 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 + t * t * t * p3;
+}
+
+function cubicTangent(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  return 3 * mt * mt * (p1 - p0) + 6 * mt * t * (p2 - p1) + 3 * t * t * (p3 - p2);
+}
+
+function pieceCount(length, maxSegment) {
+  return Math.max(1, Math.min(64, Math.ceil(length / maxSegment)));
+}
+
+/**
+ * Map opentype-style path commands (M/L/Q/C/Z, absolute) through `mapPoint`.
+ * Lines become chains of short lines, quadratics are raised to cubics and
+ * every curve piece keeps its own mapped control points.
+ */
+function warpPathCommands(commands, mapPoint, maxSegment = 8) {
+  const out = [];
+  let curX = 0;
+  let curY = 0;
+  let startX = 0;
+  let startY = 0;
+
+  const lineTo = (x, y) => {
+    const n = pieceCount(Math.hypot(x - curX, y - curY), maxSegment);
+    for (let i = 1; i <= n; i++) {
+      const t = i / n;
+      const p = mapPoint(curX + (x - curX) * t, curY + (y - curY) * t);
+      out.push({ type: 'L', x: p.x, y: p.y });
+    }
+    curX = x;
+    curY = y;
+  };
+
+  const cubicTo = (x1, y1, x2, y2, x, y) => {
+    const hull = Math.hypot(x1 - curX, y1 - curY) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x - x2, y - y2);
+    const n = pieceCount(hull, maxSegment);
+    const x0 = curX;
+    const y0 = curY;
+    for (let i = 0; i < n; i++) {
+      const t0 = i / n;
+      const t1 = (i + 1) / n;
+      const k = (t1 - t0) / 3;
+      const ax = cubicPoint(x0, x1, x2, x, t0);
+      const ay = cubicPoint(y0, y1, y2, y, t0);
+      const bx = cubicPoint(x0, x1, x2, x, t1);
+      const by = cubicPoint(y0, y1, y2, y, t1);
+      const c1 = mapPoint(ax + k * cubicTangent(x0, x1, x2, x, t0), ay + k * cubicTangent(y0, y1, y2, y, t0));
+      const c2 = mapPoint(bx - k * cubicTangent(x0, x1, x2, x, t1), by - k * cubicTangent(y0, y1, y2, y, t1));
+      const end = mapPoint(bx, by);
+      out.push({ type: 'C', x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y, x: end.x, y: end.y });
+    }
+    curX = x;
+    curY = y;
+  };
+
+  for (const cmd of commands) {
+    if (cmd.type === 'M') {
+      const p = mapPoint(cmd.x, cmd.y);
+      out.push({ type: 'M', x: p.x, y: p.y });
+      curX = startX = cmd.x;
+      curY = startY = cmd.y;
+    } else if (cmd.type === 'L') {
+      lineTo(cmd.x, cmd.y);
+    } else if (cmd.type === 'Q') {
+      cubicTo(
+        curX + (2 / 3) * (cmd.x1 - curX), curY + (2 / 3) * (cmd.y1 - curY),
+        cmd.x + (2 / 3) * (cmd.x1 - cmd.x), cmd.y + (2 / 3) * (cmd.y1 - cmd.y),
+        cmd.x, cmd.y
+      );
+    } else if (cmd.type === 'C') {
+      cubicTo(cmd.x1, cmd.y1, cmd.x2, cmd.y2, cmd.x, cmd.y);
+    } else if (cmd.type === 'Z') {
+      // The implicit closing edge bends too, so trace it explicitly.
+      if (curX !== startX || curY !== startY) lineTo(startX, startY);
+      out.push({ type: 'Z' });
+    }
+  }
+  return out;
+}
+
+function tracePathCommands(ctx, commands) {
+  ctx.beginPath();
+  for (const cmd of commands) {
+    if (cmd.type === 'M') ctx.moveTo(cmd.x, cmd.y);
+    else if (cmd.type === 'L') ctx.lineTo(cmd.x, cmd.y);
+    else if (cmd.type === 'C') ctx.bezierCurveTo(cmd.x1, cmd.y1, cmd.x2, cmd.y2, cmd.x, cmd.y);
+    else if (cmd.type === 'Q') ctx.quadraticCurveTo(cmd.x1, cmd.y1, cmd.x, cmd.y);
+    else if (cmd.type === 'Z') ctx.closePath();
+  }
+}
+
+module.exports = {
+  tracePathCommands,
+  warpPathCommands,
+};
@@ -0,0 +1,251 @@
+/**
+ * Displacement fields for the warp curve modes.
+ *
+ * Each builder returns a field object describing where a source pixel of a
+ * text layer ends up:
+ *   width, height   size of the warped output canvas
+ *   offsetY         rows added above the source so upward shifts stay visible
+ *   shiftY(x, y)    vertical displacement of source pixel (x, y)
+ *   map(x, y)       full forward map, { x, y } in output coordinates
+ *
+ * The column backend only needs `shiftY`; the mesh backend (mesh_warp.js)
+ * uses `map`, so both backends share exactly the same curve math. Envelope
+ * fields also move pixels sideways, so they have no `shiftY` and always need
+ * the mesh backend (or the vector pipeline).
+ */
+
+function parabola(x, centerX, halfWidth) {
+  const nx = (x - centerX) / halfWidth;
+  return Math.abs(nx) <= 1 ? Math.max(0, 1 - nx * nx) : 0;
+}
+
+function verticalField(w, h, extraTop, extraBottom, shiftY) {
+  return {
+    width: w,
+    height: h + extraTop + extraBottom,
+    offsetY: extraTop,
+    shiftY,
+    map: (x, y) => ({ x, y: y + extraTop + shiftY(x, y) }),
+  };
+}
+
+// Output padding for a field whose shifts stay within [minShift, maxShift].
+function paddingForShifts(minShift, maxShift) {
+  return {
+    extraTop: Math.ceil(Math.max(0, -minShift)) + 2,
+    extraBottom: Math.ceil(Math.max(0, maxShift)) + 2,
+  };
+}
+
+// Bottom rows bend along a full-width parabola; rows above startRatio stay put.
+function bottomWeightedField(w, h, bounds, bendPx, startRatio = 0.56, power = 1.2, direction = 'down') {
+  const bend = Math.max(0, bendPx);
+  const dir = direction === 'up' ? -1 : 1;
+  const extraTop = dir < 0 ? Math.ceil(bend) + 2 : 2;
+  const extraBottom = dir > 0 ? Math.ceil(bend) + 2 : 2;
+
+  const glyphTop = bounds.minY;
+  const glyphBottom = Math.max(bounds.minY + 1, bounds.maxY);
+  const startWarpY = glyphTop + (glyphBottom - glyphTop) * startRatio;
+  const warpRange = Math.max(1, glyphBottom - startWarpY);
+
+  return verticalField(w, h, extraTop, extraBottom, (x, y) => {
+    if (y <= startWarpY) return 0;
+    const t = (x / Math.max(1, w - 1)) * 2 - 1;
+    const n = Math.min(1, (y - startWarpY) / warpRange);
+    return dir * bend * (1 - t * t) * Math.pow(n, power);
+  });
+}
+
+// Whole columns lift along a parabola spanning the glyph bounds.
+function parabolicVerticalField(w, h, bounds, arcPx) {
+  const left = Math.max(0, bounds.minX);
+  const right = Math.min(w - 1, Math.max(bounds.minX + 1, bounds.maxX));
+  const centerX = (left + right) / 2;
+  const halfWidth = Math.max(1, (right - left) / 2);
+
+  let minShift = 0;
+  let maxShift = 0;
+  for (let x = 0; x < w; x++) {
+    const shift = -arcPx * parabola(x, centerX, halfWidth);
+    if (shift < minShift) minShift = shift;
+    if (shift > maxShift) maxShift = shift;
+  }
+  const { extraTop, extraBottom } = paddingForShifts(minShift, maxShift);
+
+  return verticalField(w, h, extraTop, extraBottom, (x) => -arcPx * parabola(x, centerX, halfWidth));
+}
+
+// Parabolic lift applied only below startRatio, easing in with `power`.
+function parabolicBottomOnlyField(w, h, bounds, arcPx, power = 1.7, startRatio = 0.72) {
+  const left = Math.max(0, bounds.minX);
+  const right = Math.min(w - 1, Math.max(bounds.minX + 1, bounds.maxX));
+  const top = Math.max(0, bounds.minY);
+  const bottom = Math.min(h - 1, Math.max(bounds.minY + 1, bounds.maxY));
+  const centerX = (left + right) / 2;
+  const halfWidth = Math.max(1, (right - left) / 2);
+  const glyphHeight = Math.max(1, bottom - top);
+  const startY = top + glyphHeight * Math.max(0.35, Math.min(0.9, startRatio));
+  const bendRange = Math.max(1, bottom - startY);
+  const safeArc = Math.sign(arcPx) * Math.min(Math.abs(arcPx), (bendRange * 2.2) / Math.max(1.01, power));
+
+  let minShift = 0;
+  let maxShift = 0;
+  for (let x = 0; x < w; x++) {
+    const edgeShift = -safeArc * parabola(x, centerX, halfWidth);
+    if (edgeShift < minShift) minShift = edgeShift;
+    if (edgeShift > maxShift) maxShift = edgeShift;
+  }
+  const { extraTop, extraBottom } = paddingForShifts(minShift, maxShift);
+
+  return verticalField(w, h, extraTop, extraBottom, (x, y) => {
+    if (y <= startY) return 0;
+    const curve = parabola(x, centerX, halfWidth);
+    if (curve <= 0) return 0;
+    const t = Math.min(1, Math.max(0, (y - startY) / bendRange));
+    return -safeArc * curve * Math.pow(t, power);
+  });
+}
+
+// No displacement; used when a warp mode resolves to zero curve.
+function identityField(w, h) {
+  return verticalField(w, h, 0, 0, () => 0);
+}
+
+// The same field expressed on a canvas resized by `factor`.
+function scaleField(field, factor) {
+  return {
+    width: field.width * factor,
+    height: field.height * factor,
+    offsetY: (field.offsetY || 0) * factor,
+    shiftY: field.shiftY ? (x, y) => field.shiftY(x / factor, y / factor) * factor : undefined,
+    map: (x, y) => {
+      const p = field.map(x / factor, y / factor);
+      return { x: p.x * factor, y: p.y * factor };
+    },
+  };
+}
+
+function clampUnit(value) {
+  return Math.max(-1, Math.min(1, value));
+}
+
+// Photoshop-style Warp Text envelopes. Each style receives a point in
+// glyph-centered pixels (X, Y; y down) plus its normalized position u, v in
+// [-1, 1] across the glyph box (uc, vc are clamped, so glow padding outside the
+// box follows the nearest edge) and returns the warped centered point. `b` is
+// the bend in [-1, 1]; positive bends push the text up / outward.
+const ENVELOPE_STYLES = {
+  arch: ({ X, Y, uc, b, hh }) => ({ x: X, y: Y - b * 1.2 * hh * (1 - uc * uc) }),
+  arcLower: ({ X, Y, uc, vc, b, hh }) => ({ x: X, y: Y + b * 1.2 * hh * (1 - uc * uc) * ((vc + 1) / 2) }),
+  arcUpper: ({ X, Y, uc, vc, b, hh }) => ({ x: X, y: Y - b * 1.2 * hh * (1 - uc * uc) * ((1 - vc) / 2) }),
+  bulge: ({ X, Y, uc, vc, b, hh }) => ({ x: X, y: Y + b * 0.6 * hh * (1 - uc * uc) * vc }),
+  shellLower: ({ X, Y, uc, vc, b, hh }) => ({ x: X, y: Y - b * 1.2 * hh * uc * uc * ((vc + 1) / 2) }),
+  shellUpper: ({ X, Y, uc, vc, b, hh }) => ({ x: X, y: Y + b * 1.2 * hh * uc * uc * ((1 - vc) / 2) }),
+  flag: ({ X, Y, uc, b, hh }) => ({ x: X, y: Y - b * 0.6 * hh * Math.sin(Math.PI * uc) }),
+  wave: ({ X, Y, uc, vc, b, hh }) => {
+    // Top and bottom edges ride waves a quarter period apart, so the height varies.
+    const top = Math.sin(Math.PI * uc);
+    const bottom = Math.sin(Math.PI * uc - Math.PI / 2);
+    return { x: X, y: Y - b * 0.6 * hh * (top * (1 - vc) / 2 + bottom * (1 + vc) / 2) };
+  },
+  fish: ({ X, Y, uc, vc, b, hh }) => {
+    // Body swells left of center and flares again into a tail on the right.
+    const t = (uc + 1) / 2;
+    const profile = Math.sin(Math.PI * t) * (1 - t) * 2 + Math.pow(t, 4) * 0.6;
+    return { x: X, y: Y + b * 0.9 * hh * vc * profile };
+  },
+  rise: ({ X, Y, uc, b, hh }) => ({ x: X, y: Y - b * hh * Math.sin((Math.PI * uc) / 2) }),
+  fisheye: ({ X, Y, u, v, b }) => {
+    // r * (1 + c(1 - r^2)) stays monotonic (no fold at the rim) while |c| < 1/2.
+    const r2 = u * u + v * v;
+    const k = r2 < 1 ? 1 + b * 0.3 * (1 - r2) : 1;
+    return { x: X * k, y: Y * k };
+  },
+  inflate: ({ X, Y, uc, vc, b }) => ({
+    x: X * (1 + b * 0.3 * (1 - vc * vc)),
+    y: Y * (1 + b * 0.5 * (1 - uc * uc)),
+  }),
+  squeeze: ({ X, Y, uc, vc, b }) => ({
+    x: X * (1 - b * 0.35 * (1 - vc * vc)),
+    y: Y * (1 + b * 0.25 * (1 - uc * uc)),
+  }),
+  twist: ({ X, Y, b, hw }) => {
+    const r = Math.min(1, Math.hypot(X, Y) / hw);
+    const angle = b * (Math.PI / 3) * (1 - r) * (1 - r);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: X * cos - Y * sin, y: X * sin + Y * cos };
+  },
+};
+
+const ENVELOPE_MODES = Object.keys(ENVELOPE_STYLES);
+
+/**
+ * Envelope warp over the glyph box. bend / hDistortion / vDistortion are
+ * percentages in [-100, 100] like Photoshop's Warp Text dialog; the
+ * distortions add a perspective taper (right side taller for positive
+ * horizontal, bottom wider for positive vertical). Returns null when the
+ * settings produce no warp.
+ */
+function envelopeField(w, h, bounds, style, bendPct = 50, hDistortionPct = 0, vDistortionPct = 0) {
+  const styleFn = ENVELOPE_STYLES[style];
+  if (!styleFn) throw new Error(`Unknown envelope style: ${style}`);
+  const b = clampUnit(bendPct / 100);
+  const hd = clampUnit(hDistortionPct / 100);
+  const vd = clampUnit(vDistortionPct / 100);
+  if (b === 0 && hd === 0 && vd === 0) return null;
+
+  const cx = (bounds.minX + bounds.maxX) / 2;
+  const cy = (bounds.minY + bounds.maxY) / 2;
+  const hw = Math.max(1, (bounds.maxX - bounds.minX) / 2);
+  const hh = Math.max(1, (bounds.maxY - bounds.minY) / 2);
+
+  const warpPoint = (x, y) => {
+    const X = x - cx;
+    const Y = y - cy;
+    const u = X / hw;
+    const v = Y / hh;
+    const uc = clampUnit(u);
+    const vc = clampUnit(v);
+    const p = styleFn({ X, Y, u, v, uc, vc, b, hw, hh });
+    return { x: p.x * (1 + vd * 0.5 * vc), y: p.y * (1 + hd * 0.5 * uc) };
+  };
+
+  // Size the output from a grid of mapped sample points over the whole layer.
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const steps = 48;
+  for (let j = 0; j <= steps; j++) {
+    for (let i = 0; i <= steps; i++) {
+      const p = warpPoint((i / steps) * (w - 1), (j / steps) * (h - 1));
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+    }
+  }
+  const offX = 2 - minX;
+  const offY = 2 - minY;
+
+  return {
+    width: Math.ceil(maxX - minX) + 4,
+    height: Math.ceil(maxY - minY) + 4,
+    map: (x, y) => {
+      const p = warpPoint(x, y);
+      return { x: p.x + offX, y: p.y + offY };
+    },
+  };
+}
+
+module.exports = {
+  ENVELOPE_MODES,
+  bottomWeightedField,
+  envelopeField,
+  identityField,
+  parabolicBottomOnlyField,
+  parabolicVerticalField,
+  scaleField,
+};